@@ -1,3 +1,91 @@
-module.exports.TimestampMergingStrategy = function(){
+/*
+    Solves the conflicts that appear when the same record was changed concurrently by different writers of a DB.
+    The records are merged field by field, relative to the version the local writer started from (the base version):
+        - a field changed only by one of the writers keeps that change
+        - a field changed by both writers gets the value of the most recent change (last writer wins, based on __timestamp)
+    Application specific merge functions can be registered for a table with setMergeFunction.
+    A merge function receives (baseRecord, ourRecord, theirRecord) and returns the merged record.
+ */
+const META_FIELDS = ["pk", "__version", "__timestamp", "__previousRecord"];
 
-}
\ No newline at end of file
+function TimestampMergingStrategy() {
+    const mergeFunctions = {};
+
+    const equalValues = (firstValue, secondValue) => {
+        return JSON.stringify(firstValue) === JSON.stringify(secondValue);
+    }
+
+    const getFieldNames = (...records) => {
+        const fieldNames = new Set();
+        records.forEach(record => {
+            if (record) {
+                Object.keys(record).forEach(fieldName => fieldNames.add(fieldName));
+            }
+        });
+
+        return [...fieldNames].filter(fieldName => META_FIELDS.indexOf(fieldName) === -1);
+    }
+
+    this.setMergeFunction = (tableName, mergeFunction) => {
+        if (typeof mergeFunction !== "function") {
+            throw Error(`The merge function for table ${tableName} should be a function`);
+        }
+
+        mergeFunctions[tableName] = mergeFunction;
+    }
+
+    this.removeMergeFunction = (tableName) => {
+        delete mergeFunctions[tableName];
+    }
+
+    /*
+        Returns true if theirRecord was changed after baseRecord was read
+     */
+    this.isConflict = (baseRecord, theirRecord) => {
+        if (!theirRecord) {
+            return false;
+        }
+
+        if (!baseRecord) {
+            return true;
+        }
+
+        return baseRecord.__version !== theirRecord.__version || baseRecord.__timestamp !== theirRecord.__timestamp;
+    }
+
+    /*
+        Returns the merged record (without the metadata fields, which are set by the DB) and the names of the fields
+        changed by both writers
+     */
+    this.mergeRecords = (tableName, baseRecord, ourRecord, theirRecord) => {
+        baseRecord = baseRecord || {};
+        const conflictingFields = [];
+        const ourChangeIsMoreRecent = (ourRecord.__timestamp || 0) >= (theirRecord.__timestamp || 0);
+        let mergedRecord = {};
+
+        getFieldNames(baseRecord, ourRecord, theirRecord).forEach(fieldName => {
+            const changedByUs = !equalValues(baseRecord[fieldName], ourRecord[fieldName]);
+            const changedByThem = !equalValues(baseRecord[fieldName], theirRecord[fieldName]);
+            let sourceRecord = ourRecord;
+            if (changedByUs && changedByThem && !equalValues(ourRecord[fieldName], theirRecord[fieldName])) {
+                conflictingFields.push(fieldName);
+                sourceRecord = ourChangeIsMoreRecent ? ourRecord : theirRecord;
+            } else if (!changedByUs) {
+                sourceRecord = theirRecord;
+            }
+
+            if (typeof sourceRecord[fieldName] !== "undefined") {
+                mergedRecord[fieldName] = sourceRecord[fieldName];
+            }
+        });
+
+        if (typeof mergeFunctions[tableName] === "function") {
+            mergedRecord = Object.assign({}, mergeFunctions[tableName](baseRecord, ourRecord, theirRecord));
+            META_FIELDS.forEach(fieldName => delete mergedRecord[fieldName]);
+        }
+
+        return {record: mergedRecord, conflictingFields};
+    }
+}
+
+module.exports.TimestampMergingStrategy = TimestampMergingStrategy;
@@ -31,6 +31,23 @@ function uid(bytes = 32) {
 }  */
 
 
+const HISTORIC_VIEW_FUNCTIONS = ["getRecord", "getHistory", "filter", "query", "filterPage", "filterIterator", "aggregate", "search", "getAllRecords", "getIndexedFields", "getAllTableNames", "readKey", "getTableSchema"];
+// the anchoring services answer with these status codes when the DSU was anchored concurrently by another writer
+const ANCHORING_CONFLICT_STATUS_CODES = [409, 428];
+
+const isAnchoringConflict = (err) => {
+    while (err) {
+        if (ANCHORING_CONFLICT_STATUS_CODES.indexOf(err.statusCode) !== -1 || ANCHORING_CONFLICT_STATUS_CODES.indexOf(err.code) !== -1) {
+            return true;
+        }
+        err = err.previousError;
+    }
+
+    return false;
+}
+
+const READ_ONLY_VIEW_FORBIDDEN_FUNCTIONS = ["insertRecord", "updateRecord", "deleteRecord", "addIndex", "writeKey", "defineTable", "compact", "addFullTextIndex"];
+
 function BasicDB(storageStrategy, conflictSolvingStrategy, options) {
     let self = this;
     options = options || {events: false};
@@ -38,13 +55,60 @@ function BasicDB(storageStrategy, conflictSolvingStrategy, options) {
 
     const errorAPI = require("opendsu").loadAPI("error");
 
+    /*
+        The migrations provided in options.migrations are run before releasing the calls made while the DB was initialising
+        A failed migration is reported through an "error" event and the DB is left in a failed state: its functions
+        (including the calls made while it was initialising) fail with the error of the migration
+     */
+    let migrationError;
     storageStrategy.on("initialised", () => {
-        this.finishInitialisation();
-        this.dispatchEvent("initialised");
+        if (!options.migrations) {
+            this.finishInitialisation();
+            return this.dispatchEvent("initialised");
+        }
+
+        // the DB used by the migrations has to be usable before the initialisation of this DB is finished
+        const migrationsDB = new BasicDB(storageStrategy, conflictSolvingStrategy);
+        migrationsDB.finishInitialisation();
+        require("./Migrations").runMigrations(migrationsDB, options.migrations, (err, result) => {
+            if (err) {
+                migrationError = createOpenDSUErrorWrapper(`Failed to run the migrations of the DB`, err);
+                reportUserRelevantError(`Failed to run the migrations of the DB`, err);
+                this.finishInitialisation();
+                return this.dispatchEvent("error", migrationError);
+            }
+
+            this.finishInitialisation();
+            if (result.from !== result.to) {
+                this.dispatchEvent("migrated", result);
+            }
+            this.dispatchEvent("initialised");
+        });
     });
 
+    const ChangeFeed = require("./ChangeFeed");
+    const changeFeed = new ChangeFeed(this, storageStrategy);
+
     this.refresh = (callback) => {
-        storageStrategy.refresh(callback);
+        callback = OpenDSUSafeCallback(callback);
+        tableSchemas = {};
+        storageStrategy.refresh((err, ...args) => {
+            if (err) {
+                return callback(err);
+            }
+
+            changeFeed.detectRemoteChanges(() => callback(undefined, ...args));
+        });
+    }
+
+    /*
+        Subscribe to the insert, update and delete events of the records of a table matching the (optional) query
+        The local changes are delivered when they are made (or when their batch is committed) and the changes made by the
+        other clients after refresh
+        Returns a function which cancels the subscription
+     */
+    this.watch = function (tableName, query, callback) {
+        return changeFeed.watch(tableName, query, callback);
     }
 
     this.getUniqueIdAsync = async () => {
@@ -55,6 +119,10 @@ function BasicDB(storageStrategy, conflictSolvingStrategy, options) {
         storageStrategy.getAllRecords(tableName, callback);
     }
 
+    /*
+        forceReindex can be replaced by an options object {forceReindex, unique}
+        The inserts and updates of records sharing the value of a unique index fail with errorAPI.DB_UNIQUE_CONSTRAINT_ERROR
+     */
     this.addIndex = function (tableName, fieldName, forceReindex, callback) {
         if (typeof tableName === "undefined" || tableName === "undefined") {
             return callback(Error(`Table name "undefined" is not allowed`));
@@ -80,6 +148,370 @@ function BasicDB(storageStrategy, conflictSolvingStrategy, options) {
 
     this.query = this.filter;
 
+    /*
+        The records changed during the current batch are tracked together with the version they were changed from,
+        in order to be merged by the conflictSolvingStrategy if the batch can't be committed because of concurrent changes
+     */
+    let batchChanges = {};
+
+    const canSolveConflicts = () => {
+        return conflictSolvingStrategy && typeof conflictSolvingStrategy.mergeRecords === "function";
+    }
+
+    const isBatchInProgress = () => {
+        return typeof storageStrategy.batchInProgress === "function" && storageStrategy.batchInProgress();
+    }
+
+    const trackChange = (tableName, key, baseRecord, record) => {
+        if (!canSolveConflicts() || !isBatchInProgress()) {
+            return;
+        }
+
+        const changeKey = `${tableName}/${key}`;
+        if (!batchChanges[changeKey]) {
+            batchChanges[changeKey] = {
+                tableName,
+                pk: key,
+                baseRecord: baseRecord ? JSON.parse(JSON.stringify(baseRecord)) : undefined
+            };
+        }
+        batchChanges[changeKey].record = JSON.parse(JSON.stringify(record));
+    }
+
+    const mergeBatchChanges = async (changes) => {
+        const report = [];
+        for (let i = 0; i < changes.length; i++) {
+            const {tableName, pk, baseRecord, record} = changes[i];
+            let theirRecord;
+            try {
+                theirRecord = await $$.promisify(storageStrategy.getRecord)(tableName, pk);
+            } catch (e) {
+                theirRecord = undefined;
+            }
+
+            if (!theirRecord) {
+                await $$.promisify(storageStrategy.insertRecord)(tableName, pk, record);
+                continue;
+            }
+
+            let newRecord = record;
+            if (conflictSolvingStrategy.isConflict(baseRecord, theirRecord)) {
+                const mergeResult = conflictSolvingStrategy.mergeRecords(tableName, baseRecord, record, theirRecord);
+                newRecord = mergeResult.record;
+                report.push({table: tableName, pk, conflictingFields: mergeResult.conflictingFields});
+            }
+
+            newRecord.pk = pk;
+            newRecord.__version = Math.max(theirRecord.__version, record.__version) + 1;
+            newRecord.__timestamp = Date.now();
+            await $$.promisify(storageStrategy.updateRecord)(tableName, pk, theirRecord, newRecord);
+        }
+
+        return report;
+    }
+
+    /*
+        Load the changes made by the other writers and apply the changes of the failed batch on top of them
+        Returns the merged records and the results of the commit of the new batch
+     */
+    const solveBatchConflicts = async (batchId, changes) => {
+        try {
+            await $$.promisify(storageStrategy.cancelBatch)(batchId);
+        } catch (e) {
+            // the batch may have been already closed by the failed commit
+        }
+
+        await $$.promisify(storageStrategy.refresh)();
+        const newBatchId = await storageStrategy.startOrAttachBatchAsync();
+        let report;
+        try {
+            report = await mergeBatchChanges(changes);
+        } catch (e) {
+            await storageStrategy.cancelBatchAsync(newBatchId);
+            throw e;
+        }
+        const results = await new Promise((resolve, reject) => {
+            storageStrategy.commitBatch(newBatchId, (err, ...results) => err ? reject(err) : resolve(results));
+        });
+        return {report, results};
+    }
+
+    /*
+        Register an application specific function used to merge the records of a table changed concurrently
+     */
+    this.setMergeFunction = (tableName, mergeFunction) => {
+        if (!canSolveConflicts() || typeof conflictSolvingStrategy.setMergeFunction !== "function") {
+            throw Error(`The DB was not created with a conflict solving strategy supporting merge functions`);
+        }
+
+        conflictSolvingStrategy.setMergeFunction(tableName, mergeFunction);
+    }
+
+    /*
+        Same as filter but the callback also receives an opaque cursor that can be passed back to get the next page
+        The cursor is undefined after the last page
+     */
+    this.filterPage = function (tableName, query, sort, limit, cursor, callback) {
+        if (typeof cursor === "function") {
+            callback = cursor;
+            cursor = undefined;
+        }
+
+        storageStrategy.filterPage(tableName, query, sort, limit, cursor, callback);
+    };
+
+    /*
+        Async iterator over the records matching the query, loaded from the storage pageSize records at a time
+     */
+    this.filterIterator = async function* (tableName, query, sort, pageSize = 100) {
+        let cursor;
+        do {
+            const [records, nextCursor] = await new Promise((resolve, reject) => {
+                self.filterPage(tableName, query, sort, pageSize, cursor, (err, records, nextCursor) => {
+                    if (err) {
+                        return reject(createOpenDSUErrorWrapper(`Failed to get records from table ${tableName}`, err));
+                    }
+                    resolve([records, nextCursor]);
+                });
+            });
+            cursor = nextCursor;
+            yield* records;
+        } while (cursor);
+    };
+
+    /*
+        The schemas of the tables are stored in the storage (using writeKey) in order to be enforced by every client of the DB
+     */
+    const SCHEMA_KEY_PREFIX = "__schema_";
+    let tableSchemas = {};
+
+    this.getTableSchema = function (tableName, callback) {
+        if (typeof tableSchemas[tableName] !== "undefined") {
+            return callback(undefined, tableSchemas[tableName] || undefined);
+        }
+
+        storageStrategy.readKey(`${SCHEMA_KEY_PREFIX}${tableName}`, (err, schema) => {
+            if (err && err.originalMessage !== errorAPI.DB_KEY_NOT_FOUND_ERROR) {
+                return callback(createOpenDSUErrorWrapper(`Failed to read the schema of table ${tableName}`, err));
+            }
+
+            // tables without a schema are cached as null
+            tableSchemas[tableName] = err || !schema ? null : schema;
+            callback(undefined, tableSchemas[tableName] || undefined);
+        });
+    }
+
+    /*
+        Define the schema enforced on insertRecord and updateRecord for a table. See SchemaValidator for the supported format.
+        The fields having an encryptionKey in the schema are stored encrypted.
+     */
+    this.defineTable = function (tableName, schema, callback) {
+        if (typeof tableName === "undefined" || tableName === "undefined") {
+            return callback(Error(`Table name "undefined" is not allowed`));
+        }
+
+        const {checkSchema} = require("./SchemaValidator");
+        const errors = checkSchema(schema);
+        if (errors.length > 0) {
+            return callback(createOpenDSUErrorWrapper(`Invalid schema for table ${tableName}`, Error(errors.join("; "))));
+        }
+
+        const storeSchema = () => storageStrategy.writeKey(`${SCHEMA_KEY_PREFIX}${tableName}`, schema, (err) => {
+            if (err) {
+                return callback(createOpenDSUErrorWrapper(`Failed to store the schema of table ${tableName}`, err));
+            }
+
+            tableSchemas[tableName] = schema;
+            callback();
+        });
+
+        const encryptedFields = require("./SchemaValidator").getEncryptedFields(schema);
+        if (typeof storageStrategy.setEncryptedFields !== "function") {
+            if (Object.keys(encryptedFields).length > 0) {
+                return callback(Error(`The storage strategy of the DB doesn't support encrypted fields`));
+            }
+
+            return storeSchema();
+        }
+
+        storageStrategy.setEncryptedFields(tableName, encryptedFields, (err) => {
+            if (err) {
+                return callback(createOpenDSUErrorWrapper(`Failed to set the encrypted fields of table ${tableName}`, err));
+            }
+
+            storeSchema();
+        });
+    }
+
+    /*
+        The enclave holding the secret keys of the encrypted fields (see encryptionKey in SchemaValidator)
+        Without the keys the encrypted fields are returned as ciphertext and can't be written
+        The enclave is called on behalf of forDID ($$.SYSTEM_IDENTIFIER by default), which needs read access to its secret keys
+     */
+    this.setEncryptionEnclave = function (enclave, forDID) {
+        if (typeof storageStrategy.setEncryptionEnclave !== "function") {
+            throw Error(`The storage strategy of the DB doesn't support encrypted fields`);
+        }
+
+        storageStrategy.setEncryptionEnclave(enclave, forDID);
+    }
+
+    const validateRecord = (tableName, key, record, callback) => {
+        self.getTableSchema(tableName, (err, schema) => {
+            if (err || !schema) {
+                return callback(err);
+            }
+
+            const errors = require("./SchemaValidator").validateRecord(schema, record);
+            if (errors.length > 0) {
+                return callback(createOpenDSUErrorWrapper(`Record with key ${key} does not match the schema of table ${tableName}: ${errors.join("; ")}`, new Error(errorAPI.DB_SCHEMA_VALIDATION_ERROR)));
+            }
+
+            callback();
+        });
+    }
+
+    /*
+        Compute count, sum, min, max and avg (optionally grouped by a field) over the records matching the query
+        See storageStrategies/aggregation.js for the format of the pipeline and of the result
+     */
+    this.aggregate = function (tableName, query, pipeline, callback) {
+        if (typeof pipeline === "function") {
+            callback = pipeline;
+            pipeline = query;
+            query = undefined;
+        }
+
+        const {aggregateRecords, normalisePipeline} = require("../storageStrategies/aggregation");
+        try {
+            normalisePipeline(pipeline);
+        } catch (e) {
+            return callback(createOpenDSUErrorWrapper(`Invalid aggregation pipeline for table ${tableName}`, e));
+        }
+
+        const aggregateFromRecords = () => {
+            storageStrategy.filter(tableName, query, (err, records) => {
+                if (err) {
+                    return callback(createOpenDSUErrorWrapper(`Failed to get the records to aggregate from table ${tableName}`, err));
+                }
+
+                callback(undefined, aggregateRecords(records, pipeline));
+            });
+        }
+
+        if (typeof storageStrategy.aggregateFromIndexes !== "function") {
+            return aggregateFromRecords();
+        }
+
+        storageStrategy.aggregateFromIndexes(tableName, query, pipeline, (err, result) => {
+            if (err) {
+                return callback(createOpenDSUErrorWrapper(`Failed to aggregate table ${tableName}`, err));
+            }
+
+            if (typeof result === "undefined") {
+                return aggregateFromRecords();
+            }
+
+            callback(undefined, result);
+        });
+    }
+
+    /*
+        Create a tokenised full-text index over the fields of a table (options: {language}, see storageStrategies/fullText.js)
+     */
+    this.addFullTextIndex = function (tableName, fields, options, callback) {
+        if (typeof options === "function") {
+            callback = options;
+            options = undefined;
+        }
+
+        if (typeof storageStrategy.addFullTextIndex !== "function") {
+            return callback(Error(`The storage strategy of the DB doesn't support full-text indexes`));
+        }
+
+        storageStrategy.addFullTextIndex(tableName, fields, options, callback);
+    }
+
+    /*
+        Search the text in the full-text index of a table. The callback receives the primary keys of the matching records
+        ordered by relevance (options: {limit, matchAll})
+     */
+    this.search = function (tableName, text, options, callback) {
+        if (typeof options === "function") {
+            callback = options;
+            options = undefined;
+        }
+
+        if (typeof storageStrategy.search !== "function") {
+            return callback(Error(`The storage strategy of the DB doesn't support full-text search`));
+        }
+
+        storageStrategy.search(tableName, text, options, callback);
+    }
+
+    /*
+        Write the records of a table to a stream in "ndjson" or "csv" format (see ImportExport.js for the options)
+     */
+    this.exportTable = function (tableName, format, stream, options, callback) {
+        if (typeof options === "function") {
+            callback = options;
+            options = undefined;
+        }
+
+        require("./ImportExport").exportTable(self, tableName, format, stream, options)
+            .then(exportedRecords => callback(undefined, exportedRecords))
+            .catch(err => callback(createOpenDSUErrorWrapper(`Failed to export table ${tableName}`, err)));
+    }
+
+    /*
+        Read the records of a table from a stream (or string) in "ndjson" or "csv" format (see ImportExport.js for the options)
+     */
+    this.importTable = function (tableName, format, stream, options, callback) {
+        if (typeof options === "function") {
+            callback = options;
+            options = undefined;
+        }
+
+        require("./ImportExport").importTable(self, tableName, format, stream, options)
+            .then(report => callback(undefined, report))
+            .catch(err => callback(createOpenDSUErrorWrapper(`Failed to import table ${tableName}`, err)));
+    }
+
+    /*
+        Get a read-only view of the DB as it was at a version of the storage DSU (version number or version hashlink)
+     */
+    this.asOf = function (versionNumberOrHashLink, callback) {
+        if (typeof storageStrategy.asOf !== "function") {
+            return callback(Error(`The storage strategy of the DB doesn't support historic views`));
+        }
+
+        storageStrategy.asOf(versionNumberOrHashLink, (err, historicStrategy) => {
+            if (err) {
+                return callback(createOpenDSUErrorWrapper(`Failed to get the DB as of version ${versionNumberOrHashLink}`, err));
+            }
+
+            // the historic strategy is already initialised
+            const historicDB = new BasicDB(historicStrategy);
+            historicDB.finishInitialisation();
+
+            const view = {};
+            HISTORIC_VIEW_FUNCTIONS.forEach(functionName => {
+                view[functionName] = historicDB[functionName];
+            });
+            READ_ONLY_VIEW_FORBIDDEN_FUNCTIONS.forEach(functionName => {
+                view[functionName] = (...args) => {
+                    const callback = args[args.length - 1];
+                    const error = Error(`Function ${functionName} is not allowed on the read-only view of the DB as of version ${versionNumberOrHashLink}`);
+                    if (typeof callback !== "function") {
+                        throw error;
+                    }
+                    callback(error);
+                }
+            });
+            callback(undefined, view);
+        });
+    }
+
     this.getAllTableNames = function (callback) {
         storageStrategy.getAllTableNames(callback);
     }
@@ -116,15 +548,23 @@ function BasicDB(storageStrategy, conflictSolvingStrategy, options) {
             sharedDSUMetadata.pk = key;
             //sharedDSUMetadata.__changeId = uid();
             sharedDSUMetadata.__timestamp = record.__timestamp || Date.now();
-            storageStrategy.insertRecord(tableName, key, Object.assign(sharedDSUMetadata, record), (err, res) => {
+            validateRecord(tableName, key, record, (err) => {
                 if (err) {
-                    return callback(createOpenDSUErrorWrapper(`Failed to insert record with key ${key} in table ${tableName} `, err));
+                    return callback(err);
                 }
 
-                if (options.events) {
-                    self.dispatchEvent("change", JSON.stringify({table: tableName, pk: key}));
-                }
-                callback(undefined, res);
+                storageStrategy.insertRecord(tableName, key, Object.assign(sharedDSUMetadata, record), (err, res) => {
+                    if (err) {
+                        return callback(createOpenDSUErrorWrapper(`Failed to insert record with key ${key} in table ${tableName} `, err));
+                    }
+
+                    trackChange(tableName, key, undefined, res);
+                    changeFeed.reportChange(tableName, ChangeFeed.CHANGE_TYPES.INSERT, key, undefined, res);
+                    if (options.events) {
+                        self.dispatchEvent("change", JSON.stringify({table: tableName, pk: key}));
+                    }
+                    callback(undefined, res);
+                });
             });
         });
     };
@@ -166,15 +606,23 @@ function BasicDB(storageStrategy, conflictSolvingStrategy, options) {
                 newRecord.__version = currentRecord.__version;
                 newRecord.pk = key;
             }
-            doVersionIncAndUpdate(currentRecord, (err) => {
+            validateRecord(tableName, key, newRecord, (err) => {
                 if (err) {
-                    return callback(createOpenDSUErrorWrapper(`Failed to update record with key ${key} in table ${tableName} `, err));
+                    return callback(err);
                 }
 
-                if (options.events) {
-                    self.dispatchEvent("change", JSON.stringify({table: tableName, pk: key}));
-                }
-                callback(undefined, newRecord);
+                doVersionIncAndUpdate(currentRecord, (err) => {
+                    if (err) {
+                        return callback(createOpenDSUErrorWrapper(`Failed to update record with key ${key} in table ${tableName} `, err));
+                    }
+
+                    trackChange(tableName, key, currentRecord, newRecord);
+                    changeFeed.reportChange(tableName, ChangeFeed.CHANGE_TYPES.UPDATE, key, currentRecord, newRecord);
+                    if (options.events) {
+                        self.dispatchEvent("change", JSON.stringify({table: tableName, pk: key}));
+                    }
+                    callback(undefined, newRecord);
+                });
             });
         });
     }
@@ -221,6 +669,8 @@ function BasicDB(storageStrategy, conflictSolvingStrategy, options) {
                     return callback(createOpenDSUErrorWrapper(`Failed to update with key ${key} in table ${tableName} `, err));
                 }
 
+                trackChange(tableName, key, oldRecord, newRecord);
+                changeFeed.reportChange(tableName, ChangeFeed.CHANGE_TYPES.DELETE, key, oldRecord, newRecord);
                 if (options.events) {
                     self.dispatchEvent("change", JSON.stringify({table: tableName, pk: key}));
                 }
@@ -229,6 +679,67 @@ function BasicDB(storageStrategy, conflictSolvingStrategy, options) {
         })
     };
 
+    /*
+        The writes made outside of a batch are committed in a batch of their own when the DB has a conflict solving strategy,
+        so that they are merged like the batches if the storage was anchored concurrently
+     */
+    ["insertRecord", "updateRecord", "deleteRecord"].forEach(functionName => {
+        const write = this[functionName];
+        this[functionName] = async (tableName, key, ...args) => {
+            if (!canSolveConflicts() || isBatchInProgress()) {
+                return write(tableName, key, ...args);
+            }
+
+            const callback = typeof args[args.length - 1] === "function" ? args.pop() : getDefaultCallback(`Calling ${functionName}`, tableName, key);
+            let batchId;
+            try {
+                batchId = await storageStrategy.startOrAttachBatchAsync();
+            } catch (e) {
+                return callback(createOpenDSUErrorWrapper(`Failed to begin batch`, e));
+            }
+
+            write(tableName, key, ...args, (err, ...results) => {
+                if (err) {
+                    return self.cancelBatch(batchId, (cancelError) => {
+                        callback(cancelError ? createOpenDSUErrorWrapper(`Failed to cancel the batch of ${functionName}`, err, [cancelError]) : err);
+                    });
+                }
+
+                self.commitBatch(batchId, (err) => {
+                    if (err) {
+                        return callback(createOpenDSUErrorWrapper(`Failed to commit the batch of ${functionName} for key ${key} in table ${tableName}`, err));
+                    }
+
+                    callback(undefined, ...results);
+                });
+            });
+        }
+    });
+
+    /*
+        Drop the deleted records older than options.retentionPeriod (milliseconds, 30 days by default) and keep at most
+        options.maxVersions versions in the history of the records. The callback receives {purged, truncated}.
+        The storage strategies whose records have no history (e.g. SingleDSUStorageStrategy) reject options.maxVersions.
+     */
+    this.compact = function (tableName, options, callback) {
+        if (typeof options === "function") {
+            callback = options;
+            options = undefined;
+        }
+
+        if (typeof storageStrategy.compact !== "function") {
+            return callback(Error(`The storage strategy of the DB doesn't support compaction`));
+        }
+
+        storageStrategy.compact(tableName, options, (err, report) => {
+            if (err) {
+                return callback(createOpenDSUErrorWrapper(`Failed to compact table ${tableName}`, err));
+            }
+
+            callback(undefined, report);
+        });
+    }
+
     this.getRecordVersions = function (record) {
         let arrRes = []
         while (record) {
@@ -242,6 +753,13 @@ function BasicDB(storageStrategy, conflictSolvingStrategy, options) {
         storageStrategy.getIndexedFields(tableName, callback);
     }
 
+    /*
+        The version of the last migration applied on the DB (0 if no migration was applied)
+     */
+    this.getSchemaVersion = function (callback) {
+        require("./Migrations").getSchemaVersion(self, callback);
+    }
+
     this.writeKey = function (key, value, callback) {
         storageStrategy.writeKey(key, value, callback);
     };
@@ -269,20 +787,77 @@ function BasicDB(storageStrategy, conflictSolvingStrategy, options) {
         return await storageStrategy.startOrAttachBatchAsync(...args);
     }
 
+    const clearBatchChanges = () => {
+        if (!isBatchInProgress()) {
+            batchChanges = {};
+        }
+    }
+
     this.cancelBatch = (...args) => {
+        let callback = args[args.length - 1];
+        if (typeof callback !== "function") {
+            callback = undefined;
+            args.push(() => {});
+        }
+
+        args[args.length - 1] = (...results) => {
+            clearBatchChanges();
+            changeFeed.discardChanges();
+            callback && callback(...results);
+        }
         storageStrategy.cancelBatch(...args);
     }
 
     this.cancelBatchAsync = async (...args) => {
-        return await storageStrategy.cancelBatchAsync(...args);
+        const result = await storageStrategy.cancelBatchAsync(...args);
+        clearBatchChanges();
+        changeFeed.discardChanges();
+        return result;
     }
 
+    /*
+        If the commit fails because the storage was anchored concurrently by other writers, the changes of the batch are
+        applied again on top of theirs. The callback receives the results of that commit and a "merge" event is dispatched
+        with the list of merged records ({table, pk, conflictingFields}).
+     */
     this.commitBatch = (...args) => {
+        let callback = args[args.length - 1];
+        if (typeof callback !== "function") {
+            callback = undefined;
+            args.push(() => {});
+        }
+        const batchId = args.length > 1 ? args[0] : undefined;
+
+        args[args.length - 1] = (err, ...results) => {
+            if (!err) {
+                clearBatchChanges();
+                changeFeed.commitChanges();
+                return callback && callback(undefined, ...results);
+            }
+
+            const changes = Object.values(batchChanges);
+            batchChanges = {};
+            changeFeed.discardChanges();
+            if (!canSolveConflicts() || changes.length === 0 || !isAnchoringConflict(err)) {
+                return callback && callback(err);
+            }
+
+            // the merged records and the changes of the other writers are delivered to the watchers as remote changes
+            solveBatchConflicts(batchId, changes).then(({report, results}) => {
+                if (report.length > 0) {
+                    self.dispatchEvent("merge", report);
+                }
+                changeFeed.detectRemoteChanges(() => callback && callback(undefined, ...results));
+            }).catch(e => {
+                callback && callback(createOpenDSUErrorWrapper(`Failed to merge the batch with the concurrent changes`, e));
+            });
+        };
+
         storageStrategy.commitBatch(...args);
     }
 
     this.commitBatchAsync = async (...args) => {
-        return await storageStrategy.commitBatchAsync(...args);
+        return await $$.promisify(self.commitBatch)(...args);
     }
 
     this.onCommitBatch = (...args) => {
@@ -293,7 +868,32 @@ function BasicDB(storageStrategy, conflictSolvingStrategy, options) {
         return storageStrategy.batchInProgress();
     }
 
-    bindAutoPendingFunctions(this, ["on", "off", "dispatchEvent", "batchInProgress"]);
+    if (options.encryptionEnclave) {
+        this.setEncryptionEnclave(options.encryptionEnclave, options.encryptionDID);
+    }
+
+    // the functions of a DB whose migrations failed report the error of the migrations
+    const OBSERVABLE_FUNCTIONS = ["on", "off", "dispatchEvent"];
+    Object.keys(this).forEach(functionName => {
+        const originalFunction = this[functionName];
+        if (typeof originalFunction !== "function" || OBSERVABLE_FUNCTIONS.indexOf(functionName) !== -1) {
+            return;
+        }
+
+        this[functionName] = (...args) => {
+            if (!migrationError) {
+                return originalFunction(...args);
+            }
+
+            const callback = args[args.length - 1];
+            if (typeof callback !== "function") {
+                throw migrationError;
+            }
+            callback(migrationError);
+        }
+    });
+
+    bindAutoPendingFunctions(this, ["on", "off", "dispatchEvent", "batchInProgress", "filterIterator", "setMergeFunction", "watch", "setEncryptionEnclave"]);
     //============================================================
     // To not add others property on this object below this call =
     //============================================================
@@ -0,0 +1,278 @@
+/*
+    Delivers the changes (insert, update, delete) of the watched tables to the subscribers of BasicDB.watch
+    The local changes are reported by BasicDB when they are made. The changes made in a batch are delivered when the batch is
+    committed and dropped if it is cancelled or its commit fails.
+    The remote changes are found after a refresh, if the version of the storage changed, by comparing the records of the
+    watched tables with their last known versions. The last known version of every record of the watched tables is kept
+    in memory, with the watchers whose query it matched, and it is the oldRecord of the remote updates and deletes.
+    An event has the form {type, table, pk, oldRecord, newRecord}.
+ */
+const CHANGE_TYPES = {
+    INSERT: "insert",
+    UPDATE: "update",
+    DELETE: "delete"
+};
+
+function ChangeFeed(db, storageStrategy) {
+    // tableName -> {watchers: {watcherId: {filter, callback}}, records: {pk: {record, matchingWatchers}}}
+    const watchedTables = {};
+    let lastWatcherId = 0;
+    let pendingChanges = [];
+    let knownStorageVersion;
+
+    const copyRecord = (record) => {
+        return typeof record === "undefined" ? undefined : JSON.parse(JSON.stringify(record));
+    }
+
+    const isBatchInProgress = () => {
+        return typeof storageStrategy.batchInProgress === "function" && storageStrategy.batchInProgress();
+    }
+
+    // the storage strategies without versions (e.g. MultiUserStorageStrategy) are always scanned
+    const getStorageVersion = (callback) => {
+        if (typeof storageStrategy.getCurrentVersion !== "function") {
+            return callback();
+        }
+
+        storageStrategy.getCurrentVersion((err, version) => {
+            if (err) {
+                console.log(`Failed to get the version of the storage`, err);
+                return callback();
+            }
+
+            callback(undefined, version);
+        });
+    }
+
+    // db.filter waits for the initialisation of the DB
+    const readTable = (tableName, callback) => {
+        db.filter(tableName, "__timestamp > 0", (err, records) => {
+            if (err) {
+                return callback(createOpenDSUErrorWrapper(`Failed to read table ${tableName}`, err));
+            }
+
+            callback(undefined, records);
+        });
+    }
+
+    const getMatchingWatchers = (watchedTable, record) => {
+        if (typeof record === "undefined") {
+            return [];
+        }
+
+        return Object.keys(watchedTable.watchers).filter(watcherId => {
+            const filter = watchedTable.watchers[watcherId].filter;
+            return !filter || filter.matches(record);
+        });
+    }
+
+    const getRecordState = (watchedTable, record) => {
+        return {record: copyRecord(record), matchingWatchers: getMatchingWatchers(watchedTable, record)};
+    }
+
+    const loadRecords = (tableName, callback) => {
+        readTable(tableName, (err, records) => {
+            if (err) {
+                return callback(err);
+            }
+
+            const watchedTable = watchedTables[tableName];
+            if (!watchedTable) {
+                return callback();
+            }
+
+            watchedTable.records = {};
+            records.forEach(record => {
+                watchedTable.records[record.pk] = getRecordState(watchedTable, record);
+            });
+            callback();
+        });
+    }
+
+    // a change is delivered to the watchers whose query matched the record before or after the change
+    const dispatchChange = (tableName, type, pk, oldRecord, newRecord, previouslyMatchingWatchers) => {
+        const watchedTable = watchedTables[tableName];
+        const matchingWatchers = getMatchingWatchers(watchedTable, newRecord);
+        Object.keys(watchedTable.watchers).forEach(watcherId => {
+            if (previouslyMatchingWatchers.indexOf(watcherId) !== -1 || matchingWatchers.indexOf(watcherId) !== -1) {
+                watchedTable.watchers[watcherId].callback({type, table: tableName, pk, oldRecord: copyRecord(oldRecord), newRecord: copyRecord(newRecord)});
+            }
+        });
+    }
+
+    /*
+        Returns a function which stops the delivery of the changes to the callback
+     */
+    this.watch = (tableName, query, callback) => {
+        if (typeof query === "function") {
+            callback = query;
+            query = undefined;
+        }
+
+        let filter;
+        if (typeof query !== "undefined") {
+            const Query = require("../storageStrategies/Query");
+            try {
+                filter = new Query(query);
+            } catch (e) {
+                throw createOpenDSUErrorWrapper(`Invalid query ${JSON.stringify(query)}`, e);
+            }
+        }
+
+        if (!watchedTables[tableName]) {
+            watchedTables[tableName] = {watchers: {}};
+        }
+        const watcherId = `${++lastWatcherId}`;
+        watchedTables[tableName].watchers[watcherId] = {filter, callback};
+
+        // the records are loaded again to find the ones matched by the query of the new watcher
+        loadRecords(tableName, (err) => {
+            if (err) {
+                console.log(`Failed to load the records of the watched table ${tableName}`, err);
+            }
+        });
+
+        let stopped = false;
+        return () => {
+            if (stopped) {
+                return;
+            }
+
+            stopped = true;
+            const watchedTable = watchedTables[tableName];
+            delete watchedTable.watchers[watcherId];
+            if (Object.keys(watchedTable.watchers).length === 0) {
+                delete watchedTables[tableName];
+            }
+        };
+    }
+
+    const applyChange = (tableName, type, pk, oldRecord, newRecord) => {
+        const watchedTable = watchedTables[tableName];
+        if (!watchedTable) {
+            return;
+        }
+
+        if (watchedTable.records) {
+            if (type === CHANGE_TYPES.DELETE) {
+                delete watchedTable.records[pk];
+            } else {
+                watchedTable.records[pk] = getRecordState(watchedTable, newRecord);
+            }
+        }
+
+        dispatchChange(tableName, type, pk, oldRecord, newRecord, getMatchingWatchers(watchedTable, oldRecord));
+    }
+
+    /*
+        Called by the DB for every record changed by a local write
+     */
+    this.reportChange = (tableName, type, pk, oldRecord, newRecord) => {
+        if (!watchedTables[tableName]) {
+            return;
+        }
+
+        if (isBatchInProgress()) {
+            return pendingChanges.push([tableName, type, pk, copyRecord(oldRecord), copyRecord(newRecord)]);
+        }
+
+        applyChange(tableName, type, pk, oldRecord, newRecord);
+    }
+
+    /*
+        Called by the DB after the commit of a batch, the changes are delivered when the outermost batch is committed
+     */
+    this.commitChanges = () => {
+        if (isBatchInProgress()) {
+            return;
+        }
+
+        const changes = pendingChanges;
+        pendingChanges = [];
+        changes.forEach(change => applyChange(...change));
+    }
+
+    /*
+        Called by the DB when a batch is cancelled or its commit failed
+     */
+    this.discardChanges = () => {
+        pendingChanges = [];
+    }
+
+    const detectTableChanges = (tableName, callback) => {
+        const watchedTable = watchedTables[tableName];
+        if (!watchedTable || !watchedTable.records) {
+            return callback();
+        }
+
+        readTable(tableName, async (err, records) => {
+            if (err) {
+                return callback(err);
+            }
+
+            const knownRecords = watchedTable.records;
+            watchedTable.records = {};
+            const changes = [];
+            records.forEach(record => {
+                const knownRecord = knownRecords[record.pk];
+                watchedTable.records[record.pk] = getRecordState(watchedTable, record);
+                if (!knownRecord) {
+                    changes.push([CHANGE_TYPES.INSERT, record.pk, undefined, record, []]);
+                } else if (knownRecord.record.__version !== record.__version || knownRecord.record.__timestamp !== record.__timestamp) {
+                    changes.push([CHANGE_TYPES.UPDATE, record.pk, knownRecord.record, record, knownRecord.matchingWatchers]);
+                }
+            });
+
+            for (let pk in knownRecords) {
+                if (watchedTable.records[pk]) {
+                    continue;
+                }
+
+                let deletedRecord;
+                try {
+                    deletedRecord = await $$.promisify(storageStrategy.getRecord)(tableName, pk);
+                } catch (e) {
+                    deletedRecord = undefined;
+                }
+                changes.push([CHANGE_TYPES.DELETE, pk, knownRecords[pk].record, deletedRecord, knownRecords[pk].matchingWatchers]);
+            }
+
+            changes.forEach(([type, pk, oldRecord, newRecord, previouslyMatchingWatchers]) => {
+                if (watchedTables[tableName]) {
+                    dispatchChange(tableName, type, pk, oldRecord, newRecord, previouslyMatchingWatchers);
+                }
+            });
+            callback();
+        });
+    }
+
+    /*
+        Called by the DB after a refresh in order to deliver the changes made by the other clients of the DB
+     */
+    this.detectRemoteChanges = async (callback) => {
+        const tableNames = Object.keys(watchedTables);
+        if (tableNames.length === 0) {
+            return callback();
+        }
+
+        const storageVersion = await $$.promisify(getStorageVersion)();
+        if (typeof storageVersion !== "undefined" && storageVersion === knownStorageVersion) {
+            return callback();
+        }
+
+        for (let i = 0; i < tableNames.length; i++) {
+            try {
+                await $$.promisify(detectTableChanges)(tableNames[i]);
+            } catch (e) {
+                console.log(`Failed to detect the changes of table ${tableNames[i]}`, e);
+            }
+        }
+
+        knownStorageVersion = storageVersion;
+        callback();
+    }
+}
+
+ChangeFeed.CHANGE_TYPES = CHANGE_TYPES;
+
+module.exports = ChangeFeed;
@@ -211,7 +211,112 @@ module.exports = {
             return callback(undefined, storageDSU, keySSI);
         })
     },
+    /*
+        A multi user DB has a membership DSU (identified by keySSI) holding the sReadSSIs of the writers' DSUs
+        in /<dbName>/writers/<userId>. Every user writes only into its own DSU, whose seedSSI is kept in the user's main DSU.
+        The callback receives the membership DSU, the writer DSU of the user and the keySSI of the membership DSU.
+     */
     ensure_MultiUserDB_DSU_Initialisation: function (keySSI, dbName, userId, callback) {
+        const openDSU = require("opendsu");
+        let resolver = openDSU.loadAPI("resolver");
+        let scAPI = openDSU.loadAPI("sc");
+        let keySSISpace = openDSU.loadAPI("keyssi");
+        let constants = require("../../moduleConstants");
+        const WRITER_KEY_SSI_PATH = `/multiUserDB/${dbName}/${encodeURIComponent(userId)}`;
+        const WRITER_MEMBERSHIP_PATH = `/${dbName}/writers/${encodeURIComponent(userId)}`;
+
+        if (typeof keySSI === "string") {
+            try {
+                keySSI = keySSISpace.parse(keySSI);
+            } catch (e) {
+                return callback(createOpenDSUErrorWrapper(`Failed to parse keySSI ${keySSI}`, e));
+            }
+        }
+
+        const loadMembershipDSU = async () => {
+            try {
+                return await $$.promisify(resolver.loadDSU)(keySSI);
+            } catch (e) {
+                if (keySSI.getTypeName() !== constants.KEY_SSIS.SEED_SSI) {
+                    throw createOpenDSUErrorWrapper(`Failed to load membership DSU for db <${dbName}>`, e);
+                }
+            }
+
+            reportUserRelevantWarning("Creating a new multi user database");
+            return await $$.promisify(resolver.createDSUForExistingSSI)(keySSI);
+        }
+
+        const loadWriterDSU = async () => {
+            const mainDSU = await $$.promisify(scAPI.getMainDSU)();
+            let writerSSI;
+            try {
+                writerSSI = await $$.promisify(mainDSU.readFile)(WRITER_KEY_SSI_PATH);
+            } catch (e) {
+                writerSSI = undefined;
+            }
+
+            if (writerSSI) {
+                return await $$.promisify(resolver.loadDSU)(writerSSI.toString());
+            }
+
+            const writerDSU = await $$.promisify(resolver.createSeedDSU)(keySSI.getDLDomain());
+            writerSSI = await $$.promisify(writerDSU.getKeySSIAsString)();
+            const batchId = await mainDSU.startOrAttachBatchAsync();
+            try {
+                await $$.promisify(mainDSU.writeFile)(WRITER_KEY_SSI_PATH, writerSSI);
+                await $$.promisify(mainDSU.commitBatch)(batchId);
+            } catch (e) {
+                const writeFileError = createOpenDSUErrorWrapper(`Failed to store the writer keySSI in mainDSU for db <${dbName}>`, e);
+                try {
+                    await mainDSU.cancelBatchAsync(batchId);
+                } catch (error) {
+                    throw createOpenDSUErrorWrapper(`Failed to cancel batch`, error, writeFileError);
+                }
+                throw writeFileError;
+            }
+            return writerDSU;
+        }
+
+        const registerWriter = async (membershipDSU, writerDSU) => {
+            const writerSeedSSI = await $$.promisify(writerDSU.getKeySSIAsObject)();
+            const writerSReadSSI = (await $$.promisify(writerSeedSSI.derive, writerSeedSSI)()).getIdentifier();
+            let registeredSSI;
+            try {
+                registeredSSI = await $$.promisify(membershipDSU.readFile)(WRITER_MEMBERSHIP_PATH);
+            } catch (e) {
+                registeredSSI = undefined;
+            }
+
+            if (registeredSSI && registeredSSI.toString() === writerSReadSSI) {
+                return;
+            }
+
+            if (keySSI.getTypeName() !== constants.KEY_SSIS.SEED_SSI) {
+                return reportUserRelevantWarning(`User ${userId} is not a writer of the multi user database ${dbName}. The writer should be added using the sReadSSI ${writerSReadSSI}`);
+            }
+
+            const batchId = await membershipDSU.startOrAttachBatchAsync();
+            try {
+                await $$.promisify(membershipDSU.writeFile)(WRITER_MEMBERSHIP_PATH, writerSReadSSI);
+                await $$.promisify(membershipDSU.commitBatch)(batchId);
+            } catch (e) {
+                await membershipDSU.cancelBatchAsync(batchId);
+                throw createOpenDSUErrorWrapper(`Failed to register the writer ${userId} of db <${dbName}>`, e);
+            }
+        }
+
+        const initialise = async () => {
+            const membershipDSU = await loadMembershipDSU();
+            const writerDSU = await loadWriterDSU();
+            await registerWriter(membershipDSU, writerDSU);
+            return {membershipDSU, writerDSU};
+        }
+
+        initialise().then(({membershipDSU, writerDSU}) => {
+            callback(undefined, membershipDSU, writerDSU, keySSI);
+        }).catch(err => {
+            callback(createOpenDSUErrorWrapper(`Failed to initialise multi user db <${dbName}>`, err));
+        });
     },
     initialiseVersionlessDB: function (dbName, keySSI, callback) {
         $$.LEGACY_BEHAVIOUR_ENABLED = true;
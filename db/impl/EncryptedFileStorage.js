@@ -0,0 +1,358 @@
+/*
+    A storage implementing the file and batch functions of a DSU used by SingleDSUStorageStrategy, kept in memory and persisted
+    in a single file of a local folder, encrypted with AES-GCM. It is meant for Node.js processes which need a DB that survives
+    restarts without a DSU (e.g. the FileEnclave).
+    The whole content is written (in a temporary file, renamed afterwards) when a batch is committed or, outside batches, after
+    every change. The changes of a batch are discarded when the batch is canceled.
+ */
+const STORAGE_FILE_NAME = "storage.enc";
+
+function EncryptedFileStorage(folderPath, encryptionKey) {
+    const fs = require("fs");
+    const path = require("path");
+    const crypto = require("opendsu").loadAPI("crypto");
+    const storageFilePath = path.join(folderPath, STORAGE_FILE_NAME);
+
+    let files = {};
+    let folders = {};
+    let batchId;
+    let batchAttachments = 0;
+    let batchSnapshot;
+    let pendingBatches = [];
+    let commitObservers = [];
+    let persistence = Promise.resolve();
+
+    const normalisePath = (filePath) => {
+        return `/${filePath}`.replace(/\/+/g, "/").replace(/(.)\/$/, "$1");
+    }
+
+    const getFolderPrefix = (folder) => {
+        folder = normalisePath(folder);
+        return folder === "/" ? "/" : `${folder}/`;
+    }
+
+    const folderExists = (folder) => {
+        const prefix = getFolderPrefix(folder);
+        return prefix === "/" || typeof folders[normalisePath(folder)] !== "undefined"
+            || Object.keys(files).some(filePath => filePath.startsWith(prefix))
+            || Object.keys(folders).some(existingFolder => existingFolder.startsWith(prefix));
+    }
+
+    const readStorageFile = (callback) => {
+        fs.readFile(storageFilePath, (err, encryptedContent) => {
+            if (err) {
+                if (err.code === "ENOENT") {
+                    return callback(undefined, {files: {}, folders: {}});
+                }
+                return callback(createOpenDSUErrorWrapper(`Failed to read ${storageFilePath}`, err));
+            }
+
+            let content;
+            try {
+                content = JSON.parse(crypto.decrypt(encryptedContent, encryptionKey).toString());
+            } catch (e) {
+                return callback(createOpenDSUErrorWrapper(`Failed to decrypt ${storageFilePath}. The encryption key may be wrong`, e));
+            }
+
+            callback(undefined, content);
+        });
+    }
+
+    const persist = (callback) => {
+        const serialisedContent = JSON.stringify({files, folders});
+        const write = persistence.then(async () => {
+            const temporaryFilePath = `${storageFilePath}.${Date.now()}.tmp`;
+            await $$.promisify(fs.mkdir)(folderPath, {recursive: true});
+            await $$.promisify(fs.writeFile)(temporaryFilePath, crypto.encrypt($$.Buffer.from(serialisedContent), encryptionKey));
+            await $$.promisify(fs.rename)(temporaryFilePath, storageFilePath);
+        });
+        // the writes are serialised, a failed write does not prevent the next ones
+        persistence = write.catch(() => {});
+
+        write.then(() => callback(), (err) => callback(createOpenDSUErrorWrapper(`Failed to write ${storageFilePath}`, err)));
+    }
+
+    const persistOutsideBatch = (callback) => {
+        if (this.batchInProgress()) {
+            return setTimeout(() => callback());
+        }
+
+        persist(callback);
+    }
+
+    this.load = (callback) => {
+        readStorageFile((err, content) => {
+            if (err) {
+                return callback(err);
+            }
+
+            files = content.files;
+            folders = content.folders;
+            callback();
+        });
+    }
+
+    this.writeFile = (filePath, data, options, callback) => {
+        if (typeof data === "function") {
+            callback = data;
+            data = undefined;
+        }
+
+        if (typeof options === "function") {
+            callback = options;
+        }
+
+        if (typeof data === "undefined" || data === null) {
+            data = "";
+        }
+        files[normalisePath(filePath)] = $$.Buffer.from(data).toString("base64");
+        persistOutsideBatch(callback);
+    }
+
+    this.readFile = (filePath, options, callback) => {
+        if (typeof options === "function") {
+            callback = options;
+        }
+
+        const content = files[normalisePath(filePath)];
+        setTimeout(() => {
+            if (typeof content === "undefined") {
+                return callback(Error(`File ${filePath} does not exist`));
+            }
+
+            callback(undefined, $$.Buffer.from(content, "base64"));
+        });
+    }
+
+    this.listFiles = (folder, options, callback) => {
+        if (typeof options === "function") {
+            callback = options;
+            options = undefined;
+        }
+
+        options = Object.assign({recursive: true}, options);
+        const prefix = getFolderPrefix(folder);
+        const exists = folderExists(folder);
+        const fileNames = Object.keys(files)
+            .filter(filePath => filePath.startsWith(prefix))
+            .map(filePath => filePath.slice(prefix.length))
+            .filter(fileName => options.recursive || fileName.indexOf("/") === -1);
+        setTimeout(() => {
+            if (!exists) {
+                return callback(Error(`Folder ${folder} does not exist`));
+            }
+
+            callback(undefined, fileNames);
+        });
+    }
+
+    this.listFolders = (folder, options, callback) => {
+        if (typeof options === "function") {
+            callback = options;
+            options = undefined;
+        }
+
+        options = Object.assign({recursive: false}, options);
+        const prefix = getFolderPrefix(folder);
+        const exists = folderExists(folder);
+        const folderNames = new Set();
+        const addParentFolders = (relativePath) => {
+            const segments = relativePath.split("/");
+            const depth = options.recursive ? segments.length : 1;
+            for (let i = 1; i <= depth; i++) {
+                folderNames.add(segments.slice(0, i).join("/"));
+            }
+        }
+
+        Object.keys(files).filter(filePath => filePath.startsWith(prefix)).forEach(filePath => {
+            const relativePath = filePath.slice(prefix.length);
+            if (relativePath.indexOf("/") !== -1) {
+                addParentFolders(relativePath.slice(0, relativePath.lastIndexOf("/")));
+            }
+        });
+        Object.keys(folders).filter(existingFolder => existingFolder.startsWith(prefix)).forEach(existingFolder => {
+            addParentFolders(existingFolder.slice(prefix.length));
+        });
+
+        setTimeout(() => {
+            if (!exists) {
+                return callback(Error(`Folder ${folder} does not exist`));
+            }
+
+            callback(undefined, [...folderNames]);
+        });
+    }
+
+    this.createFolder = (folder, options, callback) => {
+        if (typeof options === "function") {
+            callback = options;
+        }
+
+        folders[normalisePath(folder)] = true;
+        persistOutsideBatch(callback);
+    }
+
+    this.delete = (deletedPath, options, callback) => {
+        if (typeof options === "function") {
+            callback = options;
+        }
+
+        deletedPath = normalisePath(deletedPath);
+        const prefix = getFolderPrefix(deletedPath);
+        [files, folders].forEach(entries => {
+            Object.keys(entries).forEach(entryPath => {
+                if (entryPath === deletedPath || entryPath.startsWith(prefix)) {
+                    delete entries[entryPath];
+                }
+            });
+        });
+        persistOutsideBatch(callback);
+    }
+
+    this.stat = (statPath, callback) => {
+        let stat = {};
+        if (typeof files[normalisePath(statPath)] !== "undefined") {
+            stat = {type: "file"};
+        } else if (folderExists(statPath)) {
+            stat = {type: "folder"};
+        }
+
+        setTimeout(() => callback(undefined, stat));
+    }
+
+    this.refresh = (callback) => {
+        if (this.batchInProgress()) {
+            return setTimeout(() => callback());
+        }
+
+        this.load(callback);
+    }
+
+    this.getKeySSIAsObject = (callback) => {
+        callback(Error(`The encrypted file storage has no KeySSI`));
+    }
+
+    this.batchInProgress = () => {
+        return typeof batchId !== "undefined";
+    }
+
+    this.beginBatch = () => {
+        if (this.batchInProgress()) {
+            throw Error(`Another batch is already in progress`);
+        }
+
+        const generateUid = require("swarmutils").generateUid;
+        batchId = generateUid(16).toString("hex");
+        batchAttachments = 1;
+        batchSnapshot = JSON.stringify({files, folders});
+        return batchId;
+    }
+
+    this.safeBeginBatch = (wait, callback) => {
+        if (typeof wait === "function") {
+            callback = wait;
+            wait = false;
+        }
+
+        if (this.batchInProgress()) {
+            if (!wait) {
+                return callback(Error(`Another batch is already in progress`));
+            }
+
+            return pendingBatches.push(callback);
+        }
+
+        callback(undefined, this.beginBatch());
+    }
+
+    this.safeBeginBatchAsync = async (wait) => {
+        return await $$.promisify(this.safeBeginBatch)(wait);
+    }
+
+    this.startOrAttachBatch = (callback) => {
+        if (this.batchInProgress()) {
+            batchAttachments++;
+            return callback(undefined, batchId);
+        }
+
+        callback(undefined, this.beginBatch());
+    }
+
+    this.startOrAttachBatchAsync = async () => {
+        return await $$.promisify(this.startOrAttachBatch)();
+    }
+
+    const finishBatch = () => {
+        batchId = undefined;
+        batchAttachments = 0;
+        batchSnapshot = undefined;
+        if (pendingBatches.length > 0) {
+            pendingBatches.shift()(undefined, this.beginBatch());
+        }
+    }
+
+    this.commitBatch = (committedBatchId, callback) => {
+        if (typeof committedBatchId === "function") {
+            callback = committedBatchId;
+            committedBatchId = batchId;
+        }
+        callback = callback || (() => {});
+
+        if (!this.batchInProgress() || committedBatchId !== batchId) {
+            return callback(Error(`Batch ${committedBatchId} is not in progress`));
+        }
+
+        batchAttachments--;
+        if (batchAttachments > 0) {
+            return callback();
+        }
+
+        persist((err) => {
+            if (err) {
+                const content = JSON.parse(batchSnapshot);
+                files = content.files;
+                folders = content.folders;
+                finishBatch();
+                return callback(err);
+            }
+
+            finishBatch();
+            const observers = commitObservers;
+            commitObservers = observers.filter(observer => !observer.once);
+            observers.forEach(observer => observer.callback());
+            callback();
+        });
+    }
+
+    this.commitBatchAsync = async (committedBatchId) => {
+        return await $$.promisify(this.commitBatch)(committedBatchId);
+    }
+
+    this.cancelBatch = (canceledBatchId, callback) => {
+        if (typeof canceledBatchId === "function") {
+            callback = canceledBatchId;
+            canceledBatchId = batchId;
+        }
+        callback = callback || (() => {});
+
+        if (!this.batchInProgress() || canceledBatchId !== batchId) {
+            return callback(Error(`Batch ${canceledBatchId} is not in progress`));
+        }
+
+        const content = JSON.parse(batchSnapshot);
+        files = content.files;
+        folders = content.folders;
+        finishBatch();
+        callback();
+    }
+
+    this.cancelBatchAsync = async (canceledBatchId) => {
+        return await $$.promisify(this.cancelBatch)(canceledBatchId);
+    }
+
+    this.onCommitBatch = (callback, once) => {
+        commitObservers.push({callback, once});
+    }
+}
+
+module.exports = EncryptedFileStorage;
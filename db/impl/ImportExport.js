@@ -0,0 +1,310 @@
+/*
+    Export and import of the records of a table in one of the formats:
+        - ndjson: one JSON encoded record per line
+        - csv: a header with the field names followed by a line for every record. The values which are not strings
+          (and the strings which could be mistaken for other types, e.g. "007") are JSON encoded
+    The metadata fields managed by the DB (__version, __timestamp) are exported/imported only if includeMetadata is true.
+    The primary key is always exported in the pk field.
+ */
+const FORMATS = {
+    NDJSON: "ndjson",
+    CSV: "csv"
+};
+
+const METADATA_FIELDS = ["__version", "__timestamp"];
+const IGNORED_FIELDS = ["__previousRecord", "__deleted", "__key"];
+const EXPORT_PAGE_SIZE = 100;
+
+function checkFormat(format) {
+    if (Object.values(FORMATS).indexOf(format) === -1) {
+        throw Error(`Unsupported format <${format}>. The supported formats are ${Object.values(FORMATS).join(", ")}`);
+    }
+}
+
+function prepareRecordForExport(record, includeMetadata) {
+    const exportedRecord = {};
+    Object.keys(record).forEach(field => {
+        if (IGNORED_FIELDS.indexOf(field) !== -1 || (!includeMetadata && METADATA_FIELDS.indexOf(field) !== -1)) {
+            return;
+        }
+        exportedRecord[field] = record[field];
+    });
+
+    return exportedRecord;
+}
+
+function decodeCSVValue(text) {
+    if (text === "") {
+        return undefined;
+    }
+
+    try {
+        return JSON.parse(text);
+    } catch (e) {
+        return text;
+    }
+}
+
+function encodeCSVValue(value) {
+    if (typeof value === "undefined") {
+        return "";
+    }
+
+    let text = value;
+    if (typeof value !== "string" || decodeCSVValue(value) !== value) {
+        text = JSON.stringify(value);
+    }
+
+    if (/[",\r\n]/.test(text) || text.trim() !== text) {
+        text = `"${text.replace(/"/g, '""')}"`;
+    }
+    return text;
+}
+
+async function writeToStream(stream, data) {
+    const canContinue = stream.write(data);
+    if (canContinue === false && typeof stream.once === "function") {
+        await new Promise(resolve => stream.once("drain", resolve));
+    }
+}
+
+/*
+    The records are read in pages using db.filterIterator. For CSV the table is read twice: once for finding the columns
+    and once for writing the records. The stream is not closed at the end.
+ */
+async function exportTable(db, tableName, format, stream, options) {
+    checkFormat(format);
+    options = options || {};
+    const getRecords = () => db.filterIterator(tableName, options.query, "asc", EXPORT_PAGE_SIZE);
+
+    let exportedRecords = 0;
+    if (format === FORMATS.NDJSON) {
+        for await (const record of getRecords()) {
+            await writeToStream(stream, `${JSON.stringify(prepareRecordForExport(record, options.includeMetadata))}\n`);
+            exportedRecords++;
+        }
+        return exportedRecords;
+    }
+
+    const columns = ["pk"];
+    for await (const record of getRecords()) {
+        Object.keys(prepareRecordForExport(record, options.includeMetadata)).forEach(field => {
+            if (columns.indexOf(field) === -1) {
+                columns.push(field);
+            }
+        });
+    }
+
+    await writeToStream(stream, `${columns.map(encodeCSVValue).join(",")}\n`);
+    for await (const record of getRecords()) {
+        await writeToStream(stream, `${columns.map(column => encodeCSVValue(record[column])).join(",")}\n`);
+        exportedRecords++;
+    }
+    return exportedRecords;
+}
+
+/*
+    Returns an async iterator over the chunks of the source (an async iterable such as a Node.js Readable, a string or a Buffer)
+ */
+async function* getChunks(source) {
+    if (typeof source === "string" || $$.Buffer.isBuffer(source)) {
+        yield source.toString();
+        return;
+    }
+
+    if (!source || typeof source[Symbol.asyncIterator] !== "function") {
+        throw Error(`The source of the import should be a string, a Buffer or an async iterable stream`);
+    }
+
+    for await (const chunk of source) {
+        yield chunk.toString();
+    }
+}
+
+async function* parseNDJSON(source) {
+    let buffer = "";
+    let lineNumber = 0;
+    const parseLine = (line) => {
+        lineNumber++;
+        try {
+            return JSON.parse(line);
+        } catch (e) {
+            throw createOpenDSUErrorWrapper(`Invalid JSON on line ${lineNumber}`, e);
+        }
+    }
+
+    for await (const chunk of getChunks(source)) {
+        buffer += chunk;
+        const lines = buffer.split("\n");
+        buffer = lines.pop();
+        for (let line of lines) {
+            if (line.trim() === "") {
+                lineNumber++;
+                continue;
+            }
+            yield parseLine(line);
+        }
+    }
+
+    if (buffer.trim() !== "") {
+        yield parseLine(buffer);
+    }
+}
+
+/*
+    RFC 4180 parser: the values can be quoted and the quoted values can contain commas, double quotes ("") and new lines
+ */
+async function* parseCSVRows(source) {
+    let row = [];
+    let value = "";
+    let inQuotes = false;
+    let pendingQuote = false;
+    let valueStarted = false;
+
+    const endValue = () => {
+        row.push(value);
+        value = "";
+        valueStarted = false;
+    }
+
+    for await (const chunk of getChunks(source)) {
+        const completedRows = [];
+        for (let i = 0; i < chunk.length; i++) {
+            const char = chunk[i];
+            if (pendingQuote) {
+                pendingQuote = false;
+                if (char === '"') {
+                    value += '"';
+                    continue;
+                }
+                inQuotes = false;
+            }
+
+            if (inQuotes) {
+                if (char === '"') {
+                    pendingQuote = true;
+                } else {
+                    value += char;
+                }
+                continue;
+            }
+
+            if (char === '"' && !valueStarted) {
+                inQuotes = true;
+                valueStarted = true;
+            } else if (char === ",") {
+                endValue();
+            } else if (char === "\n") {
+                endValue();
+                completedRows.push(row);
+                row = [];
+            } else if (char !== "\r") {
+                value += char;
+                valueStarted = true;
+            }
+        }
+
+        yield* completedRows;
+    }
+
+    if (inQuotes && !pendingQuote) {
+        throw Error(`Unterminated quoted value in CSV`);
+    }
+
+    if (valueStarted || row.length > 0) {
+        endValue();
+        yield row;
+    }
+}
+
+async function* parseCSV(source) {
+    let columns;
+    for await (const row of parseCSVRows(source)) {
+        if (row.length === 1 && row[0] === "") {
+            continue;
+        }
+
+        if (!columns) {
+            columns = row.map(decodeCSVValue);
+            continue;
+        }
+
+        const record = {};
+        columns.forEach((column, index) => {
+            const value = decodeCSVValue(typeof row[index] === "undefined" ? "" : row[index]);
+            if (typeof value !== "undefined") {
+                record[column] = value;
+            }
+        });
+        yield record;
+    }
+}
+
+/*
+    Import the records inside a batch. The indexes of the table are rebuilt before committing the batch.
+    Options:
+        - includeMetadata: keep the __version and __timestamp of the inserted records
+        - overwrite: update the existing records instead of skipping them
+        - primaryKey: the field holding the primary key (default "pk")
+    Returns the number of inserted, updated and skipped records.
+ */
+async function importTable(db, tableName, format, source, options) {
+    checkFormat(format);
+    options = options || {};
+    const primaryKey = options.primaryKey || "pk";
+    const records = format === FORMATS.NDJSON ? parseNDJSON(source) : parseCSV(source);
+    const report = {inserted: 0, updated: 0, skipped: 0};
+
+    const batchId = await db.safeBeginBatchAsync();
+    try {
+        for await (let record of records) {
+            const pk = record[primaryKey];
+            if (typeof pk === "undefined" || pk === null) {
+                throw Error(`Record ${JSON.stringify(record)} has no primary key <${primaryKey}>`);
+            }
+
+            record = prepareRecordForExport(record, options.includeMetadata);
+            delete record.pk;
+            let existingRecord;
+            try {
+                existingRecord = await $$.promisify(db.getRecord)(tableName, `${pk}`);
+            } catch (e) {
+                existingRecord = undefined;
+            }
+
+            if (!existingRecord) {
+                await $$.promisify(db.insertRecord)(tableName, `${pk}`, record);
+                report.inserted++;
+            } else if (options.overwrite) {
+                await $$.promisify(db.updateRecord)(tableName, `${pk}`, record);
+                report.updated++;
+            } else {
+                report.skipped++;
+            }
+        }
+
+        // the compound indexes are listed by their names ("gtin,batch") and are created from their fields
+        const {getIndexFields} = require("../storageStrategies/utils");
+        const indexedFields = await $$.promisify(db.getIndexedFields)(tableName);
+        for (let i = 0; i < indexedFields.length; i++) {
+            const fields = getIndexFields(indexedFields[i]);
+            await $$.promisify(db.addIndex)(tableName, fields.length > 1 ? fields : fields[0], true);
+        }
+    } catch (e) {
+        try {
+            await db.cancelBatchAsync(batchId);
+        } catch (error) {
+            throw createOpenDSUErrorWrapper(`Failed to cancel batch`, error, e);
+        }
+        throw e;
+    }
+
+    await db.commitBatchAsync(batchId);
+    return report;
+}
+
+module.exports = {
+    FORMATS,
+    exportTable,
+    importTable
+}
@@ -0,0 +1,117 @@
+/*
+    Migrations upgrade the records of a DB when their shape changes. Every migration has a version number and an up function
+    receiving the DB: up(db) returning a promise or up(db, callback).
+    The version of the last applied migration is stored with writeKey. When the DB is opened, the migrations with a greater
+    version are applied in order inside a single batch. If one of them fails the batch is canceled and the DB stays at
+    the previous version.
+ */
+const SCHEMA_VERSION_KEY = "__schemaVersion";
+
+function MigrationsRegistry() {
+    const migrations = {};
+
+    this.register = (version, up) => {
+        if (!Number.isInteger(version) || version <= 0) {
+            throw Error(`Invalid migration version <${version}>. The version should be a positive integer`);
+        }
+
+        if (typeof up !== "function") {
+            throw Error(`The up function of migration ${version} should be a function`);
+        }
+
+        if (migrations[version]) {
+            throw Error(`A migration with version ${version} is already registered`);
+        }
+
+        migrations[version] = {version, up};
+        return this;
+    }
+
+    this.getMigrations = () => {
+        return Object.values(migrations).sort((first, second) => first.version - second.version);
+    }
+}
+
+/*
+    The migrations can be provided as a MigrationsRegistry or as a list of {version, up} objects
+ */
+function getMigrationsList(migrations) {
+    if (typeof migrations.getMigrations === "function") {
+        return migrations.getMigrations();
+    }
+
+    const registry = new MigrationsRegistry();
+    migrations.forEach(migration => registry.register(migration.version, migration.up));
+    return registry.getMigrations();
+}
+
+function getSchemaVersion(db, callback) {
+    db.readKey(SCHEMA_VERSION_KEY, (err, version) => {
+        if (err || typeof version !== "number") {
+            return callback(undefined, 0);
+        }
+
+        callback(undefined, version);
+    });
+}
+
+function runMigration(db, migration) {
+    if (migration.up.length >= 2) {
+        return $$.promisify(migration.up)(db);
+    }
+
+    return Promise.resolve(migration.up(db));
+}
+
+/*
+    The callback receives the version of the DB before and after running the migrations: {from, to}
+ */
+async function runMigrations(db, migrations, callback) {
+    let pendingMigrations;
+    let currentVersion;
+    try {
+        currentVersion = await $$.promisify(getSchemaVersion)(db);
+        pendingMigrations = getMigrationsList(migrations).filter(migration => migration.version > currentVersion);
+    } catch (e) {
+        return callback(createOpenDSUErrorWrapper(`Failed to get the migrations to run`, e));
+    }
+
+    if (pendingMigrations.length === 0) {
+        return callback(undefined, {from: currentVersion, to: currentVersion});
+    }
+
+    let batchId;
+    try {
+        batchId = await db.safeBeginBatchAsync();
+    } catch (e) {
+        return callback(createOpenDSUErrorWrapper(`Failed to begin batch for running migrations`, e));
+    }
+
+    const newVersion = pendingMigrations[pendingMigrations.length - 1].version;
+    let migration;
+    try {
+        for (migration of pendingMigrations) {
+            await runMigration(db, migration);
+        }
+        migration = undefined;
+        await $$.promisify(db.writeKey)(SCHEMA_VERSION_KEY, newVersion);
+        await db.commitBatchAsync(batchId);
+    } catch (e) {
+        const migrationError = createOpenDSUErrorWrapper(migration ? `Failed to run migration ${migration.version}` : `Failed to commit the migrations to version ${newVersion}`, e);
+        try {
+            await db.cancelBatchAsync(batchId);
+        } catch (error) {
+            return callback(createOpenDSUErrorWrapper(`Failed to cancel batch`, error, migrationError));
+        }
+        return callback(migrationError);
+    }
+
+    callback(undefined, {from: currentVersion, to: newVersion});
+}
+
+module.exports = {
+    SCHEMA_VERSION_KEY,
+    MigrationsRegistry,
+    getSchemaVersion,
+    runMigrations
+}
@@ -0,0 +1,229 @@
+/*
+    Validation of records against a JSON-Schema-like table definition:
+        {
+            properties: {
+                name: {type: "string", maxLength: 100},
+                status: {type: "string", enum: ["open", "closed"]},
+                quantity: {type: "integer", minimum: 0},
+                tags: {type: "array", items: {type: "string"}}
+            },
+            required: ["name"],
+            additionalProperties: false
+        }
+    Supported types: string, number, integer, boolean, object, array, null (a list of types is also accepted).
+    The fields not declared in properties are accepted unless additionalProperties is false, as in JSON Schema.
+    The fields managed by the DB (pk and the fields starting with "__") are not validated.
+    A top level field can be stored encrypted with a key of the enclave: {type: "number", encryptionKey: "pricesKey"}.
+    The values of the encrypted fields which are not decrypted (see storageStrategies/fieldEncryption.js) are not validated.
+ */
+const TYPES = ["string", "number", "integer", "boolean", "object", "array", "null"];
+const FIELD_KEYWORDS = ["type", "enum", "maxLength", "minLength", "minimum", "maximum", "items", "properties", "required", "additionalProperties", "description", "default", "encryptionKey"];
+
+function isManagedField(fieldName) {
+    return fieldName === "pk" || fieldName.startsWith("__");
+}
+
+function getType(value) {
+    if (value === null) {
+        return "null";
+    }
+
+    if (Array.isArray(value)) {
+        return "array";
+    }
+
+    return typeof value;
+}
+
+function matchesType(value, type) {
+    const valueType = getType(value);
+    if (type === "integer") {
+        return Number.isInteger(value);
+    }
+
+    return valueType === type;
+}
+
+function checkFieldDefinition(definition, path, errors) {
+    if (typeof definition !== "object" || definition === null || Array.isArray(definition)) {
+        return errors.push(`The definition of <${path}> should be an object`);
+    }
+
+    Object.keys(definition).forEach(keyword => {
+        if (FIELD_KEYWORDS.indexOf(keyword) === -1) {
+            errors.push(`Unknown keyword <${keyword}> in the definition of <${path}>`);
+        }
+    });
+
+    if (typeof definition.type !== "undefined") {
+        const types = Array.isArray(definition.type) ? definition.type : [definition.type];
+        types.forEach(type => {
+            if (TYPES.indexOf(type) === -1) {
+                errors.push(`Unknown type <${type}> in the definition of <${path}>`);
+            }
+        });
+    }
+
+    if (typeof definition.enum !== "undefined" && !Array.isArray(definition.enum)) {
+        errors.push(`The enum of <${path}> should be an array`);
+    }
+
+    ["maxLength", "minLength", "minimum", "maximum"].forEach(keyword => {
+        if (typeof definition[keyword] !== "undefined" && typeof definition[keyword] !== "number") {
+            errors.push(`The ${keyword} of <${path}> should be a number`);
+        }
+    });
+
+    if (typeof definition.encryptionKey !== "undefined") {
+        if (typeof definition.encryptionKey !== "string") {
+            errors.push(`The encryptionKey of <${path}> should be the alias of a secret key`);
+        } else if (path.indexOf(".") !== -1 || path.indexOf("[]") !== -1) {
+            errors.push(`Only the top level fields can be encrypted and <${path}> is a nested field`);
+        }
+    }
+
+    if (typeof definition.items !== "undefined") {
+        checkFieldDefinition(definition.items, `${path}[]`, errors);
+    }
+
+    if (typeof definition.properties !== "undefined") {
+        checkObjectDefinition(definition, path, errors);
+    }
+}
+
+function checkObjectDefinition(definition, path, errors) {
+    if (typeof definition.properties !== "object" || definition.properties === null) {
+        return errors.push(`The properties of <${path}> should be an object`);
+    }
+
+    Object.keys(definition.properties).forEach(fieldName => {
+        checkFieldDefinition(definition.properties[fieldName], path ? `${path}.${fieldName}` : fieldName, errors);
+    });
+
+    if (typeof definition.required !== "undefined") {
+        if (!Array.isArray(definition.required)) {
+            return errors.push(`The required fields of <${path}> should be an array`);
+        }
+
+        definition.required.forEach(fieldName => {
+            if (typeof definition.properties[fieldName] === "undefined") {
+                errors.push(`Required field <${path ? `${path}.${fieldName}` : fieldName}> is not defined in properties`);
+            }
+        });
+    }
+}
+
+/*
+    Returns the list of problems found in the schema (an empty list for a valid schema)
+ */
+function checkSchema(schema) {
+    const errors = [];
+    if (typeof schema !== "object" || schema === null || Array.isArray(schema)) {
+        errors.push(`The schema should be an object`);
+        return errors;
+    }
+
+    checkObjectDefinition(schema, "", errors);
+    return errors;
+}
+
+function validateValue(definition, value, path, errors) {
+    if (typeof definition.type !== "undefined") {
+        const types = Array.isArray(definition.type) ? definition.type : [definition.type];
+        if (!types.some(type => matchesType(value, type))) {
+            return errors.push(`Field <${path}> should be of type ${types.join(" or ")} but it is ${getType(value)}`);
+        }
+    }
+
+    if (Array.isArray(definition.enum) && !definition.enum.some(allowedValue => JSON.stringify(allowedValue) === JSON.stringify(value))) {
+        errors.push(`Field <${path}> should be one of ${JSON.stringify(definition.enum)}`);
+    }
+
+    if (typeof value === "string" || Array.isArray(value)) {
+        if (typeof definition.maxLength === "number" && value.length > definition.maxLength) {
+            errors.push(`Field <${path}> is longer than ${definition.maxLength}`);
+        }
+
+        if (typeof definition.minLength === "number" && value.length < definition.minLength) {
+            errors.push(`Field <${path}> is shorter than ${definition.minLength}`);
+        }
+    }
+
+    if (typeof value === "number") {
+        if (typeof definition.minimum === "number" && value < definition.minimum) {
+            errors.push(`Field <${path}> should be greater than or equal to ${definition.minimum}`);
+        }
+
+        if (typeof definition.maximum === "number" && value > definition.maximum) {
+            errors.push(`Field <${path}> should be less than or equal to ${definition.maximum}`);
+        }
+    }
+
+    if (Array.isArray(value) && typeof definition.items === "object") {
+        value.forEach((item, index) => validateValue(definition.items, item, `${path}[${index}]`, errors));
+    }
+
+    if (getType(value) === "object" && typeof definition.properties === "object") {
+        validateObject(definition, value, path, errors);
+    }
+}
+
+function validateObject(definition, object, path, errors) {
+    const getPath = (fieldName) => path ? `${path}.${fieldName}` : fieldName;
+    (definition.required || []).forEach(fieldName => {
+        if (typeof object[fieldName] === "undefined") {
+            errors.push(`Required field <${getPath(fieldName)}> is missing`);
+        }
+    });
+
+    Object.keys(object).forEach(fieldName => {
+        if (!path && isManagedField(fieldName)) {
+            return;
+        }
+
+        const fieldDefinition = definition.properties[fieldName];
+        if (typeof fieldDefinition === "undefined") {
+            if (definition.additionalProperties === false) {
+                errors.push(`Field <${getPath(fieldName)}> is not defined in the schema`);
+            }
+            return;
+        }
+
+        if (typeof fieldDefinition.encryptionKey !== "undefined" && require("../storageStrategies/fieldEncryption").isEncryptedValue(object[fieldName])) {
+            return;
+        }
+
+        if (typeof object[fieldName] !== "undefined") {
+            validateValue(fieldDefinition, object[fieldName], getPath(fieldName), errors);
+        }
+    });
+}
+
+/*
+    Returns the list of fields of the record that don't match the schema (an empty list for a valid record)
+ */
+function validateRecord(schema, record) {
+    const errors = [];
+    validateObject(schema, record, "", errors);
+    return errors;
+}
+
+/*
+    Returns an object mapping the encrypted fields of the schema to the aliases of their keys
+ */
+function getEncryptedFields(schema) {
+    const encryptedFields = {};
+    Object.keys(schema.properties || {}).forEach(fieldName => {
+        if (typeof schema.properties[fieldName].encryptionKey === "string") {
+            encryptedFields[fieldName] = schema.properties[fieldName].encryptionKey;
+        }
+    });
+
+    return encryptedFields;
+}
+
+module.exports = {
+    checkSchema,
+    validateRecord,
+    getEncryptedFields
+}
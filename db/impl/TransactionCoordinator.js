@@ -0,0 +1,382 @@
+/*
+    Transactions spanning several DBs (BasicDB instances) and DSUs
+    A transaction begins a batch on every participant and writes a pending intent record in the journal DB. The writes are
+    made through the participants returned by transaction.getParticipant, which record them as operations besides applying
+    them in the batches.
+    On commit, the operations are written in the intent (write-ahead) which becomes prepared, then the batches of the
+    participants are committed one by one. The intent is marked as committed after all the batches were committed.
+    After a crash, recover finds the incomplete transactions:
+        - the pending ones did not commit anything, they are marked as canceled
+        - the prepared ones are rolled forward by replaying the operations on the participants whose batches were not committed
+    The operations are replayed with "put" semantics (an insert of an existing record updates it) in order to be idempotent.
+    The operations of the committed and canceled transactions are removed from their intents and the unfinished intents are
+    found through an index on their state, so the journal is not scanned.
+ */
+const TRANSACTIONS_TABLE = "__transactions";
+
+const TRANSACTION_STATES = {
+    PENDING: "pending",
+    PREPARED: "prepared",
+    COMMITTED: "committed",
+    CANCELED: "canceled"
+};
+
+const DB_OPERATIONS = ["insertRecord", "updateRecord", "deleteRecord", "writeKey"];
+const DSU_OPERATIONS = ["writeFile", "delete", "createFolder"];
+
+function isDB(participant) {
+    return typeof participant.insertRecord === "function" && typeof participant.getRecord === "function";
+}
+
+// the values are stored in the intent as JSON, the buffers are encoded as base64
+function encodeValue(value) {
+    if ($$.Buffer.isBuffer(value) || value instanceof Uint8Array) {
+        return {__buffer: $$.Buffer.from(value).toString("base64")};
+    }
+
+    return typeof value === "undefined" ? undefined : JSON.parse(JSON.stringify(value));
+}
+
+// the operations of a finished transaction are not needed anymore, only the state of its intent is kept
+function finishIntent(intent, state) {
+    intent.state = state;
+    intent.operations = [];
+}
+
+function decodeValue(value) {
+    if (value && typeof value === "object" && typeof value.__buffer === "string") {
+        return $$.Buffer.from(value.__buffer, "base64");
+    }
+
+    return value;
+}
+
+async function replayOperation(participant, operation) {
+    const args = operation.args.map(decodeValue);
+    if (!isDB(participant)) {
+        try {
+            await $$.promisify(participant[operation.type])(...args);
+        } catch (e) {
+            // the deleted paths and the created folders can already be in the DSU
+            if (operation.type === "writeFile") {
+                throw e;
+            }
+        }
+        return;
+    }
+
+    const [tableName, pk, record] = args;
+    if (operation.type === "writeKey") {
+        return await $$.promisify(participant.writeKey)(...args);
+    }
+
+    let existingRecord;
+    try {
+        existingRecord = await $$.promisify(participant.getRecord)(tableName, pk);
+    } catch (e) {
+        existingRecord = undefined;
+    }
+
+    if (operation.type === "deleteRecord") {
+        if (existingRecord) {
+            await $$.promisify(participant.deleteRecord)(tableName, pk);
+        }
+        return;
+    }
+
+    if (existingRecord) {
+        await $$.promisify(participant.updateRecord)(tableName, pk, record);
+    } else {
+        await $$.promisify(participant.insertRecord)(tableName, pk, record);
+    }
+}
+
+function Transaction(journalDB, transactionId, participants, batchIds) {
+    const operations = [];
+    const participantNames = Object.keys(participants);
+    const intent = {state: TRANSACTION_STATES.PENDING, participants: participantNames, committedParticipants: [], operations: []};
+    let finished = false;
+
+    const checkNotFinished = () => {
+        if (finished) {
+            throw Error(`Transaction ${transactionId} is already finished`);
+        }
+    }
+
+    this.getId = () => {
+        return transactionId;
+    }
+
+    /*
+        Returns an object exposing the write functions of the participant (insertRecord, updateRecord, deleteRecord and writeKey
+        for DBs, writeFile, delete and createFolder for DSUs) and its read functions
+     */
+    this.getParticipant = (name) => {
+        const participant = participants[name];
+        if (!participant) {
+            throw Error(`Unknown participant <${name}> in transaction ${transactionId}`);
+        }
+
+        const transactionalParticipant = Object.create(participant);
+        const operationTypes = isDB(participant) ? DB_OPERATIONS : DSU_OPERATIONS;
+        operationTypes.forEach(type => {
+            transactionalParticipant[type] = (...args) => {
+                const callback = args.pop();
+                try {
+                    checkNotFinished();
+                } catch (e) {
+                    return callback(e);
+                }
+
+                const operation = {participant: name, type, args: args.map(encodeValue)};
+                participant[type](...args, (err, ...results) => {
+                    if (err) {
+                        return callback(err);
+                    }
+
+                    operations.push(operation);
+                    callback(undefined, ...results);
+                });
+            }
+        });
+
+        return transactionalParticipant;
+    }
+
+    /*
+        Write the intent in the journal and commit the batches of the participants
+        If a batch fails to commit the transaction is completed by TransactionCoordinator.recover
+     */
+    this.commit = async (callback) => {
+        try {
+            checkNotFinished();
+        } catch (e) {
+            return callback(e);
+        }
+        finished = true;
+
+        if (operations.length === 0) {
+            return cancelTransaction(callback);
+        }
+
+        intent.state = TRANSACTION_STATES.PREPARED;
+        intent.operations = operations;
+        try {
+            await $$.promisify(journalDB.updateRecord)(TRANSACTIONS_TABLE, transactionId, intent);
+        } catch (e) {
+            const intentError = createOpenDSUErrorWrapper(`Failed to write the intent of transaction ${transactionId}`, e);
+            return cancelTransaction((err) => callback(err ? createOpenDSUErrorWrapper(`Failed to cancel transaction ${transactionId}`, err, intentError) : intentError));
+        }
+
+        for (let i = 0; i < participantNames.length; i++) {
+            const name = participantNames[i];
+            let committed = false;
+            try {
+                await participants[name].commitBatchAsync(batchIds[name]);
+                committed = true;
+                intent.committedParticipants.push(name);
+                await $$.promisify(journalDB.updateRecord)(TRANSACTIONS_TABLE, transactionId, intent);
+            } catch (e) {
+                // the batches which were not committed are closed so that recover can begin new batches on their participants
+                const cancelErrors = await cancelBatches(participantNames.slice(committed ? i + 1 : i));
+                return callback(createOpenDSUErrorWrapper(`Failed to commit transaction ${transactionId} on participant ${name}. The transaction will be completed by recover`, e, cancelErrors));
+            }
+        }
+
+        finishIntent(intent, TRANSACTION_STATES.COMMITTED);
+        try {
+            await $$.promisify(journalDB.updateRecord)(TRANSACTIONS_TABLE, transactionId, intent);
+        } catch (e) {
+            return callback(createOpenDSUErrorWrapper(`Failed to mark transaction ${transactionId} as committed`, e));
+        }
+
+        callback();
+    }
+
+    /*
+        Cancel the batches of all the participants
+     */
+    this.cancel = (callback) => {
+        try {
+            checkNotFinished();
+        } catch (e) {
+            return callback(e);
+        }
+        finished = true;
+        cancelTransaction(callback);
+    }
+
+    // returns the errors of the batches which could not be canceled
+    const cancelBatches = async (names) => {
+        const errors = [];
+        for (let i = 0; i < names.length; i++) {
+            try {
+                await participants[names[i]].cancelBatchAsync(batchIds[names[i]]);
+            } catch (e) {
+                errors.push(e);
+            }
+        }
+
+        return errors;
+    }
+
+    const cancelTransaction = async (callback) => {
+        const errors = await cancelBatches(participantNames);
+        if (errors.length > 0) {
+            return callback(createOpenDSUErrorWrapper(`Failed to cancel the batches of transaction ${transactionId}`, errors[0], errors.slice(1)));
+        }
+
+        finishIntent(intent, TRANSACTION_STATES.CANCELED);
+        journalDB.updateRecord(TRANSACTIONS_TABLE, transactionId, intent, (err) => {
+            if (err) {
+                return callback(createOpenDSUErrorWrapper(`Failed to mark transaction ${transactionId} as canceled`, err));
+            }
+
+            callback();
+        });
+    }
+
+    this.getIntent = () => {
+        return intent;
+    }
+}
+
+/*
+    journalDB is the DB in which the intents of the transactions are written. It should not be a participant of the transactions.
+    The participants are given as an object mapping names to DBs or DSUs: {products: productsDB, leaflet: leafletDSU}.
+    The names are written in the intents and the same names have to be used on recover.
+ */
+function TransactionCoordinator(journalDB) {
+    let journalIndex;
+    const indexJournal = () => {
+        if (typeof journalIndex === "undefined") {
+            journalIndex = $$.promisify(journalDB.addIndex)(TRANSACTIONS_TABLE, "state").catch(err => {
+                journalIndex = undefined;
+                throw err;
+            });
+        }
+
+        return journalIndex;
+    }
+
+    this.beginTransaction = async (participants, callback) => {
+        const participantNames = Object.keys(participants || {});
+        if (participantNames.length === 0) {
+            return callback(Error(`A transaction needs at least one participant`));
+        }
+
+        if (participantNames.some(name => participants[name] === journalDB)) {
+            return callback(Error(`The journal DB can't be a participant of the transactions`));
+        }
+
+        try {
+            await indexJournal();
+        } catch (e) {
+            return callback(createOpenDSUErrorWrapper(`Failed to index the journal of transactions`, e));
+        }
+
+        const batchIds = {};
+        for (let i = 0; i < participantNames.length; i++) {
+            const name = participantNames[i];
+            try {
+                batchIds[name] = await participants[name].safeBeginBatchAsync();
+            } catch (e) {
+                const batchError = createOpenDSUErrorWrapper(`Failed to begin batch on participant ${name}`, e);
+                for (let j = 0; j < i; j++) {
+                    try {
+                        await participants[participantNames[j]].cancelBatchAsync(batchIds[participantNames[j]]);
+                    } catch (err) {
+                        console.log(`Failed to cancel batch on participant ${participantNames[j]}`, err);
+                    }
+                }
+                return callback(batchError);
+            }
+        }
+
+        const generateUid = require("swarmutils").generateUid;
+        const transactionId = `${Date.now()}_${generateUid(16).toString("hex")}`;
+        const transaction = new Transaction(journalDB, transactionId, participants, batchIds);
+        journalDB.insertRecord(TRANSACTIONS_TABLE, transactionId, transaction.getIntent(), (err) => {
+            if (err) {
+                const intentError = createOpenDSUErrorWrapper(`Failed to write the intent of transaction ${transactionId}`, err);
+                return transaction.cancel(() => callback(intentError));
+            }
+
+            callback(undefined, transaction);
+        });
+    }
+
+    /*
+        Complete the transactions interrupted by a crash. It should be called before beginning new transactions, as the
+        transactions in progress can't be distinguished from the interrupted ones.
+        The callback receives the list of recovered transactions: [{id, state, participants}] where state is "canceled" or
+        "committed" and participants are the names of the participants on which the operations were replayed.
+        The prepared transactions having participants which are not provided are left for a later recover.
+     */
+    this.recover = async (participants, callback) => {
+        const recoveredTransactions = [];
+        let intents;
+        try {
+            await indexJournal();
+            intents = await $$.promisify(journalDB.filter)(TRANSACTIONS_TABLE, `state in [${TRANSACTION_STATES.PENDING}, ${TRANSACTION_STATES.PREPARED}]`);
+        } catch (e) {
+            return callback(createOpenDSUErrorWrapper(`Failed to read the journal of transactions`, e));
+        }
+
+        for (let i = 0; i < intents.length; i++) {
+            const intent = intents[i];
+            if (intent.state === TRANSACTION_STATES.PENDING) {
+                finishIntent(intent, TRANSACTION_STATES.CANCELED);
+                try {
+                    await $$.promisify(journalDB.updateRecord)(TRANSACTIONS_TABLE, intent.pk, intent);
+                } catch (e) {
+                    return callback(createOpenDSUErrorWrapper(`Failed to cancel transaction ${intent.pk}`, e));
+                }
+                recoveredTransactions.push({id: intent.pk, state: intent.state, participants: []});
+                continue;
+            }
+
+            const pendingParticipants = intent.participants.filter(name => intent.committedParticipants.indexOf(name) === -1);
+            const missingParticipant = pendingParticipants.find(name => !participants[name]);
+            if (missingParticipant) {
+                console.log(`Transaction ${intent.pk} can't be recovered without participant ${missingParticipant}`);
+                continue;
+            }
+
+            try {
+                for (let j = 0; j < pendingParticipants.length; j++) {
+                    const name = pendingParticipants[j];
+                    const participant = participants[name];
+                    const batchId = await participant.safeBeginBatchAsync();
+                    try {
+                        const participantOperations = intent.operations.filter(operation => operation.participant === name);
+                        for (let k = 0; k < participantOperations.length; k++) {
+                            await replayOperation(participant, participantOperations[k]);
+                        }
+                    } catch (e) {
+                        await participant.cancelBatchAsync(batchId);
+                        throw e;
+                    }
+                    await participant.commitBatchAsync(batchId);
+
+                    intent.committedParticipants.push(name);
+                    await $$.promisify(journalDB.updateRecord)(TRANSACTIONS_TABLE, intent.pk, intent);
+                }
+
+                finishIntent(intent, TRANSACTION_STATES.COMMITTED);
+                await $$.promisify(journalDB.updateRecord)(TRANSACTIONS_TABLE, intent.pk, intent);
+            } catch (e) {
+                return callback(createOpenDSUErrorWrapper(`Failed to recover transaction ${intent.pk}`, e));
+            }
+
+            recoveredTransactions.push({id: intent.pk, state: intent.state, participants: pendingParticipants});
+        }
+
+        callback(undefined, recoveredTransactions);
+    }
+}
+
+TransactionCoordinator.TRANSACTIONS_TABLE = TRANSACTIONS_TABLE;
+TransactionCoordinator.TRANSACTION_STATES = TRANSACTION_STATES;
+
+module.exports = TransactionCoordinator;
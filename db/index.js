@@ -5,8 +5,38 @@ function getBasicDB(storageStrategy, conflictSolvingStrategy, options) {
     return new BasicDB(storageStrategy, conflictSolvingStrategy, options);
 }
 
-function getMultiUserDB(keySSI, dbName) {
-    throw "Not implemented yet";
+/*
+    A DB where every user, identified by userId (e.g. a DID identifier), writes into its own DSU and reads the merged view
+    of the DSUs of all the writers. The returned DB has getWriters, addWriter and removeWriter functions for managing
+    the writers.
+ */
+function getMultiUserDB(keySSI, dbName, userId, options) {
+    if (typeof userId === "undefined") {
+        throw Error(`A user id is required in order to get a multi user DB`);
+    }
+
+    let MultiUserStorageStrategy = require("./storageStrategies/MultiUserStorageStrategy");
+    let storageStrategy = new MultiUserStorageStrategy();
+    let ConflictStrategy = require("./conflictSolvingStrategies/timestampMergingStrategy").TimestampMergingStrategy;
+    let db = getBasicDB(storageStrategy, new ConflictStrategy(), options);
+
+    db.getWriters = storageStrategy.getWriters;
+    db.addWriter = storageStrategy.addWriter;
+    db.removeWriter = storageStrategy.removeWriter;
+
+    util.ensure_MultiUserDB_DSU_Initialisation(keySSI, dbName, userId, (err, membershipDSU, writerDSU, sharableSSI) => {
+        if (err) {
+            return db.dispatchEvent("error", createOpenDSUErrorWrapper("Failed to initialise MultiUserDB " + dbName, err));
+        }
+
+        db.getShareableSSI = function () {
+            return sharableSSI;
+        };
+
+        storageStrategy.initialise(membershipDSU, writerDSU, dbName, userId);
+    });
+
+    return db;
 }
 
 let getSharedDB = function (keySSI, dbName, options) {
@@ -110,8 +140,54 @@ const getVersionlessDB = (dbName, options) => {
     return db;
 }
 
+/*
+    A DB persisted in a local folder, encrypted with the encryptionKey (Node.js only, see impl/EncryptedFileStorage.js)
+ */
+const getEncryptedFileDB = (folderPath, encryptionKey, dbName, options) => {
+    options = options || {};
+    let SingleDSUStorageStrategy = require("./storageStrategies/SingleDSUStorageStrategy").SingleDSUStorageStrategy;
+    let storageStrategy = new SingleDSUStorageStrategy();
+    let ConflictStrategy = require("./conflictSolvingStrategies/timestampMergingStrategy").TimestampMergingStrategy;
+    let db = getBasicDB(storageStrategy, new ConflictStrategy(), options);
+
+    const EncryptedFileStorage = require("./impl/EncryptedFileStorage");
+    const storage = new EncryptedFileStorage(folderPath, encryptionKey);
+    storage.load((err) => {
+        if (err) {
+            return db.dispatchEvent("error", createOpenDSUErrorWrapper(`Failed to load the DB ${dbName} from ${folderPath}`, err));
+        }
+
+        db.onCommitBatch = function (callback, once) {
+            storage.onCommitBatch(callback, once);
+        }
+
+        storageStrategy.initialise(storage, dbName);
+    });
+
+    return db;
+}
+
+/*
+    Registry of the migrations to be passed in the options of a DB (options.migrations)
+ */
+const createMigrationsRegistry = () => {
+    const MigrationsRegistry = require("./impl/Migrations").MigrationsRegistry;
+    return new MigrationsRegistry();
+}
+
+/*
+    Coordinator of the transactions spanning several DBs and DSUs (see impl/TransactionCoordinator.js)
+    The intents of the transactions are written in the journal DB
+ */
+const getTransactionCoordinator = (journalDB) => {
+    const TransactionCoordinator = require("./impl/TransactionCoordinator");
+    return new TransactionCoordinator(journalDB);
+}
+
 module.exports = {
     getBasicDB,
+    createMigrationsRegistry,
+    getTransactionCoordinator,
     getWalletDB(keySSI, dbName) {
         console.warn(`The function "getWalletDB is obsolete. Use getSimpleWalletDB instead`);
         return getSharedDB(keySSI, dbName);
@@ -120,6 +196,7 @@ module.exports = {
     getMultiUserDB,
     getSharedDB,
     getInMemoryDB,
+    getEncryptedFileDB,
     getEnclaveDB,
     getMainEnclaveDB,
     getMainEnclave: getMainEnclaveDB,
@@ -1,6 +1,5 @@
 function MemoryStorageStrategy() {
     const ObservableMixin = require("../../utils/ObservableMixin");
-    const operators = require("./operators");
     let volatileMemory = {}
     let self = this
     ObservableMixin(this);
@@ -43,8 +42,8 @@ function MemoryStorageStrategy() {
 
         if (typeof conditionsArray === "string") {
             conditionsArray = [conditionsArray];
-        } else if (!Array.isArray(conditionsArray)) {
-            return callback(Error(`Condition argument of filter function need to be string or array of strings`));
+        } else if (conditionsArray === null || typeof conditionsArray !== "object") {
+            return callback(Error(`Condition argument of filter function need to be string, array of strings or query object`));
         }
 
         if (typeof sort === "function") {
@@ -70,16 +69,14 @@ function MemoryStorageStrategy() {
         const records = Object.values(tbl);
         const filteredRecords = [];
         let Query = require("./Query");
-        let query = new Query(conditionsArray);
-        const conditions = query.getConditions();
+        let query;
+        try {
+            query = new Query(conditionsArray);
+        } catch (e) {
+            return callback(createOpenDSUErrorWrapper(`Invalid query ${JSON.stringify(conditionsArray)}`, e));
+        }
         records.forEach(record => {
-            let shouldBeAdded = true;
-            for (let i = 0; i < conditions.length; i++) {
-                if (!operators[conditions[i][1]](record[conditions[i][0]], conditions[i][2])) {
-                    shouldBeAdded = false;
-                }
-            }
-            if (shouldBeAdded && filteredRecords.length < limit) {
+            if (query.matches(record) && filteredRecords.length < limit) {
                 filteredRecords.push(record);
             }
         })
@@ -87,6 +84,39 @@ function MemoryStorageStrategy() {
         callback(undefined, filteredRecords);
     }
 
+    this.filterPage = function (tableName, conditionsArray, sort, limit, cursor, callback) {
+        if (typeof cursor === "function") {
+            callback = cursor;
+            cursor = undefined;
+        }
+
+        const {paginateRecords, encodeCursor, decodeCursor} = require("./utils");
+        let startAfter;
+        if (cursor) {
+            try {
+                startAfter = decodeCursor(cursor);
+            } catch (e) {
+                return callback(e);
+            }
+        }
+
+        let Query = require("./Query");
+        let query;
+        try {
+            query = new Query(conditionsArray || "__timestamp > 0");
+        } catch (e) {
+            return callback(createOpenDSUErrorWrapper(`Invalid query ${JSON.stringify(conditionsArray)}`, e));
+        }
+
+        if (startAfter && startAfter.index !== query.getIndexName()) {
+            return callback(Error(`The provided cursor was not created for this query`));
+        }
+
+        const records = Object.values(getTable(tableName)).filter(record => !record.__deleted && query.matches(record));
+        const page = paginateRecords(records, query.getIndexName(), sort || "asc", limit || Infinity, startAfter);
+        callback(undefined, page.records, page.lastPosition ? encodeCursor(page.lastPosition) : undefined);
+    }
+
     this.getAllRecords = (tableName, callback) => {
         const table = getTable(tableName);
         let values = Object.values(table);
@@ -102,6 +132,11 @@ function MemoryStorageStrategy() {
 
         callback(undefined, values);
     }
+
+    this.getAllTableNames = (callback) => {
+        callback(undefined, Object.keys(volatileMemory));
+    }
+
     /*
       Insert a record, return error if already exists
     */
@@ -188,6 +223,38 @@ function MemoryStorageStrategy() {
         }
     };
 
+    /*
+        Purge the expired deleted records and truncate the history of the records of a table
+        See normaliseCompactOptions in utils.js for the options
+     */
+    this.compact = (tableName, options, callback) => {
+        const {normaliseCompactOptions, isExpiredTombstone, truncateRecordHistory} = require("./utils");
+        try {
+            options = normaliseCompactOptions(options);
+        } catch (e) {
+            return callback(e);
+        }
+
+        const table = getTable(tableName);
+        const report = {purged: 0, truncated: 0};
+        const now = Date.now();
+        Object.keys(table).forEach(key => {
+            if (isExpiredTombstone(table[key], options, now)) {
+                delete table[key];
+                report.purged++;
+                return;
+            }
+
+            const truncatedRecord = truncateRecordHistory(table[key], options);
+            if (truncatedRecord) {
+                table[key] = truncatedRecord;
+                report.truncated++;
+            }
+        });
+
+        callback(undefined, report);
+    }
+
     this.beginBatch = () => {
     }
 
@@ -272,7 +339,8 @@ function MemoryStorageStrategy() {
     this.readKey = (key, callback) => {
         this.getRecord(READ_WRITE_KEY_TABLE, key, (err, record) => {
             if (err) {
-                return callback(createOpenDSUErrorWrapper(`Failed to read key ${key}`, err));
+                const errorAPI = require("opendsu").loadAPI("error");
+                return callback(createOpenDSUErrorWrapper(`Failed to read key ${key}`, new Error(errorAPI.DB_KEY_NOT_FOUND_ERROR)));
             }
 
             let value;
@@ -1,15 +1,369 @@
+/*
+    Storage strategy for a DB shared by multiple users where every user (writer) writes only into its own DSU.
+    The list of writers is kept in a membership DSU in /<dbName>/writers/<userId> as the sReadSSI of the writer's DSU.
+    The reads are done on all the writers' DSUs and, for every primary key, the most recent version of the record is returned.
+ */
+const ObservableMixin = require("../../utils/ObservableMixin");
+const bindAutoPendingFunctions = require("../../utils/BindAutoPendingFunctions").bindAutoPendingFunctions;
+const SingleDSUStorageStrategy = require("./SingleDSUStorageStrategy").SingleDSUStorageStrategy;
+const {paginateRecords, encodeCursor, decodeCursor} = require("./utils");
 
-function MultiUserStorageStrategy(){
-    let storageDSU;
+function MultiUserStorageStrategy() {
+    let membershipDSU;
+    let writerStrategy;
     let dbName;
-    let afterInitialisation;
+    let userId;
+    let readerStrategies = {};
 
-    this.initialise = function(_storageDSU, _dbName, _onInitialisationDone){
-        storageDSU              = _storageDSU;
-        afterInitialisation     = _afterInitialisation;
-        dbName                  = _dbName;
+    ObservableMixin(this);
+
+    this.initialise = function (_membershipDSU, _writerDSU, _dbName, _userId) {
+        membershipDSU = _membershipDSU;
+        dbName = _dbName;
+        userId = _userId;
+        writerStrategy = new SingleDSUStorageStrategy();
+        writerStrategy.initialise(_writerDSU, dbName);
+        membership.finishInitialisation();
+        this.dispatchEvent("initialised");
+    }
+
+    const getWritersPath = (writerId) => {
+        let path = `/${dbName}/writers`;
+        if (typeof writerId !== "undefined") {
+            path = `${path}/${encodeURIComponent(writerId)}`;
+        }
+        return path;
+    }
+
+    const membership = {
+        getWriters(callback) {
+            membershipDSU.listFiles(getWritersPath(), {recursive: false}, (err, files) => {
+                if (err) {
+                    return callback(undefined, []);
+                }
+
+                callback(undefined, files.map(decodeURIComponent));
+            });
+        },
+
+        addWriter(writerId, writerSSI, callback) {
+            if (typeof writerSSI !== "string") {
+                try {
+                    writerSSI = writerSSI.getIdentifier();
+                } catch (e) {
+                    return callback(Error(`Invalid keySSI provided for writer ${writerId}`));
+                }
+            }
+
+            updateMembership(writerId, (path, callback) => membershipDSU.writeFile(path, writerSSI, callback), callback);
+        },
+
+        removeWriter(writerId, callback) {
+            updateMembership(writerId, (path, callback) => membershipDSU.delete(path, callback), (err) => {
+                if (err) {
+                    return callback(err);
+                }
+
+                delete readerStrategies[writerId];
+                callback();
+            });
+        }
+    }
+    bindAutoPendingFunctions(membership);
+
+    const updateMembership = async (writerId, updateFn, callback) => {
+        let batchId;
+        try {
+            batchId = await membershipDSU.startOrAttachBatchAsync();
+        } catch (e) {
+            return callback(createOpenDSUErrorWrapper(`Failed to begin batch on the membership DSU of db ${dbName}`, e));
+        }
+
+        updateFn(getWritersPath(writerId), async (err) => {
+            if (err) {
+                const updateError = createOpenDSUErrorWrapper(`Failed to update writer ${writerId} of db ${dbName}`, err);
+                try {
+                    await membershipDSU.cancelBatchAsync(batchId);
+                } catch (e) {
+                    return callback(createOpenDSUErrorWrapper(`Failed to cancel batch`, e, updateError));
+                }
+                return callback(updateError);
+            }
+
+            membershipDSU.commitBatch(batchId, callback);
+        });
+    }
+
+    this.getWriters = membership.getWriters;
+    this.addWriter = membership.addWriter;
+    this.removeWriter = membership.removeWriter;
+
+    const getReaderStrategy = async (writerId) => {
+        if (readerStrategies[writerId]) {
+            return readerStrategies[writerId];
+        }
+
+        const writerSSI = await $$.promisify(membershipDSU.readFile)(getWritersPath(writerId));
+        const resolver = require("opendsu").loadAPI("resolver");
+        const writerDSU = await $$.promisify(resolver.loadDSU)(writerSSI.toString());
+        const readerStrategy = new SingleDSUStorageStrategy();
+        readerStrategy.initialise(writerDSU, dbName);
+        readerStrategies[writerId] = readerStrategy;
+        return readerStrategy;
+    }
+
+    /*
+        The strategies of all the writers of the DB. The DSUs of the writers which can't be loaded are skipped.
+     */
+    const getParticipantStrategies = async () => {
+        const writers = await $$.promisify(membership.getWriters)();
+        const strategies = [writerStrategy];
+        for (let i = 0; i < writers.length; i++) {
+            if (writers[i] === userId) {
+                continue;
+            }
+
+            try {
+                strategies.push(await getReaderStrategy(writers[i]));
+            } catch (e) {
+                console.log(`Failed to load the DSU of writer ${writers[i]} of db ${dbName}`, e);
+            }
+        }
+
+        return strategies;
+    }
+
+    const isMoreRecent = (record, otherRecord) => {
+        if (!otherRecord) {
+            return true;
+        }
+
+        if (record.__timestamp !== otherRecord.__timestamp) {
+            return record.__timestamp > otherRecord.__timestamp;
+        }
+
+        return record.__version > otherRecord.__version;
+    }
+
+    const getLatestRecord = async (strategies, tableName, key) => {
+        let latestRecord;
+        for (let i = 0; i < strategies.length; i++) {
+            let record;
+            try {
+                record = await $$.promisify(strategies[i].getRecord)(tableName, key);
+            } catch (e) {
+                continue;
+            }
+
+            if (record && isMoreRecent(record, latestRecord)) {
+                latestRecord = record;
+            }
+        }
+
+        return latestRecord;
+    }
+
+    this.refresh = async (callback) => {
+        try {
+            await $$.promisify(membershipDSU.refresh)();
+            await $$.promisify(writerStrategy.refresh)();
+            const readers = Object.values(readerStrategies);
+            for (let i = 0; i < readers.length; i++) {
+                await $$.promisify(readers[i].refresh)();
+            }
+        } catch (e) {
+            return callback(createOpenDSUErrorWrapper(`Failed to refresh db ${dbName}`, e));
+        }
+
+        callback();
+    }
+
+    this.getRecord = (tableName, key, callback) => {
+        getParticipantStrategies().then(strategies => getLatestRecord(strategies, tableName, key)).then(record => {
+            if (!record) {
+                return callback(Error(`Missing record in table ${tableName} and key ${key}`));
+            }
+
+            callback(undefined, record);
+        }).catch(err => callback(createOpenDSUErrorWrapper(`Failed to get record ${key} from table ${tableName}`, err)));
+    }
+
+    this.insertRecord = (tableName, key, record, callback) => {
+        writerStrategy.insertRecord(tableName, key, record, callback);
+    }
+
+    /*
+        The record is written in the DSU of the current user even if its previous version was written by another user
+     */
+    this.updateRecord = (tableName, key, oldRecord, newRecord, callback) => {
+        writerStrategy.getRecord(tableName, key, (err, ownRecord) => {
+            writerStrategy.updateRecord(tableName, key, err ? undefined : ownRecord, newRecord, callback);
+        });
+    }
+
+    /*
+        Every writer's DSU is queried and the matching records are replaced with their most recent version,
+        which has to match the query too
+     */
+    const executeQuery = async (tableName, conditionsArray, sort, limit, startAfter) => {
+        let Query = require("./Query");
+        let query;
+        try {
+            query = new Query(conditionsArray || "__timestamp > 0");
+        } catch (e) {
+            throw createOpenDSUErrorWrapper(`Invalid query ${JSON.stringify(conditionsArray)}`, e);
+        }
+
+        if (startAfter && startAfter.index !== query.getIndexName()) {
+            throw Error(`The provided cursor was not created for this query`);
+        }
+
+        const strategies = await getParticipantStrategies();
+        const primaryKeys = new Set();
+        for (let i = 0; i < strategies.length; i++) {
+            const records = await $$.promisify(strategies[i].filter)(tableName, conditionsArray, sort, Infinity);
+            records.forEach(record => primaryKeys.add(record.pk));
+        }
+
+        const filteredRecords = [];
+        for (let pk of primaryKeys) {
+            const record = await getLatestRecord(strategies, tableName, pk);
+            if (record && !record.__deleted && query.matches(record)) {
+                filteredRecords.push(record);
+            }
+        }
+
+        return paginateRecords(filteredRecords, query.getIndexName(), sort || "asc", limit || Infinity, startAfter);
     }
 
+    this.filter = function (tableName, conditionsArray, sort, limit, callback) {
+        if (typeof conditionsArray === "function") {
+            callback = conditionsArray;
+            conditionsArray = undefined;
+            sort = undefined;
+            limit = undefined;
+        }
 
+        if (typeof sort === "function") {
+            callback = sort;
+            sort = undefined;
+            limit = undefined;
+        }
+
+        if (typeof limit === "function") {
+            callback = limit;
+            limit = undefined;
+        }
+
+        executeQuery(tableName, conditionsArray, sort, limit).then(page => callback(undefined, page.records)).catch(callback);
+    }
+
+    this.filterPage = function (tableName, conditionsArray, sort, limit, cursor, callback) {
+        if (typeof cursor === "function") {
+            callback = cursor;
+            cursor = undefined;
+        }
+
+        let startAfter;
+        if (cursor) {
+            try {
+                startAfter = decodeCursor(cursor);
+            } catch (e) {
+                return callback(e);
+            }
+        }
+
+        executeQuery(tableName, conditionsArray, sort, limit, startAfter).then(page => {
+            callback(undefined, page.records, page.lastPosition ? encodeCursor(page.lastPosition) : undefined);
+        }).catch(callback);
+    }
+
+    this.getAllRecords = (tableName, callback) => {
+        this.filter(tableName, "__timestamp > 0", callback);
+    }
+
+    this.getAllTableNames = async (callback) => {
+        const tableNames = new Set();
+        try {
+            const strategies = await getParticipantStrategies();
+            for (let i = 0; i < strategies.length; i++) {
+                const names = await $$.promisify(strategies[i].getAllTableNames)();
+                names.forEach(name => tableNames.add(name));
+            }
+        } catch (e) {
+            return callback(createOpenDSUErrorWrapper(`Failed to list tables`, e));
+        }
+
+        callback(undefined, [...tableNames]);
+    }
+
+    /*
+        The indexes are created only in the DSU of the current user
+     */
+    this.addIndex = (...args) => {
+        writerStrategy.addIndex(...args);
+    }
+
+    // only the records written by the current user can be compacted
+    this.compact = (...args) => {
+        writerStrategy.compact(...args);
+    }
+
+    this.getIndexedFields = (...args) => {
+        writerStrategy.getIndexedFields(...args);
+    }
+
+    this.writeKey = (...args) => {
+        writerStrategy.writeKey(...args);
+    }
+
+    this.readKey = (...args) => {
+        writerStrategy.readKey(...args);
+    }
+
+    this.beginBatch = () => {
+        writerStrategy.beginBatch();
+    }
+
+    this.safeBeginBatch = (...args) => {
+        writerStrategy.safeBeginBatch(...args);
+    }
+
+    this.safeBeginBatchAsync = async (...args) => {
+        return await writerStrategy.safeBeginBatchAsync(...args);
+    }
+
+    this.startOrAttachBatch = (...args) => {
+        writerStrategy.startOrAttachBatch(...args);
+    }
+
+    this.startOrAttachBatchAsync = async (...args) => {
+        return await writerStrategy.startOrAttachBatchAsync(...args);
+    }
+
+    this.cancelBatch = (...args) => {
+        writerStrategy.cancelBatch(...args);
+    }
+
+    this.cancelBatchAsync = async (...args) => {
+        return await writerStrategy.cancelBatchAsync(...args);
+    }
+
+    this.commitBatch = (...args) => {
+        writerStrategy.commitBatch(...args);
+    }
+
+    this.commitBatchAsync = async (...args) => {
+        return await writerStrategy.commitBatchAsync(...args);
+    }
+
+    this.onCommitBatch = (...args) => {
+        writerStrategy.onCommitBatch(...args);
+    }
+
+    this.batchInProgress = (...args) => {
+        return writerStrategy.batchInProgress(...args);
+    }
 }
-module.exports = MultiUserStorageStrategy;
\ No newline at end of file
+
+module.exports = MultiUserStorageStrategy;
@@ -1,37 +1,278 @@
+/*
+    A query is either:
+        - a condition string with the format "<field> <operator> <value>"
+        - an array of queries that are implicitly ANDed together
+        - an object {and: [...]}, {or: [...]} or {not: query} used to build groups of conditions
+
+    e.g. {or: [["a > 1", "b < 3"], "c == x"]} is the equivalent of (a > 1 AND b < 3) OR c == x
+ */
+const LOGICAL_OPERATORS = {
+    AND: "and",
+    OR: "or",
+    NOT: "not"
+};
+
+const CONDITION = "condition";
+
 function Query(queryArray) {
     let conditions = [];
+    let queryTree;
+    let selectedIndexName;
     const operators = require("./operators");
-    const {getCompareFunction} = require("./utils");
+    const {
+        getCompareFunction,
+        compareValues,
+        parseValue,
+        parseList,
+        parseRange,
+        isCompoundIndex,
+        getIndexFields,
+        parseCompoundIndexValue
+    } = require("./utils");
 
-    function queryParser(query) {
-        query.forEach(fieldQuery => {
-            const splitQuery = fieldQuery.split(" ");
+    const parseString = (literal) => {
+        const value = parseValue(literal);
+        return typeof value === "string" ? value : literal.trim();
+    }
+
+    // the operands of these operators are not simple typed literals
+    const OPERAND_PARSERS = {
+        "like": literal => literal,
+        "in": parseList,
+        "between": parseRange,
+        "startsWith": parseString,
+        "exists": literal => literal === "" ? true : parseValue(literal) === true
+    };
+
+    // the string fields are compared with the text of the numbers and booleans, so "gtin == 0123" matches the string "0123"
+    const parseText = (literal) => {
+        const value = parseValue(literal);
+        return typeof value === "number" || typeof value === "boolean" ? literal.trim() : value;
+    }
+
+    const TEXT_OPERAND_PARSERS = {
+        "==": parseText,
+        "!=": parseText,
+        "in": literal => parseList(literal, parseText)
+    };
+
+    // operators that can be used without an operand, e.g. "<field> exists"
+    const UNARY_OPERATORS = ["exists"];
+
+    function conditionParser(fieldQuery) {
+        const splitQuery = fieldQuery.split(" ");
+        const operatorKeys = Object.keys(operators);
+        const operatorIndex = splitQuery.findIndex(operator => {
+            return operatorKeys.findIndex(el => el === operator) !== -1;
+        });
+
+        if (operatorIndex === -1) {
             if (splitQuery.length < 3) {
                 throw Error(`Invalid query format. A query's format is <field> <operator> <value>`);
             }
-            const operatorKeys = Object.keys(operators);
-            const operatorIndex = splitQuery.findIndex(operator => {
-                return operatorKeys.findIndex(el => el === operator) !== -1;
-            });
+            throw Error(`The provided query does not contain a valid operator.`);
+        }
+
+        const operator = splitQuery[operatorIndex];
+        const isUnaryOperator = UNARY_OPERATORS.indexOf(operator) !== -1;
+        if (operatorIndex === 0 || (splitQuery.length < 3 && !isUnaryOperator)) {
+            throw Error(`Invalid query format. A query's format is <field> <operator> <value>`);
+        }
+
+        const field = splitQuery.slice(0, operatorIndex).join(" ");
+        const literal = splitQuery.slice(operatorIndex + 1).join(" ");
+        const parseOperand = OPERAND_PARSERS[operator] || parseValue;
+        const value = parseOperand(literal);
 
-            if (operatorIndex === -1) {
-                throw Error(`The provided query does not contain a valid operator.`);
+        const condition = [field, operator, value];
+        if (TEXT_OPERAND_PARSERS[operator]) {
+            condition.push(TEXT_OPERAND_PARSERS[operator](literal));
+        }
+        conditions.push(condition);
+        return {type: CONDITION, condition};
+    }
+
+    function queryParser(query) {
+        if (typeof query === "string") {
+            return conditionParser(query);
+        }
+
+        if (Array.isArray(query)) {
+            if (query.length === 0) {
+                throw Error(`Invalid query format. An empty list of conditions is not allowed.`);
             }
+            return {type: LOGICAL_OPERATORS.AND, children: query.map(queryParser)};
+        }
 
-            const field = splitQuery.slice(0, operatorIndex).join(" ");
-            const operator = splitQuery[operatorIndex];
-            const value = splitQuery.slice(operatorIndex + 1).join(" ");
+        if (query && typeof query === "object") {
+            const keys = Object.keys(query);
+            if (keys.length !== 1) {
+                throw Error(`Invalid query format. A query group must have exactly one of the keys "and", "or" or "not".`);
+            }
 
-            conditions.push([field, operator, value]);
-        });
+            const type = keys[0].toLowerCase();
+            const operand = query[keys[0]];
+            switch (type) {
+                case LOGICAL_OPERATORS.AND:
+                case LOGICAL_OPERATORS.OR:
+                    if (!Array.isArray(operand) || operand.length === 0) {
+                        throw Error(`Invalid query format. The "${type}" group expects a non empty array of queries.`);
+                    }
+                    return {type, children: operand.map(queryParser), raw: operand};
+                case LOGICAL_OPERATORS.NOT:
+                    return {type, child: queryParser(operand)};
+                default:
+                    throw Error(`Invalid query format. Unknown logical operator <${keys[0]}>.`);
+            }
+        }
+
+        throw Error(`Invalid query format. Expected a string, an array or a query group object.`);
+    }
+
+    function testCondition(condition, record) {
+        const [field, operator, value, text] = condition;
+        const recordValue = record[field];
+        return !!operators[operator](recordValue, typeof recordValue === "string" && typeof text !== "undefined" ? text : value);
+    }
+
+    function evaluate(node, record) {
+        switch (node.type) {
+            case CONDITION:
+                return testCondition(node.condition, record);
+            case LOGICAL_OPERATORS.AND:
+                return node.children.every(child => evaluate(child, record));
+            case LOGICAL_OPERATORS.OR:
+                return node.children.some(child => evaluate(child, record));
+            case LOGICAL_OPERATORS.NOT:
+                return !evaluate(node.child, record);
+        }
+    }
+
+    // conditions that must hold for every record matching the query, so they can be served by an index
+    const getIndexableConditions = () => {
+        if (queryTree.type === CONDITION) {
+            return [queryTree.condition];
+        }
+
+        if (queryTree.type === LOGICAL_OPERATORS.AND) {
+            return queryTree.children.filter(child => child.type === CONDITION).map(child => child.condition);
+        }
+
+        return [];
+    }
+
+    // records that don't have the field are not present in the index, but they satisfy these conditions
+    const canBeServedByIndex = (cond) => {
+        const [, operator, value] = cond;
+        if (["!=", "exists", "contains"].indexOf(operator) !== -1) {
+            return false;
+        }
+
+        const isNullish = (val) => val === null || typeof val === "undefined";
+        if (operator === "in") {
+            return !value.some(isNullish);
+        }
+
+        return !isNullish(value);
+    }
+
+    const getIndexConditions = () => {
+        if (typeof selectedIndexName === "undefined") {
+            return [];
+        }
 
+        const indexFields = getIndexFields(selectedIndexName);
+        return getIndexableConditions().filter(cond => indexFields.indexOf(cond[0]) !== -1 && canBeServedByIndex(cond));
+    }
+
+    // index of the first element in the sorted array for which the predicate is true
+    const binarySearch = (sortedValues, predicate) => {
+        let low = 0;
+        let high = sortedValues.length;
+        while (low < high) {
+            const middle = (low + high) >>> 1;
+            if (predicate(sortedValues[middle])) {
+                high = middle;
+            } else {
+                low = middle + 1;
+            }
+        }
+        return low;
+    }
+
+    /*
+        Use the ordering of the index values to keep only the values that can satisfy the prefix and range conditions
+     */
+    const narrowIndexValues = (valueArray, conds) => {
+        for (let i = 0; i < conds.length; i++) {
+            const [, operator, value] = conds[i];
+            if (operator === "startsWith") {
+                const prefix = String(value);
+                const sortedValues = valueArray.map(String).sort();
+                const start = binarySearch(sortedValues, val => val >= prefix);
+                const end = binarySearch(sortedValues, val => val >= prefix && !val.startsWith(prefix));
+                valueArray = sortedValues.slice(start, Math.max(start, end));
+                continue;
+            }
+
+            let lowerBound;
+            let upperBound;
+            switch (operator) {
+                case ">":
+                case ">=":
+                    lowerBound = value;
+                    break;
+                case "<":
+                case "<=":
+                    upperBound = value;
+                    break;
+                case "between":
+                    [lowerBound, upperBound] = value;
+                    break;
+                default:
+                    continue;
+            }
+
+            // dates are compared with Date.parse which can't order values that are not dates
+            if (lowerBound instanceof Date || upperBound instanceof Date) {
+                continue;
+            }
+
+            const sortedValues = valueArray.slice().sort(compareValues);
+            const start = typeof lowerBound === "undefined" ? 0 : binarySearch(sortedValues, val => compareValues(val, lowerBound) >= 0);
+            const end = typeof upperBound === "undefined" ? sortedValues.length : binarySearch(sortedValues, val => compareValues(val, upperBound) > 0);
+            valueArray = sortedValues.slice(start, Math.max(start, end));
+        }
+
+        return valueArray;
+    }
+
+    const filterValuesForCompoundIndex = (valueArray) => {
+        const indexFields = getIndexFields(selectedIndexName);
+        const conds = getIndexConditions();
+        return valueArray.filter(val => {
+            const fieldValues = parseCompoundIndexValue(val);
+            for (let i = 0; i < conds.length; i++) {
+                const fieldValue = fieldValues[indexFields.indexOf(conds[i][0])];
+                if (!operators[conds[i][1]](fieldValue, conds[i][2], true)) {
+                    return false;
+                }
+            }
+
+            return true;
+        });
     }
 
     this.filterValuesForIndex = (valueArray) => {
-        let conds = conditions.filter(cond => cond[0] === this.getIndexName());
+        if (typeof selectedIndexName !== "undefined" && isCompoundIndex(selectedIndexName)) {
+            return filterValuesForCompoundIndex(valueArray);
+        }
+
+        let conds = getIndexConditions();
+        valueArray = narrowIndexValues(valueArray, conds);
         return valueArray.filter(val => {
             for (let i = 0; i < conds.length; i++) {
-                if (!operators[conds[i][1]](val, conds[i][2])) {
+                if (!operators[conds[i][1]](val, conds[i][2], true)) {
                     return false;
                 }
             }
@@ -40,9 +281,18 @@ function Query(queryArray) {
         });
     }
 
+    // the conditions served by the index are checked again on the record, the index values are compared less strictly
+    this.matches = (record) => {
+        return evaluate(queryTree, record);
+    }
+
+    /*
+        When the limit is reached and there are more matching records (one more record is loaded to find out), the position
+        (index value and primary key) of the last record is also returned
+     */
     this.filter = (sortedValues, getNextRecordForValue, limit, callback) => {
-        let conds = conditions.filter(cond => cond[0] !== this.getIndexName());
         let filteredRecords = [];
+        let lastPosition;
 
         function getNextRecord(currentIndex) {
             if (currentIndex === sortedValues.length) {
@@ -55,30 +305,32 @@ function Query(queryArray) {
                     }
                     getNextRecord(currentIndex + 1);
                 } else {
-                    processRecord(record);
-                    if (currentIndex === sortedValues.length || filteredRecords.length === limit) {
-                        return callback(undefined, filteredRecords);
+                    processRecord(record, sortedValues[currentIndex]);
+                    if (filteredRecords.length > limit) {
+                        filteredRecords.pop();
+                        return callback(undefined, filteredRecords, lastPosition);
                     }
                     getNextRecord(currentIndex);
                 }
             });
         }
 
-        function processRecord(record) {
-            for (let i = 0; i < conds.length; i++) {
-                if (!operators[conds[i][1]](record[conds[i][0]], conds[i][2])) {
-                    return;
-                }
+        const processRecord = (record, value) => {
+            if (!this.matches(record)) {
+                return;
             }
             if (record && !record.__deleted) {
                 filteredRecords.push(record);
+                if (filteredRecords.length <= limit) {
+                    lastPosition = {index: this.getIndexName(), value, pk: record.pk};
+                }
             }
         }
 
         getNextRecord(0);
     };
 
-    this.sortValues = (values, sortType) => {
+    this.getValuesCompareFunction = (sortType) => {
         let compareFn;
         try {
             compareFn = getCompareFunction(sortType);
@@ -86,18 +338,120 @@ function Query(queryArray) {
             throw createOpenDSUErrorWrapper(`Failed to get compare function`, e);
         }
 
-        values.sort(compareFn);
+        if (typeof selectedIndexName !== "undefined" && isCompoundIndex(selectedIndexName)) {
+            const compareFieldValue = compareFn;
+            const compareFieldValues = (firstValue, secondValue) => {
+                const firstFieldValues = parseCompoundIndexValue(firstValue);
+                const secondFieldValues = parseCompoundIndexValue(secondValue);
+                for (let i = 0; i < firstFieldValues.length; i++) {
+                    const result = compareFieldValue(firstFieldValues[i], secondFieldValues[i]);
+                    if (result !== 0) {
+                        return result;
+                    }
+                }
+
+                return 0;
+            }
+            compareFn = compareFieldValues;
+        }
+
+        return compareFn;
+    }
+
+    this.sortValues = (values, sortType) => {
+        values.sort(this.getValuesCompareFunction(sortType));
     };
 
+    /*
+        Choose the index used to narrow down the records, preferring equality conditions.
+        A compound index is chosen when equality conditions cover at least two of its leading fields
+        or when it is the only index that can serve the query. The records missing one of its fields are not part of a
+        compound index, so it can serve only the queries having conditions on all its fields.
+        Returns undefined if none of the fields that can be served by an index is indexed.
+     */
+    this.selectIndex = (indexedFields) => {
+        const OPERATORS_PRIORITY = ["==", "in", "startsWith", "between", "like", "<", "<=", ">", ">="];
+        const getPriority = (operator) => {
+            const priority = OPERATORS_PRIORITY.indexOf(operator);
+            return priority === -1 ? OPERATORS_PRIORITY.length : priority;
+        }
+
+        const servableConditions = getIndexableConditions().filter(canBeServedByIndex);
+        const getLeadingFieldsWithEquality = (indexName) => {
+            const indexFields = getIndexFields(indexName);
+            let noLeadingFields = 0;
+            while (noLeadingFields < indexFields.length && servableConditions.some(cond => cond[0] === indexFields[noLeadingFields] && cond[1] === "==")) {
+                noLeadingFields++;
+            }
+            return noLeadingFields;
+        }
+
+        let bestCompoundIndex;
+        let bestCompoundScore = 0;
+        indexedFields.filter(isCompoundIndex).forEach(indexName => {
+            const hasConditionsOnAllFields = getIndexFields(indexName).every(field => servableConditions.some(cond => cond[0] === field));
+            if (!hasConditionsOnAllFields) {
+                return;
+            }
+
+            const score = getLeadingFieldsWithEquality(indexName);
+            if (typeof bestCompoundIndex === "undefined" || score > bestCompoundScore) {
+                bestCompoundIndex = indexName;
+                bestCompoundScore = score;
+            }
+        });
+
+        const candidates = servableConditions.filter(cond => indexedFields.indexOf(cond[0]) !== -1);
+        if (typeof bestCompoundIndex !== "undefined" && (bestCompoundScore >= 2 || candidates.length === 0)) {
+            selectedIndexName = bestCompoundIndex;
+            return selectedIndexName;
+        }
+
+        if (candidates.length === 0) {
+            return undefined;
+        }
+
+        candidates.sort((firstCond, secondCond) => getPriority(firstCond[1]) - getPriority(secondCond[1]));
+        selectedIndexName = candidates[0][0];
+        return selectedIndexName;
+    }
+
     this.getIndexName = () => {
+        if (typeof selectedIndexName !== "undefined") {
+            return selectedIndexName;
+        }
+
+        const indexableConditions = getIndexableConditions();
+        if (indexableConditions.length) {
+            return indexableConditions[0][0];
+        }
+
         return conditions[0][0];
     };
 
+    this.isDisjunction = () => {
+        return queryTree.type === LOGICAL_OPERATORS.OR;
+    }
+
+    /*
+        For a query of the form {or: [q1, q2, ...]} return a Query instance for every alternative
+     */
+    this.getBranches = () => {
+        if (!this.isDisjunction()) {
+            return [this];
+        }
+
+        return queryTree.raw.map(branch => new Query(typeof branch === "string" ? [branch] : branch));
+    }
+
     this.getConditions = () => {
         return conditions;
     }
 
-    queryParser(queryArray);
+    if (typeof queryArray === "string") {
+        queryArray = [queryArray];
+    }
+    queryTree = queryParser(queryArray);
 }
 
-module.exports = Query;
\ No newline at end of file
+module.exports = Query;
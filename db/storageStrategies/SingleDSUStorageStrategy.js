@@ -1,6 +1,19 @@
 const ObservableMixin = require("../../utils/ObservableMixin");
 const SingleDSURecordStorageStrategy = require("./SingleDSURecordStorageStrategy");
+const {
+    getIndexName,
+    getIndexFields,
+    hasIndexFields,
+    isCompoundIndex,
+    getCompareFunction,
+    getRecordIndexValue,
+    paginateRecords,
+    comparePrimaryKeys,
+    encodeCursor,
+    decodeCursor
+} = require("./utils");
 function SingleDSUStorageStrategy(recordStorageStrategy) {
+    const errorAPI = require("opendsu").loadAPI("error");
     let self = this
     let storageDSU;
     let dbName;
@@ -16,10 +29,119 @@ function SingleDSUStorageStrategy(recordStorageStrategy) {
         this.dispatchEvent("initialised");
     }
 
+    /*
+        The identifier of the anchored version of the storage DSU, used to skip the scans when nothing changed
+     */
+    this.getCurrentVersion = (callback) => {
+        storageDSU.getCurrentAnchoredHashLink((err, hashLink) => {
+            if (err) {
+                return callback(createOpenDSUErrorWrapper(`Failed to get the current version of the storage DSU`, err));
+            }
+
+            callback(undefined, hashLink ? hashLink.getIdentifier() : undefined);
+        });
+    }
+
     this.refresh = (callback) => {
+        clearPendingPages();
+        encryptedFieldsCache = {};
+        fullTextDefinitions = {};
         storageDSU.refresh(callback);
     }
 
+    /*
+        The enclave holding the secret keys used for the encrypted fields of the tables and the DID calling it (see fieldEncryption.js)
+     */
+    let encryptionEnclave;
+    let encryptionDID;
+    let encryptedFieldsCache = {};
+    this.setEncryptionEnclave = (enclave, forDID) => {
+        encryptionEnclave = enclave;
+        encryptionDID = forDID;
+    }
+
+    function getEncryptedFieldsPath(tableName) {
+        return `/${dbName}/${tableName}/encryptedFields`;
+    }
+
+    function getEncryptedFields(tableName, callback) {
+        if (encryptedFieldsCache[tableName]) {
+            return callback(undefined, encryptedFieldsCache[tableName]);
+        }
+
+        storageDSU.readFile(getEncryptedFieldsPath(tableName), (err, content) => {
+            let encryptedFields = {};
+            if (!err) {
+                try {
+                    encryptedFields = JSON.parse(content);
+                } catch (e) {
+                    return callback(createOpenDSUErrorWrapper(`Failed to parse the encrypted fields of table ${tableName}`, e));
+                }
+            }
+
+            // the tables without encrypted fields are read again, their fields can be encrypted by the other writers of the DB
+            if (Object.keys(encryptedFields).length > 0) {
+                encryptedFieldsCache[tableName] = encryptedFields;
+            }
+            callback(undefined, encryptedFields);
+        });
+    }
+
+    /*
+        encryptedFields maps the names of the fields to the aliases of the keys used for encrypting them
+        The encrypted fields can't be indexed as the index entries would reveal their values
+     */
+    this.setEncryptedFields = async (tableName, encryptedFields, callback) => {
+        let batchId;
+        try {
+            const indexedFields = await $$.promisify(getIndexedFieldsList)(tableName);
+            const fullTextDefinition = await $$.promisify(getFullTextDefinition)(tableName);
+            if (fullTextDefinition) {
+                indexedFields.push(...fullTextDefinition.fields);
+            }
+            const indexedField = Object.keys(encryptedFields).find(fieldName => indexedFields.some(indexName => getIndexFields(indexName).indexOf(fieldName) !== -1));
+            if (indexedField) {
+                return callback(Error(`Field ${indexedField} of table ${tableName} is indexed and can't be encrypted`));
+            }
+
+            batchId = await this.startOrAttachBatchAsync();
+        } catch (e) {
+            return callback(createOpenDSUErrorWrapper(`Failed to set the encrypted fields of table ${tableName}`, e));
+        }
+
+        storageDSU.writeFile(getEncryptedFieldsPath(tableName), JSON.stringify(encryptedFields), async (err) => {
+            if (err) {
+                try {
+                    await this.cancelBatchAsync(batchId);
+                } catch (e) {
+                    console.log(e);
+                }
+                return callback(createOpenDSUErrorWrapper(`Failed to store the encrypted fields of table ${tableName}`, err));
+            }
+
+            delete encryptedFieldsCache[tableName];
+            this.commitBatch(batchId, callback);
+        });
+    }
+
+    function storeRecordWithEncryptedFields(tableName, key, newRecord, oldRecord, callback) {
+        clearPendingPages();
+        const {encryptFields} = require("./fieldEncryption");
+        getEncryptedFields(tableName, (err, encryptedFields) => {
+            if (err) {
+                return callback(err);
+            }
+
+            encryptFields(encryptionEnclave, encryptionDID, encryptedFields, newRecord, (err, encryptedRecord) => {
+                if (err) {
+                    return callback(err);
+                }
+
+                recordStorageStrategy.storeRecord(getRecordPath(tableName, key), encryptedRecord, oldRecord, callback);
+            });
+        });
+    }
+
     this.beginBatch = () => {
         if (!storageDSU.batchInProgress()) {
             storageDSU.beginBatch();
@@ -43,10 +165,12 @@ function SingleDSUStorageStrategy(recordStorageStrategy) {
     }
 
     this.cancelBatch = (...args) => {
+        clearPendingPages();
         storageDSU.cancelBatch(...args);
     }
 
     this.cancelBatchAsync = async (...args) => {
+        clearPendingPages();
         return await storageDSU.cancelBatchAsync(...args);
     }
 
@@ -66,6 +190,30 @@ function SingleDSUStorageStrategy(recordStorageStrategy) {
         return storageDSU.batchInProgress(...args);
     }
 
+    /*
+        Get a storage strategy reading from the version of the storage DSU identified by a version number
+        (the index of the version in the anchor's history, starting from 0) or by a version hashlink
+     */
+    this.asOf = async (versionNumberOrHashLink, callback) => {
+        const resolver = require("opendsu").loadAPI("resolver");
+        let historicDSU;
+        try {
+            const keySSI = await $$.promisify(storageDSU.getKeySSIAsObject)();
+            let versionHashLink = versionNumberOrHashLink;
+            if (typeof versionNumberOrHashLink === "number") {
+                versionHashLink = await $$.promisify(resolver.getDSUVersionHashlink)(keySSI, versionNumberOrHashLink);
+            }
+            historicDSU = await $$.promisify(resolver.loadDSUVersion)(keySSI, versionHashLink, {});
+        } catch (e) {
+            return callback(createOpenDSUErrorWrapper(`Failed to load version ${versionNumberOrHashLink} of the storage DSU of db ${dbName}`, e));
+        }
+
+        const historicStrategy = new SingleDSUStorageStrategy();
+        historicStrategy.setEncryptionEnclave(encryptionEnclave, encryptionDID);
+        historicStrategy.initialise(historicDSU, dbName);
+        callback(undefined, historicStrategy);
+    }
+
     this.getAllRecords = (tableName, callback) => {
         this.filter(tableName, "__timestamp > 0", callback);
     }
@@ -99,16 +247,43 @@ function SingleDSUStorageStrategy(recordStorageStrategy) {
     }
 
 
+    /*
+        The sorted records (or index values) following a page returned by filterPage are kept for the next page, so the table
+        is not read again and the index is not listed again. They are dropped when the DB changes.
+     */
+    const MAX_PENDING_PAGES = 10;
+    let pendingPages = {};
+
+    const getPendingPageKey = (tableName, conditionsArray, sort, cursor) => {
+        return JSON.stringify([tableName, conditionsArray, sort, cursor]);
+    }
+
+    const addPendingPage = (key, pendingPage) => {
+        const keys = Object.keys(pendingPages);
+        if (keys.length >= MAX_PENDING_PAGES) {
+            delete pendingPages[keys[0]];
+        }
+        pendingPages[key] = pendingPage;
+    }
+
+    const clearPendingPages = () => {
+        pendingPages = {};
+    }
+
     /*
        Get the whole content of the table and asynchronously returns an array with all the  records satisfying the condition tested by the filterFunction
     */
-    const filterTable = function (tableName, conditionsArray, sort, limit, callback) {
+    const filterTable = function (tableName, query, sort, limit, startAfter, pendingPage, callback) {
+        if (pendingPage && pendingPage.records) {
+            const page = paginateRecords(pendingPage.records, query.getIndexName(), sort, limit, startAfter);
+            return callback(undefined, page.records, page.lastPosition, page.remainingRecords && {records: page.remainingRecords});
+        }
+
         readTheWholeTable(tableName, (err, tbl) => {
             if (err) {
                 return callback(createOpenDSUErrorWrapper(`Failed to read table ${tableName}`, err));
             }
 
-            const operators = require("./operators");
             const filteredRecords = [];
             const records = Object.values(tbl);
             for (let i = 0; i < records.length; i++) {
@@ -116,27 +291,100 @@ function SingleDSUStorageStrategy(recordStorageStrategy) {
                 if (record.__deleted) {
                     continue;
                 }
-                let recordIsValid = true;
-                for (let i = 0; i < conditionsArray.length; i++) {
-                    const condition = conditionsArray[i];
-                    const [field, operator, value] = condition.split(" ");
-                    if (!operators[operator](record[field], value)) {
-                        recordIsValid = false;
-                        break;
-                    }
-                }
 
-                if (recordIsValid) {
+                if (query.matches(record)) {
                     filteredRecords.push(record);
                 }
             }
 
-            const {getCompareFunctionForObjects} = require("./utils");
-            filteredRecords.sort(getCompareFunctionForObjects(sort, conditionsArray[0].split(" ")[0]))
-            callback(undefined, filteredRecords.slice(0, limit));
+            const page = paginateRecords(filteredRecords, query.getIndexName(), sort, limit, startAfter);
+            callback(undefined, page.records, page.lastPosition, page.remainingRecords && {records: page.remainingRecords});
         });
     };
 
+    const filterIndexedTable = (tableName, query, sort, limit, startAfter, pendingPage, callback) => {
+        const indexName = query.getIndexName();
+        // the values of the index following the last returned value, which can have more records
+        const filterValues = (sortedValues) => {
+            const getNextRecordForValue = getNextRecordFunction(tableName, indexName, startAfter);
+            query.filter(sortedValues, getNextRecordForValue, limit, (err, records, lastPosition) => {
+                if (err || !lastPosition) {
+                    return callback(err, records);
+                }
+
+                callback(undefined, records, lastPosition, {values: sortedValues.slice(sortedValues.indexOf(lastPosition.value))});
+            });
+        }
+
+        if (pendingPage && pendingPage.values) {
+            return filterValues(pendingPage.values);
+        }
+
+        storageDSU.listFiles(getIndexPath(tableName, indexName), async (err, values) => {
+            if (err) {
+                return callback(createOpenDSUErrorWrapper(`Failed read values for field ${indexName}`, err));
+            }
+
+            const pks = [];
+            const uniqueIndexedValues = [];
+
+            for (let i = 0; i < values.length; i++) {
+                const value = values[i];
+                const splitValue = value.split("/");
+                const indexOfPk = pks.indexOf(splitValue[1]);
+                if (indexOfPk === -1) {
+                    pks.push(splitValue[1]);
+                    uniqueIndexedValues.push(splitValue[0]);
+                } else {
+                    const pk = pks[indexOfPk];
+                    const record = await $$.promisify(this.getRecord, this)(tableName, pk)
+                    if (record.__deleted) {
+                        pks.splice(indexOfPk, 1);
+                        uniqueIndexedValues.splice(indexOfPk, 1);
+                    } else {
+                        uniqueIndexedValues[indexOfPk] = record;
+                    }
+                    console.warn(`Record with pk ${splitValue[1]} already indexed on field ${indexName}`);
+                }
+
+            }
+            let filteredValues = query.filterValuesForIndex(uniqueIndexedValues);
+            query.sortValues(filteredValues, sort);
+            if (startAfter) {
+                const compareFn = query.getValuesCompareFunction(sort);
+                filteredValues = filteredValues.filter(value => compareFn(value, startAfter.value) >= 0);
+            }
+            filterValues(filteredValues);
+        });
+    }
+
+    /*
+        Every alternative of an OR query is served by its own index and the results are merged
+     */
+    const filterIndexedBranches = async (tableName, query, branches, sort, limit, startAfter, pendingPage, callback) => {
+        if (pendingPage && pendingPage.records) {
+            const page = paginateRecords(pendingPage.records, query.getIndexName(), sort, limit, startAfter);
+            return callback(undefined, page.records, page.lastPosition, page.remainingRecords && {records: page.remainingRecords});
+        }
+
+        const recordsByPk = {};
+        for (let i = 0; i < branches.length; i++) {
+            let records;
+            try {
+                records = await $$.promisify(filterIndexedTable)(tableName, branches[i], sort, Infinity, undefined, undefined);
+            } catch (e) {
+                return callback(createOpenDSUErrorWrapper(`Failed to filter table ${tableName} on index ${branches[i].getIndexName()}`, e));
+            }
+
+            records.forEach(record => {
+                recordsByPk[record.pk] = record;
+            });
+        }
+
+        const page = paginateRecords(Object.values(recordsByPk), query.getIndexName(), sort, limit, startAfter);
+        callback(undefined, page.records, page.lastPosition, page.remainingRecords && {records: page.remainingRecords});
+    }
+
     function checkFieldIsIndexed(tableName, fieldName, callback) {
         const path = getIndexPath(tableName, fieldName);
         storageDSU.stat(path, (err, stat) => {
@@ -158,25 +406,70 @@ function SingleDSUStorageStrategy(recordStorageStrategy) {
         })
     }
 
-    this.filter = function (tableName, conditionsArray, sort, limit, callback) {
-        if (typeof conditionsArray === "function") {
-            callback = conditionsArray;
-            conditionsArray = undefined;
-            sort = undefined;
-            limit = undefined;
-        }
-
+    const executeQuery = (tableName, conditionsArray, sort, limit, startAfter, pendingPage, callback) => {
         if (typeof conditionsArray === "undefined") {
             conditionsArray = "__timestamp > 0";
         }
 
         if (typeof conditionsArray === "string") {
             conditionsArray = [conditionsArray];
-        } else if (!Array.isArray(conditionsArray)) {
-            return callback(Error(`Condition argument of filter function need to be string or array of strings`));
+        } else if (conditionsArray === null || typeof conditionsArray !== "object") {
+            return callback(Error(`Condition argument of filter function need to be string, array of strings or query object`));
         }
+
+        if (typeof limit === "undefined") {
+            limit = Infinity;
+        }
+
+        if (typeof sort === "undefined") {
+            sort = "asc";
+        }
+
         let Query = require("./Query");
-        let query = new Query(conditionsArray);
+        let query;
+        try {
+            query = new Query(conditionsArray);
+        } catch (e) {
+            return callback(createOpenDSUErrorWrapper(`Invalid query ${JSON.stringify(conditionsArray)}`, e));
+        }
+
+        getIndexedFieldsList(tableName, (err, indexedFields) => {
+            if (err) {
+                return callback(createOpenDSUErrorWrapper(`Failed to get indexed fields list for table ${tableName}`, err));
+            }
+
+            const checkCursor = () => {
+                if (startAfter && startAfter.index !== query.getIndexName()) {
+                    callback(Error(`The provided cursor was not created for this query`));
+                    return false;
+                }
+                return true;
+            }
+
+            if (query.isDisjunction()) {
+                const branches = query.getBranches();
+                const allBranchesAreIndexed = branches.every(branch => typeof branch.selectIndex(indexedFields) !== "undefined");
+                if (allBranchesAreIndexed) {
+                    return checkCursor() && filterIndexedBranches(tableName, query, branches, sort, limit, startAfter, pendingPage, callback);
+                }
+            } else if (typeof query.selectIndex(indexedFields) !== "undefined") {
+                return checkCursor() && filterIndexedTable(tableName, query, sort, limit, startAfter, pendingPage, callback);
+            }
+
+            console.log(`Warning - You tried filtering the table <${tableName}> on field <${query.getIndexName()}> which is not indexed. This operation can be slow. Try calling addIndex on field <${query.getIndexName()}> first.`);
+            if (checkCursor()) {
+                filterTable(tableName, query, sort, limit, startAfter, pendingPage, callback);
+            }
+        });
+    }
+
+    this.filter = function (tableName, conditionsArray, sort, limit, callback) {
+        if (typeof conditionsArray === "function") {
+            callback = conditionsArray;
+            conditionsArray = undefined;
+            sort = undefined;
+            limit = undefined;
+        }
 
         if (typeof sort === "function") {
             callback = sort;
@@ -189,69 +482,164 @@ function SingleDSUStorageStrategy(recordStorageStrategy) {
             limit = undefined;
         }
 
-        if (typeof limit === "undefined") {
-            limit = Infinity;
+        executeQuery(tableName, conditionsArray, sort, limit, undefined, undefined, (err, records) => callback(err, records));
+    }
+
+    /*
+        Get a page of records together with a cursor which can be used to get the next page.
+        The cursor is undefined when there are no more records.
+     */
+    this.filterPage = function (tableName, conditionsArray, sort, limit, cursor, callback) {
+        if (typeof cursor === "function") {
+            callback = cursor;
+            cursor = undefined;
         }
 
-        if (typeof sort === "undefined") {
-            sort = "asc";
+        let startAfter;
+        if (cursor) {
+            try {
+                startAfter = decodeCursor(cursor);
+            } catch (e) {
+                return callback(e);
+            }
         }
 
-        const indexName = query.getIndexName();
+        const pendingPageKey = getPendingPageKey(tableName, conditionsArray, sort, cursor);
+        const pendingPage = cursor ? pendingPages[pendingPageKey] : undefined;
+        delete pendingPages[pendingPageKey];
+        executeQuery(tableName, conditionsArray, sort, limit, startAfter, pendingPage, (err, records, lastPosition, nextPendingPage) => {
+            if (err) {
+                return callback(err);
+            }
+
+            if (!lastPosition) {
+                return callback(undefined, records);
+            }
+
+            const nextCursor = encodeCursor(lastPosition);
+            if (nextPendingPage) {
+                addPendingPage(getPendingPageKey(tableName, conditionsArray, sort, nextCursor), nextPendingPage);
+            }
+            callback(undefined, records, nextCursor);
+        });
+    }
+
+
+    /*
+        Answer count, min and max (optionally grouped by a field) from the index folders when the query has at most one
+        condition and all the fields involved are indexed on the field of that condition. The records are counted from the
+        entries of the index (the deleted records are removed from the indexes) and the condition is checked on the index
+        values, like when the index narrows down a filter. Only one record is loaded for every returned value in order to
+        get its original type (the index values are strings).
+        The records which don't have the groupBy field are not part of its index, so they are not grouped.
+        The callback receives an undefined result when the pipeline can't be answered from the indexes.
+     */
+    this.aggregateFromIndexes = (tableName, conditions, pipeline, callback) => {
+        const {normalisePipeline} = require("./aggregation");
+        const Query = require("./Query");
+        let query;
+        try {
+            pipeline = normalisePipeline(pipeline);
+            if (typeof conditions !== "undefined") {
+                query = new Query(conditions);
+            }
+        } catch (e) {
+            return callback(e);
+        }
+
+        if (pipeline.sum.length || pipeline.avg.length || (query && query.getConditions().length !== 1)) {
+            return callback();
+        }
 
-        checkFieldIsIndexed(tableName, indexName, (err, status) => {
+        getIndexedFieldsList(tableName, async (err, indexedFields) => {
             if (err) {
-                return callback(createOpenDSUErrorWrapper(`Failed to add index for fields ${indexName} in table ${tableName}`, err));
+                return callback(createOpenDSUErrorWrapper(`Failed to get indexed fields list for table ${tableName}`, err));
             }
 
-            const __filterIndexedTable = () => {
-                storageDSU.listFiles(getIndexPath(tableName, indexName), async (err, values) => {
-                    if (err) {
-                        return callback(createOpenDSUErrorWrapper(`Failed read values for field ${indexName}`, err));
-                    }
+            let queryField;
+            if (query) {
+                queryField = query.selectIndex(indexedFields);
+                if (typeof queryField === "undefined" || queryField !== query.getConditions()[0][0]) {
+                    return callback();
+                }
+            }
 
-                    const pks = [];
-                    const uniqueIndexedValues = [];
-
-                    for (let i = 0; i < values.length; i++) {
-                        const value = values[i];
-                        const splitValue = value.split("/");
-                        const indexOfPk = pks.indexOf(splitValue[1]);
-                        if (indexOfPk === -1) {
-                            pks.push(splitValue[1]);
-                            uniqueIndexedValues.push(splitValue[0]);
-                        } else {
-                            const pk = pks[indexOfPk];
-                            const record = await $$.promisify(this.getRecord, this)(tableName, pk)
-                            if (record.__deleted) {
-                                pks.splice(indexOfPk, 1);
-                                uniqueIndexedValues.splice(indexOfPk, 1);
-                            } else {
-                                uniqueIndexedValues[indexOfPk] = record;
-                            }
-                            console.warn(`Record with pk ${splitValue[1]} already indexed on field ${indexName}`);
-                        }
+            // all the fields of the pipeline have to be read from the same index
+            let fields = [].concat(pipeline.min, pipeline.max);
+            if (typeof pipeline.groupBy !== "undefined") {
+                if (fields.length) {
+                    return callback();
+                }
+                fields = [pipeline.groupBy];
+            }
 
-                    }
-                    let filteredValues = query.filterValuesForIndex(uniqueIndexedValues);
-                    query.sortValues(filteredValues, sort);
-                    const getNextRecordForValue = getNextRecordFunction(tableName, indexName)
-                    query.filter(filteredValues, getNextRecordForValue, limit, callback);
-                });
+            const indexName = queryField || fields[0];
+            if (typeof indexName === "undefined" || isCompoundIndex(indexName) || indexedFields.indexOf(indexName) === -1) {
+                return callback();
             }
 
+            if (fields.some(field => field !== indexName) || (pipeline.count && !query && typeof pipeline.groupBy === "undefined")) {
+                return callback();
+            }
 
-            if (status) {
-                return __filterIndexedTable();
+            let entries;
+            try {
+                entries = await $$.promisify(storageDSU.listFiles)(getIndexPath(tableName, indexName));
+            } catch (e) {
+                return callback(createOpenDSUErrorWrapper(`Failed to read index ${indexName} of table ${tableName}`, e));
             }
 
-            console.log(`Warning - You tried filtering the table <${tableName}> on field <${conditionsArray[0].split(' ')[0]}> which is not indexed. This operation can be slow. Try calling addIndex on field <${conditionsArray[0].split(' ')[0]}> first.`);
-            filterTable(tableName, conditionsArray, sort, limit, callback);
+            const pksByValue = {};
+            entries.forEach(entry => {
+                const [value, pk] = entry.split("/");
+                pksByValue[value] = pksByValue[value] || [];
+                pksByValue[value].push(pk);
+            });
+
+            let values = Object.keys(pksByValue);
+            if (query) {
+                values = query.filterValuesForIndex(values);
+            }
+            query ? query.sortValues(values, "asc") : values.sort(getCompareFunction("asc"));
+
+            // the typed value of an index value, read from one of the records having it
+            const getTypedValue = async (value) => {
+                const record = await $$.promisify(self.getRecord)(tableName, pksByValue[value][0]);
+                return record[indexName];
+            }
+
+            try {
+                if (typeof pipeline.groupBy !== "undefined") {
+                    const groups = [];
+                    for (let value of values) {
+                        const group = {[pipeline.groupBy]: await getTypedValue(value)};
+                        if (pipeline.count) {
+                            group.count = pksByValue[value].length;
+                        }
+                        groups.push(group);
+                    }
+                    return callback(undefined, groups);
+                }
+
+                const result = {};
+                if (pipeline.count) {
+                    result.count = values.reduce((count, value) => count + pksByValue[value].length, 0);
+                }
+                for (let aggregation of ["min", "max"]) {
+                    if (pipeline[aggregation].length) {
+                        const value = aggregation === "min" ? values[0] : values[values.length - 1];
+                        result[aggregation] = {[indexName]: typeof value === "undefined" ? undefined : await getTypedValue(value)};
+                    }
+                }
+                callback(undefined, result);
+            } catch (e) {
+                callback(createOpenDSUErrorWrapper(`Failed to aggregate the index ${indexName} of table ${tableName}`, e));
+            }
         });
     }
 
-
-    function getNextRecordFunction(tableName, fieldName) {
+    // records with the same index value are returned in the order of their primary keys
+    function getNextRecordFunction(tableName, fieldName, startAfter) {
         let currentValue;
         let pksArray;
         let currentPosition;
@@ -271,7 +659,10 @@ function SingleDSUStorageStrategy(recordStorageStrategy) {
                         return callback(createOpenDSUErrorWrapper(`No primary key found for value ${value}`, err));
                     }
 
-                    pksArray = pks;
+                    pksArray = pks.sort(comparePrimaryKeys);
+                    if (startAfter && `${value}` === `${startAfter.value}`) {
+                        pksArray = pksArray.filter(pk => comparePrimaryKeys(pk, startAfter.pk) > 0);
+                    }
                     currentPosition = 0;
                     currentValue = value
 
@@ -284,31 +675,383 @@ function SingleDSUStorageStrategy(recordStorageStrategy) {
 
     }
 
-    this.addIndex = function (tableName, fieldName, forceReindex, callback) {
-        if (typeof forceReindex === "function") {
-            callback = forceReindex;
-            forceReindex = false;
+    /*
+        fieldName can be an ordered list of fields in order to create a compound index
+        options can be the forceReindex flag or an object {forceReindex, unique}
+        The records of a table can't share the value of the fields of a unique index. The records which don't have
+        (or have null) values for the indexed fields are not checked.
+     */
+    this.addIndex = function (tableName, fieldName, options, callback) {
+        if (typeof options === "function") {
+            callback = options;
+            options = false;
+        }
+
+        if (typeof options !== "object" || options === null) {
+            options = {forceReindex: options === true};
         }
 
-        if (typeof forceReindex === "undefined") {
-            forceReindex = false;
+        const forceReindex = options.forceReindex === true;
+        try {
+            fieldName = getIndexName(fieldName);
+        } catch (e) {
+            return callback(e);
         }
 
-        if (forceReindex === false) {
-            checkFieldIsIndexed(tableName, fieldName, (err, status) => {
+        const addLookupIndex = (callback) => {
+            if (forceReindex === false) {
+                checkFieldIsIndexed(tableName, fieldName, (err, status) => {
+                    if (err) {
+                        return callback(createOpenDSUErrorWrapper(`Failed to check if field ${fieldName} in table ${tableName} is indexed`, err));
+                    }
+
+                    if (status === true) {
+                        return callback();
+                    }
+
+                    createIndex(tableName, fieldName, callback);
+                });
+            } else {
+                createIndex(tableName, fieldName, callback);
+            }
+        }
+
+        const addUniqueIndex = (callback) => findDuplicateIndexValue(tableName, fieldName, (err, duplicate) => {
+            if (err) {
+                return callback(createOpenDSUErrorWrapper(`Failed to check the values of field ${fieldName} in table ${tableName}`, err));
+            }
+
+            if (duplicate) {
+                return callback(createOpenDSUErrorWrapper(`Failed to create unique index ${fieldName} in table ${tableName}. Records ${duplicate.pks.join(", ")} have the same value <${duplicate.value}>`, new Error(errorAPI.DB_UNIQUE_CONSTRAINT_ERROR)));
+            }
+
+            addLookupIndex(async (err) => {
                 if (err) {
-                    return callback(createOpenDSUErrorWrapper(`Failed to check if field ${fieldName} in table ${tableName} is indexed`, err));
+                    return callback(err);
                 }
 
-                if (status === true) {
-                    return callback();
+                let batchId;
+                try {
+                    batchId = await this.startOrAttachBatchAsync();
+                } catch (err) {
+                    return callback(err);
                 }
 
-                createIndex(tableName, fieldName, callback);
+                storageDSU.writeFile(getUniqueIndexPath(tableName, fieldName), async (err) => {
+                    if (err) {
+                        try {
+                            await this.cancelBatch(batchId);
+                        } catch (e) {
+                            console.log(e);
+                        }
+                        return callback(createOpenDSUErrorWrapper(`Failed to mark index ${fieldName} in table ${tableName} as unique`, err));
+                    }
+
+                    this.commitBatch(batchId, callback);
+                });
             });
-        } else {
-            createIndex(tableName, fieldName, callback);
+        });
+
+        getEncryptedFields(tableName, (err, encryptedFields) => {
+            if (err) {
+                return callback(err);
+            }
+
+            const encryptedField = getIndexFields(fieldName).find(field => typeof encryptedFields[field] !== "undefined");
+            if (encryptedField) {
+                return callback(Error(`Field ${encryptedField} of table ${tableName} is encrypted and can't be indexed`));
+            }
+
+            if (options.unique !== true) {
+                return addLookupIndex(callback);
+            }
+
+            addUniqueIndex(callback);
+        });
+    }
+
+    /*
+        The full-text index of a table (see fullText.js) is stored in /dbName/tableName/fullText:
+            - definition: the indexed fields and the language
+            - terms/<term>/<number of occurrences of the term in the record>/<pk>
+            - documents/<number of terms in the record>/<pk>
+        Having the numbers in the paths, the entries of a term or of all the documents are read by listing a single folder
+     */
+    let fullTextDefinitions = {};
+
+    function getFullTextPath(tableName, ...segments) {
+        return [`/${dbName}/${tableName}/fullText`, ...segments].join("/");
+    }
+
+    function getTermPath(tableName, term, ...segments) {
+        return getFullTextPath(tableName, "terms", encodeURIComponent(term), ...segments);
+    }
+
+    function getFullTextDefinition(tableName, callback) {
+        if (fullTextDefinitions[tableName]) {
+            return callback(undefined, fullTextDefinitions[tableName]);
         }
+
+        // the tables without a full-text index are read again, the index can be added by the other writers of the DB
+        storageDSU.readFile(getFullTextPath(tableName, "definition"), (err, content) => {
+            if (err) {
+                return callback();
+            }
+
+            let definition;
+            try {
+                definition = JSON.parse(content);
+            } catch (e) {
+                return callback(createOpenDSUErrorWrapper(`Failed to parse the full-text index definition of table ${tableName}`, e));
+            }
+
+            fullTextDefinitions[tableName] = definition;
+            callback(undefined, definition);
+        });
+    }
+
+    // the entries of a record which are missing can be ignored
+    async function deleteFullTextEntry(path) {
+        try {
+            await $$.promisify(storageDSU.delete)(path);
+        } catch (e) {
+            // the entry doesn't exist
+        }
+    }
+
+    async function updateFullTextIndexForRecord(tableName, pk, oldRecord, newRecord, callback) {
+        const {getTermFrequencies} = require("./fullText");
+        try {
+            const definition = await $$.promisify(getFullTextDefinition)(tableName);
+            if (!definition) {
+                return callback();
+            }
+
+            const getIndexedTerms = (record) => {
+                if (!record || record.__deleted) {
+                    return undefined;
+                }
+                return getTermFrequencies(record, definition.fields, definition.language);
+            }
+
+            const oldTerms = getIndexedTerms(oldRecord);
+            const newTerms = getIndexedTerms(newRecord);
+            const oldFrequencies = oldTerms ? oldTerms.frequencies : {};
+            const newFrequencies = newTerms ? newTerms.frequencies : {};
+            for (let term in oldFrequencies) {
+                if (oldFrequencies[term] !== newFrequencies[term]) {
+                    await deleteFullTextEntry(getTermPath(tableName, term, oldFrequencies[term], pk));
+                }
+            }
+
+            for (let term in newFrequencies) {
+                if (oldFrequencies[term] !== newFrequencies[term]) {
+                    await $$.promisify(storageDSU.writeFile)(getTermPath(tableName, term, newFrequencies[term], pk), "");
+                }
+            }
+
+            if (oldTerms && (!newTerms || oldTerms.length !== newTerms.length)) {
+                await deleteFullTextEntry(getFullTextPath(tableName, "documents", oldTerms.length, pk));
+            }
+
+            if (newTerms && (!oldTerms || oldTerms.length !== newTerms.length)) {
+                await $$.promisify(storageDSU.writeFile)(getFullTextPath(tableName, "documents", newTerms.length, pk), "");
+            }
+        } catch (e) {
+            return callback(e);
+        }
+
+        callback();
+    }
+
+    /*
+        Create (or recreate) the full-text index of a table over a list of fields. The index is updated on every insert, update and delete.
+        options: {language} (see fullText.js for the supported languages)
+     */
+    this.addFullTextIndex = async (tableName, fields, options, callback) => {
+        const {DEFAULT_LANGUAGE, checkLanguage} = require("./fullText");
+        fields = Array.isArray(fields) ? fields : [fields];
+        const definition = {fields, language: (options && options.language) || DEFAULT_LANGUAGE};
+        try {
+            checkLanguage(definition.language);
+            if (fields.length === 0 || fields.some(field => typeof field !== "string")) {
+                throw Error(`The fields of a full-text index should be a non empty list of field names`);
+            }
+
+            const encryptedFields = await $$.promisify(getEncryptedFields)(tableName);
+            const encryptedField = fields.find(field => typeof encryptedFields[field] !== "undefined");
+            if (encryptedField) {
+                throw Error(`Field ${encryptedField} of table ${tableName} is encrypted and can't be indexed`);
+            }
+        } catch (e) {
+            return callback(createOpenDSUErrorWrapper(`Invalid full-text index for table ${tableName}`, e));
+        }
+
+        let batchId;
+        try {
+            batchId = await this.startOrAttachBatchAsync();
+        } catch (err) {
+            return callback(err);
+        }
+
+        try {
+            await deleteFullTextEntry(getFullTextPath(tableName));
+            await $$.promisify(storageDSU.writeFile)(getFullTextPath(tableName, "definition"), JSON.stringify(definition));
+            fullTextDefinitions[tableName] = definition;
+            const primaryKeys = await $$.promisify(getPrimaryKeys)(tableName);
+            for (let i = 0; i < primaryKeys.length; i++) {
+                const record = await $$.promisify(self.getRecord)(tableName, primaryKeys[i]);
+                await $$.promisify(updateFullTextIndexForRecord)(tableName, primaryKeys[i], undefined, record);
+            }
+        } catch (e) {
+            delete fullTextDefinitions[tableName];
+            const indexError = createOpenDSUErrorWrapper(`Failed to create the full-text index of table ${tableName}`, e);
+            try {
+                await this.cancelBatchAsync(batchId);
+            } catch (error) {
+                return callback(createOpenDSUErrorWrapper(`Failed to cancel batch`, error, indexError));
+            }
+            return callback(indexError);
+        }
+
+        this.commitBatch(batchId, callback);
+    }
+
+    /*
+        Returns the primary keys of the records matching the terms of the text ordered by relevance
+        options: {limit, matchAll} - matchAll requires the records to contain all the terms of the text
+     */
+    this.search = async (tableName, text, options, callback) => {
+        const {tokenize, rankDocuments} = require("./fullText");
+        options = options || {};
+        let pks;
+        try {
+            const definition = await $$.promisify(getFullTextDefinition)(tableName);
+            if (!definition) {
+                throw Error(`Table ${tableName} has no full-text index. Call addFullTextIndex first`);
+            }
+
+            const listEntries = async (path) => {
+                try {
+                    return await $$.promisify(storageDSU.listFiles)(path);
+                } catch (e) {
+                    return [];
+                }
+            }
+
+            const parseEntries = (entries) => {
+                const counts = {};
+                entries.forEach(entry => {
+                    const [count, pk] = entry.split("/");
+                    counts[pk] = parseInt(count);
+                });
+                return counts;
+            }
+
+            const documentLengths = parseEntries(await listEntries(getFullTextPath(tableName, "documents")));
+            const stats = {documents: 0, length: 0};
+            Object.values(documentLengths).forEach(length => {
+                stats.documents++;
+                stats.length += length;
+            });
+
+            const postings = {};
+            const terms = [...new Set(tokenize(text, definition.language))];
+            for (let i = 0; i < terms.length; i++) {
+                postings[terms[i]] = parseEntries(await listEntries(getTermPath(tableName, terms[i])));
+            }
+
+            pks = rankDocuments(postings, documentLengths, stats, options.matchAll === true);
+        } catch (e) {
+            return callback(createOpenDSUErrorWrapper(`Failed to search in table ${tableName}`, e));
+        }
+
+        if (typeof options.limit === "number") {
+            pks = pks.slice(0, options.limit);
+        }
+        callback(undefined, pks);
+    }
+
+    // the value of a record for a unique index or undefined if the record doesn't have all the indexed fields
+    function getUniqueIndexValue(record, indexName) {
+        const hasAllFields = getIndexFields(indexName).every(field => record[field] !== null && typeof record[field] !== "undefined");
+        if (record.__deleted || !hasAllFields) {
+            return undefined;
+        }
+
+        return `${getRecordIndexValue(record, indexName)}`;
+    }
+
+    async function findDuplicateIndexValue(tableName, indexName, callback) {
+        const pksByValue = {};
+        try {
+            const primaryKeys = await $$.promisify(getPrimaryKeys)(tableName);
+            for (let i = 0; i < primaryKeys.length; i++) {
+                const record = await $$.promisify(self.getRecord)(tableName, primaryKeys[i]);
+                const value = getUniqueIndexValue(record, indexName);
+                if (typeof value === "undefined") {
+                    continue;
+                }
+
+                if (pksByValue[value]) {
+                    return callback(undefined, {value, pks: [pksByValue[value], primaryKeys[i]]});
+                }
+                pksByValue[value] = primaryKeys[i];
+            }
+        } catch (e) {
+            return callback(e);
+        }
+
+        callback();
+    }
+
+    function getUniqueIndexes(tableName, callback) {
+        storageDSU.listFiles(getUniqueIndexPath(tableName), (err, indexes) => {
+            if (err) {
+                return callback(undefined, []);
+            }
+
+            callback(undefined, indexes);
+        });
+    }
+
+    /*
+        Looks in the index folders for other records having the same values as the record for the fields of the unique indexes
+        The entries of the index pointing to deleted records or to records with changed values are ignored
+     */
+    async function checkUniqueIndexes(tableName, pk, record, callback) {
+        try {
+            const uniqueIndexes = await $$.promisify(getUniqueIndexes)(tableName);
+            for (let i = 0; i < uniqueIndexes.length; i++) {
+                const indexName = uniqueIndexes[i];
+                const value = getUniqueIndexValue(record, indexName);
+                if (typeof value === "undefined") {
+                    continue;
+                }
+
+                let pks;
+                try {
+                    pks = await $$.promisify(storageDSU.listFiles)(getIndexPath(tableName, indexName, value));
+                } catch (e) {
+                    pks = [];
+                }
+
+                for (let j = 0; j < pks.length; j++) {
+                    if (pks[j] === `${pk}`) {
+                        continue;
+                    }
+
+                    const otherRecord = await $$.promisify(self.getRecord)(tableName, pks[j]);
+                    if (getUniqueIndexValue(otherRecord, indexName) === value) {
+                        return callback(createOpenDSUErrorWrapper(`Record ${pk} has the same value <${value}> for the unique index ${indexName} in table ${tableName} as record ${pks[j]}`, new Error(errorAPI.DB_UNIQUE_CONSTRAINT_ERROR)));
+                    }
+                }
+            }
+        } catch (e) {
+            return callback(createOpenDSUErrorWrapper(`Failed to check the unique indexes of table ${tableName}`, e));
+        }
+
+        callback();
     }
 
     this.getIndexedFields = function (tableName, callback) {
@@ -316,6 +1059,7 @@ function SingleDSUStorageStrategy(recordStorageStrategy) {
     };
 
     let createIndex = (tableName, fieldName, callback) => {
+        clearPendingPages();
         getPrimaryKeys(tableName, async (err, primaryKeys) => {
             if (err) {
                 return callback(createOpenDSUErrorWrapper(`Failed to get primary keys for table ${tableName}`, err));
@@ -330,12 +1074,8 @@ function SingleDSUStorageStrategy(recordStorageStrategy) {
                 return callback(err);
             }
 
-            const taskCounter = new TaskCounter(() => {
-               this.commitBatch(batchId, callback);
-            });
-
-            if (primaryKeys.length === 0) {
-                return storageDSU.createFolder(getIndexPath(tableName, fieldName), (err) => {
+            const createEmptyIndex = () => {
+                storageDSU.createFolder(getIndexPath(tableName, fieldName), (err) => {
                     if (err) {
                         return callback(createOpenDSUErrorWrapper(`Failed to create empty index for field ${fieldName} in table ${tableName}`, err));
                     }
@@ -344,6 +1084,19 @@ function SingleDSUStorageStrategy(recordStorageStrategy) {
                 });
             }
 
+            // the deleted records and the records without the indexed fields are not indexed
+            let indexedRecords = 0;
+            const taskCounter = new TaskCounter(() => {
+                if (indexedRecords === 0) {
+                    return createEmptyIndex();
+                }
+                this.commitBatch(batchId, callback);
+            });
+
+            if (primaryKeys.length === 0) {
+                return createEmptyIndex();
+            }
+
             taskCounter.increment(primaryKeys.length);
             primaryKeys.forEach(pk => {
                 self.getRecord(tableName, pk, (err, record) => {
@@ -351,11 +1104,16 @@ function SingleDSUStorageStrategy(recordStorageStrategy) {
                         return callback(createOpenDSUErrorWrapper(`Failed to get record ${pk} from table ${tableName}`));
                     }
 
-                    storageDSU.writeFile(getIndexPath(tableName, fieldName, record[fieldName], pk), undefined, (err) => {
+                    if (record.__deleted || !hasIndexFields(record, fieldName)) {
+                        return taskCounter.decrement();
+                    }
+
+                    storageDSU.writeFile(getIndexPath(tableName, fieldName, getRecordIndexValue(record, fieldName), pk), undefined, (err) => {
                         if (err) {
                             return callback(createOpenDSUErrorWrapper(`Failed to create index for field ${fieldName} in table ${tableName}`, err));
                         }
 
+                        indexedRecords++;
                         taskCounter.decrement();
                     });
                 });
@@ -385,18 +1143,23 @@ function SingleDSUStorageStrategy(recordStorageStrategy) {
         });
     }
 
+    // a record is added in an index (simple or compound) only if it has all the indexed fields
+    function getIndexesForRecord(indexedFields, record) {
+        return indexedFields.filter(indexName => hasIndexFields(record, indexName));
+    }
+
     function updateIndexesForRecord(tableName, pk, newRecord, callback) {
         if (newRecord.__deleted) {
             //deleted records don't need to be into indexes
             return callback();
         }
-        const fields = Object.keys(newRecord);
         getIndexedFieldsList(tableName, (err, indexedFields) => {
             if (err) {
                 return callback(createOpenDSUErrorWrapper(`Failed to get indexed fields list for table ${tableName}`, err));
             }
 
-            if (indexedFields.length === 0) {
+            const indexes = getIndexesForRecord(indexedFields, newRecord);
+            if (indexes.length === 0) {
                 return callback();
             }
 
@@ -405,19 +1168,15 @@ function SingleDSUStorageStrategy(recordStorageStrategy) {
                 return callback();
             })
 
-            taskCounter.increment(fields.length);
-            fields.forEach(field => {
-                if (indexedFields.findIndex(indexedField => indexedField === field) !== -1) {
-                    createIndexForValue(tableName, field, pk, newRecord[field], (err) => {
-                        if (err) {
-                            return callback(createOpenDSUErrorWrapper(`Failed to update index for field ${field} in table ${tableName}`, err));
-                        }
+            taskCounter.increment(indexes.length);
+            indexes.forEach(indexName => {
+                createIndexForValue(tableName, indexName, pk, getRecordIndexValue(newRecord, indexName), (err) => {
+                    if (err) {
+                        return callback(createOpenDSUErrorWrapper(`Failed to update index ${indexName} in table ${tableName}`, err));
+                    }
 
-                        taskCounter.decrement();
-                    });
-                } else {
                     taskCounter.decrement();
-                }
+                });
             })
         });
     }
@@ -435,6 +1194,15 @@ function SingleDSUStorageStrategy(recordStorageStrategy) {
         return path;
     }
 
+    // the unique indexes of a table are marked with files named after the indexes
+    function getUniqueIndexPath(tableName, indexName) {
+        let path = `/${dbName}/${tableName}/uniqueIndexes`;
+        if (typeof indexName !== "undefined") {
+            path = `${path}/${indexName}`;
+        }
+        return path;
+    }
+
     function getRecordPath(tableName, pk) {
         return `/${dbName}/${tableName}/records/${pk}`;
     }
@@ -447,13 +1215,18 @@ function SingleDSUStorageStrategy(recordStorageStrategy) {
     }
 
     function deleteIndexesForRecord(tableName, pk, oldRecord, newRecord, callback) {
-        const fields = Object.keys(oldRecord);
+        if (oldRecord.__deleted) {
+            // the entries of a deleted record were removed when it was deleted
+            return callback();
+        }
+
         getIndexedFieldsList(tableName, (err, indexedFields) => {
             if (err) {
                 return callback(createOpenDSUErrorWrapper(`Failed to get indexed fields list for table ${tableName}`, err));
             }
 
-            if (indexedFields.length === 0) {
+            const indexes = getIndexesForRecord(indexedFields, oldRecord);
+            if (indexes.length === 0) {
                 return callback();
             }
 
@@ -462,19 +1235,17 @@ function SingleDSUStorageStrategy(recordStorageStrategy) {
                 return callback();
             })
 
-            taskCounter.increment(fields.length);
-            fields.forEach(field => {
-                if (indexedFields.findIndex(indexedField => indexedField === field) !== -1) {
-                    deleteValueForIndex(tableName, field, pk, oldRecord[field], newRecord[field], (err) => {
-                        if (err) {
-                            return callback(createOpenDSUErrorWrapper(`Failed to delete index for field ${field} in table ${tableName}`, err));
-                        }
+            taskCounter.increment(indexes.length);
+            // the deleted records are removed from all the indexes
+            indexes.forEach(indexName => {
+                const newValue = newRecord.__deleted ? undefined : getRecordIndexValue(newRecord, indexName);
+                deleteValueForIndex(tableName, indexName, pk, getRecordIndexValue(oldRecord, indexName), newValue, (err) => {
+                    if (err) {
+                        return callback(createOpenDSUErrorWrapper(`Failed to delete index ${indexName} in table ${tableName}`, err));
+                    }
 
-                        taskCounter.decrement();
-                    });
-                } else {
                     taskCounter.decrement();
-                }
+                });
             })
         });
     }
@@ -530,11 +1301,19 @@ function SingleDSUStorageStrategy(recordStorageStrategy) {
         }
 
         const recordPath = getRecordPath(tableName, key);
-        recordStorageStrategy.storeRecord(recordPath, newRecord, oldRecord, function (err, res) {
+        const storeRecord = (callback) => storeRecordWithEncryptedFields(tableName, key, newRecord, oldRecord, function (err, res) {
             if (err) {
                 return callback(createOpenDSUErrorWrapper(`Failed to update record in ${recordPath}`, err));
             }
 
+            const updateFullTextIndex = () => updateFullTextIndexForRecord(tableName, key, oldRecord, newRecord, (err) => {
+                if (err) {
+                    return callback(createOpenDSUErrorWrapper(`Failed to update the full-text index for record ${key} in table ${tableName}`, err));
+                }
+
+                callback(undefined, newRecord);
+            });
+
             if (typeof oldRecord !== "undefined") {
                 return deleteIndexesForRecord(tableName, key, oldRecord, newRecord, (err) => {
                     if (err) {
@@ -546,7 +1325,7 @@ function SingleDSUStorageStrategy(recordStorageStrategy) {
                             return callback(createOpenDSUErrorWrapper(`Failed to update indexes for record ${newRecord}`, err));
                         }
 
-                        callback(err, newRecord);
+                        updateFullTextIndex();
                     });
                 });
             }
@@ -556,7 +1335,50 @@ function SingleDSUStorageStrategy(recordStorageStrategy) {
                     return callback(createOpenDSUErrorWrapper(`Failed to update indexes for record ${newRecord}`, err));
                 }
 
-                callback(err, newRecord)
+                updateFullTextIndex();
+            });
+        });
+
+        /*
+            The record and its index entries are written in a batch and the unique indexes are checked again before the
+            commit, so the records written concurrently with the same values are rejected as well (the batch is cancelled)
+         */
+        getUniqueIndexes(tableName, async (err, uniqueIndexes) => {
+            if (uniqueIndexes.length === 0) {
+                return storeRecord(callback);
+            }
+
+            try {
+                await $$.promisify(checkUniqueIndexes)(tableName, key, newRecord);
+            } catch (e) {
+                return callback(e);
+            }
+
+            let batchId;
+            try {
+                batchId = await self.startOrAttachBatchAsync();
+            } catch (e) {
+                return callback(createOpenDSUErrorWrapper(`Failed to begin batch`, e));
+            }
+
+            try {
+                await $$.promisify(storeRecord)();
+                await $$.promisify(checkUniqueIndexes)(tableName, key, newRecord);
+            } catch (e) {
+                try {
+                    await self.cancelBatchAsync(batchId);
+                } catch (cancelError) {
+                    return callback(createOpenDSUErrorWrapper(`Failed to cancel the batch of record ${key} in table ${tableName}`, e, [cancelError]));
+                }
+                return callback(e);
+            }
+
+            self.commitBatch(batchId, (err) => {
+                if (err) {
+                    return callback(createOpenDSUErrorWrapper(`Failed to commit the batch of record ${key} in table ${tableName}`, err));
+                }
+
+                callback(undefined, newRecord);
             });
         });
     };
@@ -566,9 +1388,89 @@ function SingleDSUStorageStrategy(recordStorageStrategy) {
      */
     this.getRecord = function (tableName, key, callback) {
         const recordPath = getRecordPath(tableName, key);
-        recordStorageStrategy.getRecord(recordPath, callback);
+        recordStorageStrategy.getRecord(recordPath, (err, record) => {
+            if (err) {
+                return callback(err);
+            }
+
+            getEncryptedFields(tableName, (err, encryptedFields) => {
+                if (err) {
+                    return callback(err);
+                }
+
+                if (Object.keys(encryptedFields).length === 0) {
+                    return callback(undefined, record);
+                }
+
+                require("./fieldEncryption").decryptFields(encryptionEnclave, encryptionDID, encryptedFields, record, callback);
+            });
+        });
     };
 
+    /*
+        Purge the expired deleted records of a table in a single batch
+        See normaliseCompactOptions in utils.js for the options. The records of the DSU tables keep no history (the previous
+        versions are only in the previous versions of the DSU), so options.maxVersions is rejected and nothing is truncated.
+     */
+    this.compact = async (tableName, options, callback) => {
+        const {normaliseCompactOptions, isExpiredTombstone} = require("./utils");
+        try {
+            options = normaliseCompactOptions(options);
+        } catch (e) {
+            return callback(e);
+        }
+
+        if (typeof options.maxVersions !== "undefined") {
+            return callback(Error(`The records of table ${tableName} have no history to truncate, maxVersions is not supported`));
+        }
+
+        let batchId;
+        try {
+            batchId = await this.startOrAttachBatchAsync();
+        } catch (err) {
+            return callback(err);
+        }
+
+        const report = {purged: 0, truncated: 0};
+        const now = Date.now();
+        try {
+            const primaryKeys = await $$.promisify(getPrimaryKeys)(tableName);
+            const indexedFields = await $$.promisify(getIndexedFieldsList)(tableName);
+            for (let i = 0; i < primaryKeys.length; i++) {
+                const pk = primaryKeys[i];
+                const record = await $$.promisify(self.getRecord)(tableName, pk);
+                if (isExpiredTombstone(record, options, now)) {
+                    await $$.promisify(storageDSU.delete)(getRecordPath(tableName, pk));
+                    // the index entries of the records deleted before they were removed from the indexes on deletion
+                    for (let j = 0; j < indexedFields.length; j++) {
+                        try {
+                            await $$.promisify(storageDSU.delete)(getIndexPath(tableName, indexedFields[j], getRecordIndexValue(record, indexedFields[j]), pk));
+                        } catch (e) {
+                            // the record was not in the index
+                        }
+                    }
+                    report.purged++;
+                }
+            }
+        } catch (e) {
+            const compactError = createOpenDSUErrorWrapper(`Failed to compact table ${tableName}`, e);
+            try {
+                await this.cancelBatchAsync(batchId);
+            } catch (error) {
+                return callback(createOpenDSUErrorWrapper(`Failed to cancel batch`, error, compactError));
+            }
+            return callback(compactError);
+        }
+
+        this.commitBatch(batchId, (err) => {
+            if (err) {
+                return callback(createOpenDSUErrorWrapper(`Failed to commit the compaction of table ${tableName}`, err));
+            }
+
+            callback(undefined, report);
+        });
+    }
+
     const READ_WRITE_KEY_TABLE = "KeyValueTable";
     this.writeKey = async (key, value, callback)=> {
         let batchId;
@@ -611,25 +1513,40 @@ function SingleDSUStorageStrategy(recordStorageStrategy) {
         });
     };
 
+    // the keys are written directly in the storage DSU, not through the record storage strategy (e.g. the versionless one)
     this.readKey = function (key, callback) {
-        this.getRecord(READ_WRITE_KEY_TABLE, key, (err, record) => {
-            if (err) {
-                return callback(createOpenDSUErrorWrapper(`Failed to read key ${key}`, err));
+        const path = getRecordPath(READ_WRITE_KEY_TABLE, key);
+        storageDSU.stat(path, (err, stat) => {
+            if (!err && typeof stat.type === "undefined") {
+                return callback(createOpenDSUErrorWrapper(`Failed to read key ${key}`, new Error(errorAPI.DB_KEY_NOT_FOUND_ERROR)));
             }
 
-            let value;
-            switch (record.type) {
-                case "buffer":
-                    value = Buffer.from(record.value);
-                    break;
-                case "object":
-                    value = JSON.parse(record.value);
-                    break;
-                default:
-                    value = record.value;
-            }
+            storageDSU.readFile(path, (err, content) => {
+                if (err) {
+                    return callback(createOpenDSUErrorWrapper(`Failed to read key ${key}`, err));
+                }
 
-            callback(undefined, value);
+                let record;
+                try {
+                    record = JSON.parse(content);
+                } catch (e) {
+                    return callback(createOpenDSUErrorWrapper(`Failed to parse the value of key ${key}`, e));
+                }
+
+                let value;
+                switch (record.type) {
+                    case "buffer":
+                        value = Buffer.from(record.value);
+                        break;
+                    case "object":
+                        value = JSON.parse(record.value);
+                        break;
+                    default:
+                        value = record.value;
+                }
+
+                callback(undefined, value);
+            });
         });
     }
 }
@@ -13,8 +13,14 @@ function VersionlessStorageStrategy(recordStorageStrategy) {
             recordStorageStrategy = new VersionlessRecordStorageStrategy(storageDSU);
             const singleDSUStorageStrategy = new SingleDSUStorageStrategy(recordStorageStrategy);
             singleDSUStorageStrategy.initialise(storageDSU, dbName);
+            // the strategy is assembled before it is announced as initialised (e.g. the migrations use it right away)
+            // and it keeps its own observers, registered by the DB before the initialisation
+            const {on, off, dispatchEvent} = this;
+            Object.assign(this, singleDSUStorageStrategy, {on, off, dispatchEvent});
+            this.asOf = (versionNumberOrHashLink, callback) => {
+                callback(Error(`Versionless DBs don't keep the history of the storage DSU`));
+            }
             this.dispatchEvent("initialised");
-            Object.assign(this, singleDSUStorageStrategy);
         }
     }
 }
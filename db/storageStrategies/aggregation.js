@@ -0,0 +1,119 @@
+/*
+    An aggregation pipeline has the form:
+        {
+            groupBy: "category",      // optional
+            count: true,
+            sum: ["price"],           // a field name or a list of field names
+            min: "price",
+            max: "price",
+            avg: ["price", "stock"]
+        }
+    Without groupBy the result is an object like {count: 10, sum: {price: 100}, min: {price: 1}, max: {price: 20}, avg: {...}}.
+    With groupBy the result is a list with an object for every value of the groupBy field: [{category: "pens", count: 3, ...}],
+    ordered by the value of the groupBy field.
+    sum and avg take into account only the numeric values, min and max all the values which are not null or undefined.
+ */
+const {compareValues, getCompareFunction} = require("./utils");
+
+const FIELD_AGGREGATIONS = ["sum", "min", "max", "avg"];
+
+function normalisePipeline(pipeline) {
+    if (typeof pipeline !== "object" || pipeline === null) {
+        throw Error(`Invalid aggregation pipeline ${JSON.stringify(pipeline)}`);
+    }
+
+    const normalisedPipeline = {count: false, groupBy: pipeline.groupBy};
+    Object.keys(pipeline).forEach(key => {
+        if (key !== "groupBy" && key !== "count" && FIELD_AGGREGATIONS.indexOf(key) === -1) {
+            throw Error(`Unknown aggregation <${key}>. The supported aggregations are count, ${FIELD_AGGREGATIONS.join(", ")} and groupBy`);
+        }
+    });
+
+    if (typeof pipeline.groupBy !== "undefined" && typeof pipeline.groupBy !== "string") {
+        throw Error(`The groupBy field should be a string`);
+    }
+
+    normalisedPipeline.count = pipeline.count === true;
+    FIELD_AGGREGATIONS.forEach(aggregation => {
+        let fields = pipeline[aggregation] || [];
+        if (!Array.isArray(fields)) {
+            fields = [fields];
+        }
+        normalisedPipeline[aggregation] = fields;
+    });
+
+    return normalisedPipeline;
+}
+
+function isNumber(value) {
+    return typeof value === "number" && !isNaN(value);
+}
+
+function aggregateGroup(records, pipeline) {
+    const result = {};
+    if (pipeline.count) {
+        result.count = records.length;
+    }
+
+    FIELD_AGGREGATIONS.forEach(aggregation => {
+        if (pipeline[aggregation].length === 0) {
+            return;
+        }
+
+        result[aggregation] = {};
+        pipeline[aggregation].forEach(field => {
+            const values = records.map(record => record[field]);
+            const numbers = values.filter(isNumber);
+            const comparableValues = values.filter(value => value !== null && typeof value !== "undefined").sort(compareValues);
+            switch (aggregation) {
+                case "sum":
+                    result.sum[field] = numbers.reduce((sum, value) => sum + value, 0);
+                    break;
+                case "avg":
+                    result.avg[field] = numbers.length ? numbers.reduce((sum, value) => sum + value, 0) / numbers.length : undefined;
+                    break;
+                case "min":
+                    result.min[field] = comparableValues[0];
+                    break;
+                case "max":
+                    result.max[field] = comparableValues[comparableValues.length - 1];
+                    break;
+            }
+        });
+    });
+
+    return result;
+}
+
+/*
+    Group the records on the groupBy field and apply the aggregations on every group
+ */
+function groupRecords(records, groupBy, aggregateFn) {
+    const groups = new Map();
+    records.forEach(record => {
+        const key = JSON.stringify(record[groupBy]);
+        if (!groups.has(key)) {
+            groups.set(key, {value: record[groupBy], records: []});
+        }
+        groups.get(key).records.push(record);
+    });
+
+    const compareFn = getCompareFunction("asc");
+    return [...groups.values()].sort((first, second) => compareFn(first.value, second.value)).map(group => {
+        return Object.assign({[groupBy]: group.value}, aggregateFn(group.records));
+    });
+}
+
+function aggregateRecords(records, pipeline) {
+    pipeline = normalisePipeline(pipeline);
+    if (typeof pipeline.groupBy !== "undefined") {
+        return groupRecords(records, pipeline.groupBy, recordsOfGroup => aggregateGroup(recordsOfGroup, pipeline));
+    }
+
+    return aggregateGroup(records, pipeline);
+}
+
+module.exports = {
+    normalisePipeline,
+    aggregateRecords
+}
@@ -0,0 +1,75 @@
+/*
+    Encryption of the fields of the records with secret keys stored in an enclave (see storeSecretKey and encryptAES)
+    The encrypted fields of a table are described by an object mapping the field names to the aliases of the keys: {price: "pricesKey"}
+    An encrypted value is stored as {__encryptedWith: <key alias>, __ciphertext: <base64 ciphertext of the JSON encoded value>}.
+    The values which can't be decrypted (no enclave or the key is not in the enclave) are returned in this form.
+    The enclave is called on behalf of forDID ($$.SYSTEM_IDENTIFIER by default), which needs read access to the secret keys
+    once they have an access control list (see enclave/mixins/AccessControl_Mixin.js).
+ */
+const getEncryptionDID = (forDID) => {
+    return typeof forDID === "undefined" ? $$.SYSTEM_IDENTIFIER : forDID;
+}
+
+function isEncryptedValue(value) {
+    return typeof value === "object" && value !== null && typeof value.__encryptedWith === "string" && typeof value.__ciphertext === "string";
+}
+
+/*
+    Returns a copy of the record having the encrypted fields replaced by their ciphertext
+    The values which are already encrypted (e.g. read without having the key) are stored as they are
+ */
+async function encryptFields(enclave, forDID, encryptedFields, record, callback) {
+    const encryptedRecord = Object.assign({}, record);
+    try {
+        for (let fieldName in encryptedFields) {
+            const value = record[fieldName];
+            if (typeof value === "undefined" || isEncryptedValue(value)) {
+                continue;
+            }
+
+            if (!enclave) {
+                throw Error(`No enclave was provided for encrypting field ${fieldName}`);
+            }
+
+            const ciphertext = await $$.promisify(enclave.encryptAES)(getEncryptionDID(forDID), encryptedFields[fieldName], JSON.stringify(value));
+            encryptedRecord[fieldName] = {
+                __encryptedWith: encryptedFields[fieldName],
+                __ciphertext: $$.Buffer.from(ciphertext).toString("base64")
+            };
+        }
+    } catch (e) {
+        return callback(createOpenDSUErrorWrapper(`Failed to encrypt the fields of record ${record.pk}`, e));
+    }
+
+    callback(undefined, encryptedRecord);
+}
+
+/*
+    Returns a copy of the record having the encrypted fields decrypted when the keys are available in the enclave
+ */
+async function decryptFields(enclave, forDID, encryptedFields, record, callback) {
+    const decryptedRecord = Object.assign({}, record);
+    if (enclave) {
+        for (let fieldName in encryptedFields) {
+            const value = record[fieldName];
+            if (!isEncryptedValue(value)) {
+                continue;
+            }
+
+            try {
+                const plaintext = await $$.promisify(enclave.decryptAES)(getEncryptionDID(forDID), value.__encryptedWith, $$.Buffer.from(value.__ciphertext, "base64"));
+                decryptedRecord[fieldName] = JSON.parse($$.Buffer.from(plaintext).toString());
+            } catch (e) {
+                // the key is not available, the field is left encrypted
+            }
+        }
+    }
+
+    callback(undefined, decryptedRecord);
+}
+
+module.exports = {
+    isEncryptedValue,
+    encryptFields,
+    decryptFields
+}
@@ -0,0 +1,113 @@
+/*
+    Tokenisation and ranking used by the full-text indexes
+    The text of the indexed fields is lower cased, stripped of diacritics and split into terms on anything which is not a letter or
+    a digit. The "english" language also drops the stop words and reduces the terms to a simple stem (e.g. "leaflets" -> "leaflet"),
+    the "simple" language keeps all the terms as they are.
+    The results of a search are ranked with BM25.
+ */
+const DEFAULT_LANGUAGE = "english";
+const BM25_K1 = 1.2;
+const BM25_B = 0.75;
+
+const ENGLISH_STOP_WORDS = ["a", "an", "and", "are", "as", "at", "be", "but", "by", "for", "if", "in", "into", "is", "it", "no",
+    "not", "of", "on", "or", "such", "that", "the", "their", "then", "there", "these", "they", "this", "to", "was", "will", "with"];
+
+function stemEnglishTerm(term) {
+    if (term.length <= 3 || term.endsWith("ss") || term.endsWith("us") || term.endsWith("is")) {
+        return term;
+    }
+
+    if (term.endsWith("ies")) {
+        return `${term.slice(0, -3)}y`;
+    }
+
+    for (let suffix of ["ing", "ed", "s"]) {
+        if (term.endsWith(suffix) && term.length - suffix.length >= 3) {
+            return term.slice(0, -suffix.length);
+        }
+    }
+
+    return term;
+}
+
+const LANGUAGES = {
+    english: {
+        isStopWord: term => ENGLISH_STOP_WORDS.indexOf(term) !== -1,
+        stem: stemEnglishTerm
+    },
+    simple: {
+        isStopWord: () => false,
+        stem: term => term
+    }
+};
+
+function checkLanguage(language) {
+    if (typeof LANGUAGES[language] === "undefined") {
+        throw Error(`Unsupported language <${language}>. The supported languages are ${Object.keys(LANGUAGES).join(", ")}`);
+    }
+}
+
+function tokenize(text, language) {
+    if (text === null || typeof text === "undefined") {
+        return [];
+    }
+
+    const languageRules = LANGUAGES[language || DEFAULT_LANGUAGE];
+    return `${text}`.normalize("NFKD").replace(/[\u0300-\u036f]/g, "").toLowerCase()
+        .split(/[^\p{L}\p{N}]+/u)
+        .filter(term => term.length > 0 && !languageRules.isStopWord(term))
+        .map(languageRules.stem);
+}
+
+/*
+    Returns the number of occurrences of every term in the indexed fields of the record and the total number of terms
+ */
+function getTermFrequencies(record, fields, language) {
+    const frequencies = {};
+    let length = 0;
+    fields.forEach(field => {
+        const values = Array.isArray(record[field]) ? record[field] : [record[field]];
+        values.forEach(value => {
+            tokenize(value, language).forEach(term => {
+                frequencies[term] = (frequencies[term] || 0) + 1;
+                length++;
+            });
+        });
+    });
+
+    return {frequencies, length};
+}
+
+/*
+    postings maps every term of the searched text to the frequencies of the term in the documents: {term: {pk: frequency}}
+    stats contains the number of indexed documents and their total length: {documents, length}
+    Returns the primary keys ordered by relevance
+ */
+function rankDocuments(postings, documentLengths, stats, matchAll) {
+    const terms = Object.keys(postings);
+    const averageLength = stats.documents ? stats.length / stats.documents : 0;
+    const scores = {};
+    const matchedTerms = {};
+    terms.forEach(term => {
+        const pks = Object.keys(postings[term]);
+        const idf = Math.log(1 + (stats.documents - pks.length + 0.5) / (pks.length + 0.5));
+        pks.forEach(pk => {
+            const frequency = postings[term][pk];
+            const lengthRatio = averageLength ? (documentLengths[pk] || 0) / averageLength : 1;
+            scores[pk] = (scores[pk] || 0) + idf * frequency * (BM25_K1 + 1) / (frequency + BM25_K1 * (1 - BM25_B + BM25_B * lengthRatio));
+            matchedTerms[pk] = (matchedTerms[pk] || 0) + 1;
+        });
+    });
+
+    return Object.keys(scores)
+        .filter(pk => !matchAll || matchedTerms[pk] === terms.length)
+        .sort((first, second) => scores[second] - scores[first] || (first < second ? -1 : first > second ? 1 : 0));
+}
+
+module.exports = {
+    DEFAULT_LANGUAGE,
+    checkLanguage,
+    tokenize,
+    getTermFrequencies,
+    rankDocuments
+}
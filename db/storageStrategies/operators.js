@@ -1,26 +1,57 @@
+const {areComparable, compareValues, equalValues} = require("./utils");
+
+/*
+    x is the stored value. The values of the records are compared strictly (a numeric string is not equal to a number)
+    while the index values, which are always strings, are converted to the type of the operand (isIndexValue)
+ */
 module.exports = {
-    "<": function (x, y) {
-        return x < y
+    "<": function (x, y, isIndexValue) {
+        return areComparable(x, y, !isIndexValue) && compareValues(x, y, !isIndexValue) < 0;
     },
-    "<=": function (x, y) {
-        return x <= y
+    "<=": function (x, y, isIndexValue) {
+        return areComparable(x, y, !isIndexValue) && compareValues(x, y, !isIndexValue) <= 0;
     },
-    ">": function (x, y) {
-        return x > y
+    ">": function (x, y, isIndexValue) {
+        return areComparable(x, y, !isIndexValue) && compareValues(x, y, !isIndexValue) > 0;
     },
-    ">=": function (x, y) {
-        return x >= y
+    ">=": function (x, y, isIndexValue) {
+        return areComparable(x, y, !isIndexValue) && compareValues(x, y, !isIndexValue) >= 0;
     },
-    "==": function (x, y) {
-        return x == y
+    "==": function (x, y, isIndexValue) {
+        return equalValues(x, y, !isIndexValue);
     },
-    "!=": function (x, y) {
-        if (y === "undefined") {
-            y = undefined;
+    "!=": function (x, y, isIndexValue) {
+        return !equalValues(x, y, !isIndexValue);
+    },
+    "in": function (x, values, isIndexValue) {
+        return values.some(value => equalValues(x, value, !isIndexValue));
+    },
+    "between": function (x, [lowerBound, upperBound], isIndexValue) {
+        return areComparable(x, lowerBound, !isIndexValue) && areComparable(x, upperBound, !isIndexValue)
+            && compareValues(x, lowerBound, !isIndexValue) >= 0 && compareValues(x, upperBound, !isIndexValue) <= 0;
+    },
+    "startsWith": function (str, prefix) {
+        if (str === null || typeof str === "undefined") {
+            return false;
         }
-        return x != y;
+
+        return String(str).startsWith(String(prefix));
+    },
+    "exists": function (x, shouldExist) {
+        return (typeof x !== "undefined") === shouldExist;
+    },
+    "contains": function (values, value) {
+        if (!Array.isArray(values)) {
+            return false;
+        }
+
+        return values.some(el => equalValues(el, value, true));
     },
     "like": function (str, regex) {
+        if (str === null || typeof str === "undefined") {
+            return false;
+        }
+
         if (typeof regex === "string") {
             let splitRegex = regex.split("/");
             if (splitRegex[0] === '') {
@@ -36,6 +67,6 @@ module.exports = {
             regex = new RegExp(splitRegex.join('/'), flag);
         }
         // return regex.test(str);
-        return str.match(regex);
+        return String(str).match(regex);
     }
 };
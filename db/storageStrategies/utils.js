@@ -1,31 +1,244 @@
-function getCompareFunction(sortOrder) {
-    if (sortOrder === "asc" || sortOrder === "ascending") {
-        return function (a, b) {
-            if (a < b) {
-                return -1;
-            }
+const NUMBER_REGEX = /^-?(\d+\.?\d*|\.\d+)([eE][+-]?\d+)?$/;
+const ISO_DATE_REGEX = /^\d{4}-\d{2}-\d{2}(T\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:?\d{2})?)?$/;
 
-            if (a === b) {
-                return 0
-            }
+/*
+    Convert a literal from a query string into a typed value:
+        - 'text' or "text" -> the string between quotes (can contain spaces)
+        - true, false, null, undefined -> the corresponding JS value
+        - 100, -2.5, 1e3 -> number
+        - 2024-01-01, 2024-01-01T10:00:00Z -> Date
+    Any other literal is returned as it is
+ */
+function parseValue(literal) {
+    if (typeof literal !== "string") {
+        return literal;
+    }
+
+    const trimmedLiteral = literal.trim();
+    const firstChar = trimmedLiteral[0];
+    if (trimmedLiteral.length > 1 && (firstChar === "'" || firstChar === '"') && trimmedLiteral[trimmedLiteral.length - 1] === firstChar) {
+        return trimmedLiteral.slice(1, -1);
+    }
+
+    switch (trimmedLiteral) {
+        case "true":
+            return true;
+        case "false":
+            return false;
+        case "null":
+            return null;
+        case "undefined":
+            return undefined;
+    }
 
-            if (a > b) {
-                return 1;
+    if (NUMBER_REGEX.test(trimmedLiteral)) {
+        return Number(trimmedLiteral);
+    }
+
+    if (ISO_DATE_REGEX.test(trimmedLiteral) && !isNaN(Date.parse(trimmedLiteral))) {
+        return new Date(trimmedLiteral);
+    }
+
+    return literal;
+}
+
+function isNumericString(value) {
+    return typeof value === "string" && NUMBER_REGEX.test(value.trim());
+}
+
+// split a literal on a separator ignoring the separators found between quotes
+function splitLiteral(literal, separator) {
+    const parts = [];
+    let currentPart = "";
+    let quote;
+    for (let i = 0; i < literal.length; i++) {
+        const char = literal[i];
+        if (quote) {
+            if (char === quote) {
+                quote = undefined;
             }
+        } else if (char === "'" || char === '"') {
+            quote = char;
+        } else if (literal.startsWith(separator, i)) {
+            parts.push(currentPart);
+            currentPart = "";
+            i += separator.length - 1;
+            continue;
         }
-    } else if (sortOrder === "dsc" || sortOrder === "descending") {
-        return function (a, b) {
-            if (a > b) {
-                return -1;
-            }
+        currentPart += char;
+    }
+    parts.push(currentPart);
+    return parts;
+}
+
+/*
+    Parse a list literal of the form [a, b, 'c d'] into an array of typed values (or of the values returned by parseElement)
+ */
+function parseList(literal, parseElement = parseValue) {
+    let trimmedLiteral = literal.trim();
+    if (trimmedLiteral[0] !== "[" || trimmedLiteral[trimmedLiteral.length - 1] !== "]") {
+        throw Error(`Invalid list <${literal}>. A list's format is [value1, value2, ...]`);
+    }
+
+    trimmedLiteral = trimmedLiteral.slice(1, -1);
+    if (trimmedLiteral.trim() === "") {
+        return [];
+    }
+    return splitLiteral(trimmedLiteral, ",").map(element => parseElement(element.trim()));
+}
 
-            if (a === b) {
-                return 0
+/*
+    Parse a range literal of the form "<lowerBound> and <upperBound>"
+ */
+function parseRange(literal) {
+    const bounds = splitLiteral(literal, " and ");
+    if (bounds.length !== 2) {
+        throw Error(`Invalid range <${literal}>. A range's format is <lowerBound> and <upperBound>`);
+    }
+
+    return bounds.map(parseValue);
+}
+
+/*
+    Bring two values to the same type when one of them can be converted (e.g. index values are always strings)
+    Dates are compared as timestamps
+    In strict mode, used for the values of the records, a is the stored value and only b is converted to its type, so the
+    string "0012" is not equal to the number 12
+ */
+function normaliseValues(a, b, strict) {
+    if (a instanceof Date || b instanceof Date) {
+        const toTimestamp = (value) => {
+            if (value instanceof Date) {
+                return value.getTime();
             }
 
-            if (a < b) {
-                return 1;
+            if (typeof value === "string") {
+                return isNumericString(value) ? Number(value) : Date.parse(value);
             }
+
+            return value;
+        }
+
+        return [toTimestamp(a), toTimestamp(b)];
+    }
+
+    if (strict) {
+        if (typeof a === "number" && isNumericString(b)) {
+            return [a, Number(b)];
+        }
+
+        if (typeof a === "boolean" && (b === "true" || b === "false")) {
+            return [a, b === "true"];
+        }
+
+        return [a, b];
+    }
+
+    if (typeof a === "number" && isNumericString(b)) {
+        return [a, Number(b)];
+    }
+
+    if (typeof b === "number" && isNumericString(a)) {
+        return [Number(a), b];
+    }
+
+    if (isNumericString(a) && isNumericString(b)) {
+        return [Number(a), Number(b)];
+    }
+
+    if (typeof a === "boolean" && (b === "true" || b === "false")) {
+        return [a, b === "true"];
+    }
+
+    if (typeof b === "boolean" && (a === "true" || a === "false")) {
+        return [a === "true", b];
+    }
+
+    return [a, b];
+}
+
+const TYPES_ORDER = ["undefined", "boolean", "number", "string", "object"];
+
+function getTypeRank(value, strict) {
+    if (value === null) {
+        return 0;
+    }
+
+    // numeric strings are ordered together with the numbers to keep the order transitive
+    if (!strict && isNumericString(value)) {
+        return TYPES_ORDER.indexOf("number");
+    }
+
+    const rank = TYPES_ORDER.indexOf(typeof value);
+    return rank === -1 ? TYPES_ORDER.length : rank;
+}
+
+/*
+    Returns true if the values have the same type (after normalisation) and can be ordered
+ */
+function areComparable(a, b, strict) {
+    [a, b] = normaliseValues(a, b, strict);
+    if (a === null || typeof a === "undefined" || b === null || typeof b === "undefined") {
+        return false;
+    }
+
+    if (typeof a === "number" && (isNaN(a) || isNaN(b))) {
+        return false;
+    }
+
+    return typeof a === typeof b;
+}
+
+/*
+    Total order used both by the query operators and when sorting records or index values
+    Values of different types are ordered by type: null/undefined < boolean < number < string < object
+ */
+function compareValues(a, b, strict) {
+    [a, b] = normaliseValues(a, b, strict);
+    if (a === b) {
+        return 0;
+    }
+
+    const firstRank = getTypeRank(a, strict);
+    const secondRank = getTypeRank(b, strict);
+    if (firstRank !== secondRank || firstRank === 0) {
+        return firstRank - secondRank;
+    }
+
+    if (typeof a === "object") {
+        a = JSON.stringify(a);
+        b = JSON.stringify(b);
+    }
+
+    if (a < b) {
+        return -1;
+    }
+
+    if (a > b) {
+        return 1;
+    }
+
+    return 0;
+}
+
+// null and undefined are equal because undefined fields are lost when records are serialised
+function equalValues(a, b, strict) {
+    const isNullish = (value) => value === null || typeof value === "undefined";
+    if (isNullish(a) || isNullish(b)) {
+        return isNullish(a) && isNullish(b);
+    }
+
+    return compareValues(a, b, strict) === 0;
+}
+
+function getCompareFunction(sortOrder) {
+    if (sortOrder === "asc" || sortOrder === "ascending") {
+        return function (a, b) {
+            return compareValues(a, b);
+        }
+    } else if (sortOrder === "dsc" || sortOrder === "descending") {
+        return function (a, b) {
+            return compareValues(b, a);
         }
     } else {
         throw Error(`Invalid sort order provided <${sortOrder}>`);
@@ -38,7 +251,184 @@ function getCompareFunctionForObjects(sortOrder, fieldName) {
         return compareFn(firstObj[fieldName], secondObj[fieldName]);
     }
 }
+/*
+    A compound index is declared over an ordered list of fields and it is stored in a folder named after the
+    encoded fields separated by commas (e.g. "gtin,batch"). The values are stored in the same format.
+    The names of the simple indexes can't contain commas, they would be taken for compound indexes.
+ */
+const COMPOUND_INDEX_SEPARATOR = ",";
+
+function getIndexName(fields) {
+    if (!Array.isArray(fields) || fields.length === 1) {
+        const fieldName = Array.isArray(fields) ? fields[0] : fields;
+        if (typeof fieldName === "string" && fieldName.indexOf(COMPOUND_INDEX_SEPARATOR) !== -1) {
+            throw Error(`Invalid field name <${fieldName}>. The indexed fields can't contain "${COMPOUND_INDEX_SEPARATOR}", use a list of fields for a compound index`);
+        }
+
+        return fieldName;
+    }
+
+    return fields.map(encodeURIComponent).join(COMPOUND_INDEX_SEPARATOR);
+}
+
+function isCompoundIndex(indexName) {
+    return indexName.indexOf(COMPOUND_INDEX_SEPARATOR) !== -1;
+}
+
+function getIndexFields(indexName) {
+    if (!isCompoundIndex(indexName)) {
+        return [indexName];
+    }
+
+    return indexName.split(COMPOUND_INDEX_SEPARATOR).map(decodeURIComponent);
+}
+
+// a record is part of an index only if it has all the indexed fields
+function hasIndexFields(record, indexName) {
+    return getIndexFields(indexName).every(field => typeof record[field] !== "undefined");
+}
+
+function getRecordIndexValue(record, indexName) {
+    if (!isCompoundIndex(indexName)) {
+        return record[indexName];
+    }
+
+    return getIndexFields(indexName).map(field => encodeURIComponent(`${record[field]}`)).join(COMPOUND_INDEX_SEPARATOR);
+}
+
+function parseCompoundIndexValue(indexValue) {
+    return `${indexValue}`.split(COMPOUND_INDEX_SEPARATOR).map(decodeURIComponent);
+}
+
+/*
+    A cursor is an opaque string encoding the position (index, index value and primary key) of the last record returned
+ */
+function encodeCursor(position) {
+    return $$.Buffer.from(JSON.stringify(position)).toString("base64");
+}
+
+function decodeCursor(cursor) {
+    let position;
+    try {
+        position = JSON.parse($$.Buffer.from(cursor, "base64").toString());
+    } catch (e) {
+        throw Error(`Invalid cursor <${cursor}>`);
+    }
+
+    if (!position || typeof position.index === "undefined" || typeof position.pk === "undefined") {
+        throw Error(`Invalid cursor <${cursor}>`);
+    }
+    return position;
+}
+
+function comparePrimaryKeys(firstPk, secondPk) {
+    firstPk = `${firstPk}`;
+    secondPk = `${secondPk}`;
+    if (firstPk === secondPk) {
+        return 0;
+    }
+
+    return firstPk < secondPk ? -1 : 1;
+}
+
+/*
+    Sort the records on fieldName (the primary key is used to order records with the same value) and return the
+    page of records found after the startAfter position, together with the position of the last record in the page
+    and the sorted records following the page if there are more records to be returned
+ */
+function paginateRecords(records, fieldName, sortOrder, limit, startAfter) {
+    const compareFn = getCompareFunction(sortOrder);
+    const compareRecords = (firstRecord, secondRecord) => {
+        return compareFn(firstRecord[fieldName], secondRecord[fieldName]) || comparePrimaryKeys(firstRecord.pk, secondRecord.pk);
+    }
+
+    records.sort(compareRecords);
+    if (startAfter) {
+        const lastRecord = {[fieldName]: startAfter.value, pk: startAfter.pk};
+        records = records.filter(record => compareRecords(record, lastRecord) > 0);
+    }
+
+    const page = records.slice(0, limit);
+    let lastPosition;
+    let remainingRecords;
+    if (records.length > page.length && page.length > 0) {
+        const lastRecord = page[page.length - 1];
+        lastPosition = {index: fieldName, value: lastRecord[fieldName], pk: lastRecord.pk};
+        remainingRecords = records.slice(page.length);
+    }
+    return {records: page, lastPosition, remainingRecords};
+}
+
+/*
+    Compaction of the records of a table:
+        - retentionPeriod: the deleted records (tombstones) older than retentionPeriod milliseconds are purged
+        - maxVersions: the history kept in the __previousRecord chain of a record is truncated to maxVersions versions
+ */
+const DEFAULT_TOMBSTONE_RETENTION_PERIOD = 30 * 24 * 60 * 60 * 1000;
+
+function normaliseCompactOptions(options) {
+    options = Object.assign({retentionPeriod: DEFAULT_TOMBSTONE_RETENTION_PERIOD}, options);
+    if (typeof options.retentionPeriod !== "number" || options.retentionPeriod < 0) {
+        throw Error(`Invalid retention period <${options.retentionPeriod}>. It should be a number of milliseconds`);
+    }
+
+    if (typeof options.maxVersions !== "undefined" && (!Number.isInteger(options.maxVersions) || options.maxVersions < 1)) {
+        throw Error(`Invalid maxVersions <${options.maxVersions}>. It should be a positive integer`);
+    }
+
+    return options;
+}
+
+function isExpiredTombstone(record, options, now) {
+    return record.__deleted === true && now - record.__timestamp >= options.retentionPeriod;
+}
+
+// returns a copy of the record keeping only maxVersions versions or undefined if the history is not longer than that
+function truncateRecordHistory(record, options) {
+    if (typeof options.maxVersions === "undefined") {
+        return undefined;
+    }
+
+    let versions = 1;
+    let version = record;
+    while (version.__previousRecord && versions < options.maxVersions) {
+        version = version.__previousRecord;
+        versions++;
+    }
+
+    if (!version.__previousRecord) {
+        return undefined;
+    }
+
+    const truncatedRecord = JSON.parse(JSON.stringify(record));
+    version = truncatedRecord;
+    for (let i = 1; i < versions; i++) {
+        version = version.__previousRecord;
+    }
+    delete version.__previousRecord;
+    return truncatedRecord;
+}
+
 module.exports = {
+    normaliseCompactOptions,
+    isExpiredTombstone,
+    truncateRecordHistory,
+    encodeCursor,
+    decodeCursor,
+    comparePrimaryKeys,
+    paginateRecords,
+    getIndexName,
+    isCompoundIndex,
+    getIndexFields,
+    hasIndexFields,
+    getRecordIndexValue,
+    parseCompoundIndexValue,
+    parseValue,
+    parseList,
+    parseRange,
+    areComparable,
+    compareValues,
+    equalValues,
     getCompareFunction,
     getCompareFunctionForObjects
-}
\ No newline at end of file
+}
@@ -28,10 +28,12 @@ module.exports = {
     SIGN_FOR_KEY_SSI: "signForKeySSI",
     STORE_DID: "storeDID",
     ADD_PRIVATE_KEY_FOR_DID: "addPrivateKeyForDID",
+    ROTATE_KEY_FOR_DID: "rotateKeyForDID",
     SIGN_FOR_DID: "signForDID",
     VERIFY_FOR_DID: "verifyForDID",
     ENCRYPT_MESSAGE: "encryptMessage",
     DECRYPT_MESSAGE: "decryptMessage",
     GET_PRIVATE_INFO_FOR_DID:"getPrivateInfoForDID",
-    GET_COLLECTIONS: "getCollections"
+    GET_COLLECTIONS: "getCollections",
+    GET_ENCLAVE_INFO: "getEnclaveInfo"
 }
\ No newline at end of file
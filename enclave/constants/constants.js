@@ -6,13 +6,32 @@ module.exports = {
         DIDS_PRIVATE_KEYS: "dids_private",
         PATH_KEY_SSI_PRIVATE_KEYS: "path-keyssi-private-keys",
         PRIVATE_KEYS: "private-keys",
-        SECRET_KEYS: "secret-keys"
+        SECRET_KEYS: "secret-keys",
+        KEY_VALUE: "KeyValueTable",
+        ACLS: "acls",
+        MIGRATIONS: "migrations",
+        AUDIT_LOG: "audit_log",
+        AUDIT_LOG_KEY: "audit_log_key"
+    },
+    RESOURCES: {
+        BACKUP: "backup",
+        TABLES: "tables"
+    },
+    ACCESS_LEVELS: {
+        READ: "read",
+        WRITE: "write",
+        ADMIN: "admin"
+    },
+    KEY_STATES: {
+        ACTIVE: "active",
+        VERIFY_ONLY: "verify-only"
     },
     PATHS: {
         SCATTERED_PATH_KEYS: "/paths/scatteredPathKeys",
         COMPACTED_PATH_KEYS: "/paths/compactedPathKeys"
     },
     DB_NAMES: {
-        WALLET_DB_ENCLAVE: "walletdb_enclave"
+        WALLET_DB_ENCLAVE: "walletdb_enclave",
+        FILE_ENCLAVE: "file_enclave"
     }
 };
\ No newline at end of file
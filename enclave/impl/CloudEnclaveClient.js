@@ -3,6 +3,8 @@ const commandNames = require("../constants/commandsNames");
 
 function CloudEnclaveClient(clientDID, remoteDID, requestTimeout) {
     let initialised = false;
+    let enclaveType = require("opendsu").constants.ENCLAVE_TYPES.CLOUD_ENCLAVE;
+    let availableCommands = Object.values(commandNames);
     const DEFAULT_TIMEOUT = 10000;
 
     this.commandsMap = new Map();
@@ -33,6 +35,55 @@ function CloudEnclaveClient(clientDID, remoteDID, requestTimeout) {
         callback(undefined, clientDID);
     }
 
+    this.getEnclaveType = () => {
+        return enclaveType;
+    }
+
+    this.getAvailableCommands = () => {
+        return availableCommands.slice();
+    }
+
+    /*
+        Ask the remote enclave for its type and the commands it accepts: {enclaveType, commands}
+        The commands which have no dedicated function in the proxy are exposed as functions forwarding their arguments
+        The enclaves which don't answer to the discovery are considered cloud enclaves accepting all the known commands
+     */
+    this.discoverEnclave = (callback) => {
+        if (!this.clientDIDDocument || !this.remoteDIDDocument) {
+            return callback(Error(`Failed to resolve the DID documents of ${clientDID} and ${remoteDID}`));
+        }
+
+        this.__putCommandObject(commandNames.GET_ENCLAVE_INFO, (err, enclaveInfo) => {
+            if (err) {
+                console.log(`Enclave ${remoteDID} did not answer to ${commandNames.GET_ENCLAVE_INFO}. It is considered a ${enclaveType}`, err);
+                return callback(undefined, {enclaveType, commands: availableCommands.slice()});
+            }
+
+            if (typeof enclaveInfo === "string") {
+                try {
+                    enclaveInfo = JSON.parse(enclaveInfo);
+                } catch (e) {
+                    return callback(createOpenDSUErrorWrapper(`Failed to parse the info of enclave ${remoteDID}`, e));
+                }
+            }
+
+            if (!enclaveInfo || typeof enclaveInfo.enclaveType !== "string" || !Array.isArray(enclaveInfo.commands)) {
+                return callback(Error(`Invalid info received from enclave ${remoteDID}`));
+            }
+
+            enclaveType = enclaveInfo.enclaveType;
+            availableCommands = enclaveInfo.commands;
+            availableCommands.forEach(commandName => {
+                if (typeof this[commandName] === "undefined") {
+                    this[commandName] = (...args) => {
+                        this.__putCommandObject(commandName, ...args);
+                    }
+                }
+            });
+            callback(undefined, enclaveInfo);
+        });
+    }
+
     this.grantReadAccess = (forDID, resource, callback) => {
         this.__putCommandObject(commandNames.GRANT_READ_ACCESS, forDID, resource, callback);
     }
@@ -74,6 +125,10 @@ function CloudEnclaveClient(clientDID, remoteDID, requestTimeout) {
             if (err) {
                 console.log(err);
                 clearTimeout(timeout);
+                if (this.commandsMap.has(commandID)) {
+                    this.commandsMap.delete(commandID);
+                    callback(createOpenDSUErrorWrapper(`Failed to send command ${commandID}`, err));
+                }
             }
         });
     };
@@ -108,7 +163,7 @@ function CloudEnclaveClient(clientDID, remoteDID, requestTimeout) {
     };
 
     const bindAutoPendingFunctions = require("../../utils/BindAutoPendingFunctions").bindAutoPendingFunctions;
-    bindAutoPendingFunctions(this, ["on", "off", "dispatchEvent", "beginBatch", "isInitialised", "getEnclaveType"]);
+    bindAutoPendingFunctions(this, ["on", "off", "dispatchEvent", "beginBatch", "isInitialised", "getEnclaveType", "getAvailableCommands"]);
 
     init();
 }
@@ -0,0 +1,70 @@
+/*
+    Enclave persisted in a local folder (Node.js only), encrypted with a key derived from a passphrase
+    When created through createEnclave (e.g. as main enclave), the folder and the passphrase are read from the
+    FILE_ENCLAVE_PATH and FILE_ENCLAVE_SECRET environment variables.
+ */
+const FOLDER_PATH_VARIABLE = "FILE_ENCLAVE_PATH";
+const PASSPHRASE_VARIABLE = "FILE_ENCLAVE_SECRET";
+
+function FileEnclave(folderPath, passphrase, did) {
+    const openDSU = require("opendsu");
+    const constants = require("../constants/constants");
+    const db = openDSU.loadAPI("db");
+    const crypto = openDSU.loadAPI("crypto");
+    const DB_NAME = constants.DB_NAMES.FILE_ENCLAVE;
+    const EnclaveMixin = require("../mixins/Enclave_Mixin");
+    EnclaveMixin(this, did);
+    const AccessControlMixin = require("../mixins/AccessControl_Mixin");
+    AccessControlMixin(this);
+    const AuditMixin = require("../mixins/Audit_Mixin");
+    AuditMixin(this);
+
+    let initialised = false;
+    const init = () => {
+        folderPath = folderPath || process.env[FOLDER_PATH_VARIABLE];
+        passphrase = passphrase || process.env[PASSPHRASE_VARIABLE];
+        if (!folderPath || !passphrase) {
+            return setTimeout(() => {
+                this.dispatchEvent("error", Error(`The folder and the passphrase of the file enclave should be provided or set in ${FOLDER_PATH_VARIABLE} and ${PASSPHRASE_VARIABLE}`));
+            });
+        }
+
+        let encryptionKey;
+        try {
+            encryptionKey = crypto.deriveEncryptionKey(passphrase);
+        } catch (e) {
+            return setTimeout(() => {
+                this.dispatchEvent("error", createOpenDSUErrorWrapper(`Failed to derive the encryption key of the file enclave`, e));
+            });
+        }
+
+        this.storageDB = db.getEncryptedFileDB(folderPath, encryptionKey, DB_NAME);
+        this.storageDB.on("error", err => {
+            this.dispatchEvent("error", err);
+        });
+        this.storageDB.on("initialised", () => {
+            initialised = true;
+            this.finishInitialisation();
+            this.dispatchEvent("initialised");
+        });
+    }
+
+    this.getEnclaveType = () => {
+        return openDSU.constants.ENCLAVE_TYPES.FILE_ENCLAVE;
+    };
+
+    this.isInitialised = () => {
+        return initialised;
+    };
+
+    this.onCommitBatch = (forDID, callback, once) => {
+        this.storageDB.onCommitBatch(callback, once);
+    }
+
+    const bindAutoPendingFunctions = require("../../utils/BindAutoPendingFunctions").bindAutoPendingFunctions;
+    bindAutoPendingFunctions(this, ["on", "off", "dispatchEvent", "beginBatch", "isInitialised", "getEnclaveType", "getDID"]);
+
+    init();
+}
+
+module.exports = FileEnclave;
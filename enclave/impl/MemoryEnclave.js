@@ -1,6 +1,10 @@
 function MemoryEnclave() {
     const EnclaveMixin = require("../mixins/Enclave_Mixin");
     EnclaveMixin(this);
+    const AccessControlMixin = require("../mixins/AccessControl_Mixin");
+    AccessControlMixin(this);
+    const AuditMixin = require("../mixins/Audit_Mixin");
+    AuditMixin(this);
     const openDSU = require("opendsu");
     const db = openDSU.loadAPI("db");
     let initialised = false;
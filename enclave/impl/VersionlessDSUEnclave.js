@@ -8,6 +8,10 @@ function VersionlessDSUEnclave(keySSI, did) {
     const EnclaveMixin = require("../mixins/Enclave_Mixin");
 
     EnclaveMixin(this, did, keySSI);
+    const AccessControlMixin = require("../mixins/AccessControl_Mixin");
+    AccessControlMixin(this);
+    const AuditMixin = require("../mixins/Audit_Mixin");
+    AuditMixin(this);
 
     let versionlessDSU;
     let initialised = false;
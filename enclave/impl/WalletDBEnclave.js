@@ -11,6 +11,10 @@ function WalletDBEnclave(keySSI, did) {
     const DB_NAME = constants.DB_NAMES.WALLET_DB_ENCLAVE;
     const EnclaveMixin = require("../mixins/Enclave_Mixin");
     EnclaveMixin(this, did, keySSI);
+    const AccessControlMixin = require("../mixins/AccessControl_Mixin");
+    AccessControlMixin(this);
+    const AuditMixin = require("../mixins/Audit_Mixin");
+    AuditMixin(this);
     let enclaveDSU;
     let initialised = false;
     const init = async () => {
@@ -15,6 +15,11 @@ function initialiseLightDBEnclave(dbName, slots) {
     return new LightDBEnclave(dbName, slots);
 }
 
+function initialiseFileEnclave(folderPath, passphrase) {
+    const FileEnclave = require("./impl/FileEnclave");
+    return new FileEnclave(folderPath, passphrase);
+}
+
 function initialiseRemoteEnclave(clientDID, remoteDID) {
     console.warn("initialiseRemoteEnclave is deprecated. Use initialiseCloudEnclaveClient instead");
     const CloudEnclave = require("./impl/CloudEnclaveClient");
@@ -31,8 +36,43 @@ function initialiseVersionlessDSUEnclave(versionlessSSI) {
     return new VersionlessDSUEnclave(versionlessSSI);
 }
 
-function connectEnclave(forDID, enclaveDID, ...args) {
-    throw Error("Not implemented");
+/*
+    Connect to the enclave identified by enclaveDID over the MQ channel of the DIDs.
+    forDID is the DID of the client which sends the commands and receives the responses.
+    After the DID document of the enclave is resolved, the enclave is asked for its type and the commands it accepts.
+    The callback receives a proxy which is already initialised. Its getEnclaveType and getAvailableCommands return the
+    discovered values or, if the enclave does not answer to the discovery within requestTimeout, the cloud enclave type and
+    all the known commands.
+ */
+function connectEnclave(forDID, enclaveDID, requestTimeout, callback) {
+    if (typeof requestTimeout === "function") {
+        callback = requestTimeout;
+        requestTimeout = undefined;
+    }
+
+    const w3cDID = require("opendsu").loadAPI("w3cdid");
+    w3cDID.resolveDID(enclaveDID, (err) => {
+        if (err) {
+            return callback(createOpenDSUErrorWrapper(`Failed to resolve the DID document of enclave ${enclaveDID}`, err));
+        }
+
+        const CloudEnclaveClient = require("./impl/CloudEnclaveClient");
+        const enclave = new CloudEnclaveClient(forDID, enclaveDID, requestTimeout);
+        enclave.on("initialised", () => {
+            enclave.discoverEnclave((err) => {
+                if (err) {
+                    return callback(createOpenDSUErrorWrapper(`Failed to connect to enclave ${enclaveDID}`, err));
+                }
+
+                callback(undefined, enclave);
+            });
+        });
+    });
+}
+
+function migrateEnclave(sourceEnclave, targetEnclave, options, callback) {
+    const migrate = require("./utils/migrateEnclave");
+    migrate(sourceEnclave, targetEnclave, options, callback);
 }
 
 const enclaveConstructors = {};
@@ -55,18 +95,12 @@ function registerEnclave(enclaveType, enclaveConstructor) {
 function convertWalletDBEnclaveToVersionlessEnclave(walletDBEnclave, callback) {
     const openDSU = require("opendsu");
     const resolver = openDSU.loadAPI("resolver");
-    walletDBEnclave.getAllTableNames(undefined, async (err, tableNames) => {
+    resolver.createVersionlessDSU(async (err, versionlessDSU) => {
         if (err) {
             return callback(err);
         }
 
         let error;
-        let versionlessDSU;
-        [error, versionlessDSU] = await $$.call(resolver.createVersionlessDSU);
-        if (error) {
-            return callback(error);
-        }
-
         let versionlessSSI;
         [error, versionlessSSI] = await $$.call(versionlessDSU.getKeySSIAsObject);
         if (error) {
@@ -75,26 +109,15 @@ function convertWalletDBEnclaveToVersionlessEnclave(walletDBEnclave, callback) {
 
         let versionlessEnclave = initialiseVersionlessDSUEnclave(versionlessSSI);
 
-        versionlessEnclave.on("initialised", async () => {
-            for (let i = 0; i < tableNames.length; i++) {
-                let records;
-                [error, records] = await $$.call(walletDBEnclave.getAllRecords, undefined, tableNames[i]);
-                if (error) {
-                    return callback(error);
+        versionlessEnclave.on("initialised", () => {
+            // the versionless enclave has no DSU in which to store the path keySSIs
+            migrateEnclave(walletDBEnclave, versionlessEnclave, {copyPathKeySSIs: false}, (err) => {
+                if (err) {
+                    return callback(err);
                 }
 
-                for (let j = 0; j < records.length; j++) {
-                    [error, res] = await $$.call(versionlessEnclave.insertRecord, undefined, tableNames[i], records[j].pk, records[j]);
-                    if (error) {
-                        [error, res] = await $$.call(versionlessEnclave.updateRecord, undefined, tableNames[i], records[j].pk, records[j], records[j]);
-                        if (error) {
-                            return callback(error);
-                        }
-                    }
-                }
-
-            }
-            callback(undefined, versionlessEnclave);
+                callback(undefined, versionlessEnclave);
+            });
         })
     })
 }
@@ -169,11 +192,13 @@ registerEnclave(constants.ENCLAVE_TYPES.WALLET_DB_ENCLAVE, initialiseWalletDBEnc
 registerEnclave(constants.ENCLAVE_TYPES.LIGHT_DB_ENCLAVE, initialiseLightDBEnclave);
 registerEnclave(constants.ENCLAVE_TYPES.CLOUD_ENCLAVE, initialiseCloudEnclaveClient)
 registerEnclave(constants.ENCLAVE_TYPES.VERSIONLESS_DSU_ENCLAVE, initialiseVersionlessDSUEnclave);
+registerEnclave(constants.ENCLAVE_TYPES.FILE_ENCLAVE, initialiseFileEnclave);
 
 module.exports = {
     initialiseWalletDBEnclave,
     initialiseMemoryEnclave,
     initialiseLightDBEnclave,
+    initialiseFileEnclave,
     initialiseRemoteEnclave,
     initialiseCloudEnclaveClient,
     initialiseVersionlessDSUEnclave,
@@ -182,6 +207,7 @@ module.exports = {
     registerEnclave,
     EnclaveMixin: require("./mixins/Enclave_Mixin"),
     ProxyMixin: require("./mixins/ProxyMixin"),
+    migrateEnclave,
     convertWalletDBEnclaveToVersionlessEnclave,
     convertWalletDBEnclaveToCloudEnclave
 }
@@ -0,0 +1,246 @@
+/*
+    Access control lists for the local enclaves (MemoryEnclave, WalletDBEnclave and VersionlessDSUEnclave)
+    The resources are the tables of the enclave, its key stores (secret keys, DIDs private keys, keySSIs, private keys and the
+    key-value store), the list of its tables and its backups (export and import require admin access). A resource without ACL is accessible to every DID. After the first grant on a resource, it is accessible
+    only to the DIDs having the required access level: admin includes write and write includes read.
+    Only the enclave (its own DID or $$.SYSTEM_IDENTIFIER) can make the first grant on a resource, it becomes the admin of the resource
+    and the next grants and the revokes require admin access.
+    The ACLs are stored in the enclave, one record per resource: {read: [dids], write: [dids], admin: [dids]}
+    Not covered: the batch functions (they only group writes, which are checked one by one, and beginBatch is synchronous),
+    getDID (the DID of the enclave is public) and the DSU functions (they reach the key stores only through the protected functions).
+ */
+const constants = require("../constants/constants");
+const ACCESS_LEVELS = constants.ACCESS_LEVELS;
+const ORDERED_ACCESS_LEVELS = [ACCESS_LEVELS.READ, ACCESS_LEVELS.WRITE, ACCESS_LEVELS.ADMIN];
+const ACLS_TABLE = constants.TABLE_NAMES.ACLS;
+const enclaveContent = require("../utils/enclaveContent");
+
+const tableResource = (table) => table;
+const keyStoreResource = (tableName) => () => tableName;
+
+const PROTECTED_FUNCTIONS = {
+    getRecord: {accessLevel: ACCESS_LEVELS.READ, getResource: tableResource},
+    filter: {accessLevel: ACCESS_LEVELS.READ, getResource: tableResource},
+    getAllRecords: {accessLevel: ACCESS_LEVELS.READ, getResource: tableResource},
+    getIndexedFields: {accessLevel: ACCESS_LEVELS.READ, getResource: tableResource},
+    getAllTableNames: {accessLevel: ACCESS_LEVELS.READ, getResource: () => constants.RESOURCES.TABLES},
+    insertRecord: {accessLevel: ACCESS_LEVELS.WRITE, getResource: tableResource},
+    updateRecord: {accessLevel: ACCESS_LEVELS.WRITE, getResource: tableResource},
+    deleteRecord: {accessLevel: ACCESS_LEVELS.WRITE, getResource: tableResource},
+    addIndex: {accessLevel: ACCESS_LEVELS.WRITE, getResource: tableResource},
+    readKey: {accessLevel: ACCESS_LEVELS.READ, getResource: keyStoreResource(constants.TABLE_NAMES.KEY_VALUE)},
+    writeKey: {accessLevel: ACCESS_LEVELS.WRITE, getResource: keyStoreResource(constants.TABLE_NAMES.KEY_VALUE)},
+    storeSeedSSI: {accessLevel: ACCESS_LEVELS.WRITE, getResource: keyStoreResource(constants.TABLE_NAMES.KEY_SSIS)},
+    storeKeySSI: {accessLevel: ACCESS_LEVELS.WRITE, getResource: keyStoreResource(constants.TABLE_NAMES.KEY_SSIS)},
+    storeReadForAliasSSI: {accessLevel: ACCESS_LEVELS.WRITE, getResource: keyStoreResource(constants.TABLE_NAMES.KEY_SSIS)},
+    getReadForKeySSI: {accessLevel: ACCESS_LEVELS.READ, getResource: keyStoreResource(constants.TABLE_NAMES.KEY_SSIS)},
+    signForKeySSI: {accessLevel: ACCESS_LEVELS.READ, getResource: keyStoreResource(constants.TABLE_NAMES.KEY_SSIS)},
+    getPrivateKeyForSlot: {accessLevel: ACCESS_LEVELS.READ, getResource: keyStoreResource(constants.TABLE_NAMES.PATH_KEY_SSI_PRIVATE_KEYS)},
+    generateDID: {accessLevel: ACCESS_LEVELS.WRITE, getResource: keyStoreResource(constants.TABLE_NAMES.DIDS_PRIVATE_KEYS)},
+    storeDID: {accessLevel: ACCESS_LEVELS.WRITE, getResource: keyStoreResource(constants.TABLE_NAMES.DIDS_PRIVATE_KEYS)},
+    addPrivateKeyForDID: {accessLevel: ACCESS_LEVELS.WRITE, getResource: keyStoreResource(constants.TABLE_NAMES.DIDS_PRIVATE_KEYS)},
+    rotateKeyForDID: {accessLevel: ACCESS_LEVELS.WRITE, getResource: keyStoreResource(constants.TABLE_NAMES.DIDS_PRIVATE_KEYS)},
+    signForDID: {accessLevel: ACCESS_LEVELS.READ, getResource: keyStoreResource(constants.TABLE_NAMES.DIDS_PRIVATE_KEYS)},
+    verifyForDID: {accessLevel: ACCESS_LEVELS.READ, getResource: keyStoreResource(constants.TABLE_NAMES.DIDS_PRIVATE_KEYS)},
+    encryptMessage: {accessLevel: ACCESS_LEVELS.READ, getResource: keyStoreResource(constants.TABLE_NAMES.DIDS_PRIVATE_KEYS)},
+    decryptMessage: {accessLevel: ACCESS_LEVELS.READ, getResource: keyStoreResource(constants.TABLE_NAMES.DIDS_PRIVATE_KEYS)},
+    storePrivateKey: {accessLevel: ACCESS_LEVELS.WRITE, getResource: keyStoreResource(constants.TABLE_NAMES.PRIVATE_KEYS)},
+    storeSecretKey: {accessLevel: ACCESS_LEVELS.WRITE, getResource: keyStoreResource(constants.TABLE_NAMES.SECRET_KEYS)},
+    generateSecretKey: {accessLevel: ACCESS_LEVELS.WRITE, getResource: keyStoreResource(constants.TABLE_NAMES.SECRET_KEYS)},
+    encryptAES: {accessLevel: ACCESS_LEVELS.READ, getResource: keyStoreResource(constants.TABLE_NAMES.SECRET_KEYS)},
+    decryptAES: {accessLevel: ACCESS_LEVELS.READ, getResource: keyStoreResource(constants.TABLE_NAMES.SECRET_KEYS)},
+    exportBackup: {accessLevel: ACCESS_LEVELS.ADMIN, getResource: () => constants.RESOURCES.BACKUP},
+    importBackup: {accessLevel: ACCESS_LEVELS.ADMIN, getResource: () => constants.RESOURCES.BACKUP}
+};
+
+// the functions receiving DID documents (e.g. signForDID) can be called with a document instead of an identifier
+function getDIDIdentifier(did) {
+    if (did && typeof did.getIdentifier === "function") {
+        return did.getIdentifier();
+    }
+
+    return did;
+}
+
+function AccessControl_Mixin(target) {
+    const getACL = (resource, callback) => {
+        target.storageDB.getRecord(ACLS_TABLE, resource, (err, acl) => {
+            if (err) {
+                return callback(undefined, undefined);
+            }
+
+            callback(undefined, acl);
+        });
+    }
+
+    const hasAccess = (forDID, resource, accessLevel, callback) => {
+        getACL(resource, (err, acl) => {
+            if (err) {
+                return callback(err);
+            }
+
+            if (typeof acl === "undefined") {
+                return callback(undefined, true);
+            }
+
+            const did = getDIDIdentifier(forDID);
+            const grantingLevels = ORDERED_ACCESS_LEVELS.slice(ORDERED_ACCESS_LEVELS.indexOf(accessLevel));
+            callback(undefined, grantingLevels.some(level => acl[level].indexOf(did) !== -1));
+        });
+    }
+
+    const isEnclaveDID = (forDID, callback) => {
+        const did = getDIDIdentifier(forDID);
+        if (typeof did === "undefined" || did === null) {
+            return callback(undefined, false);
+        }
+
+        if (did === $$.SYSTEM_IDENTIFIER) {
+            return callback(undefined, true);
+        }
+
+        target.getDID((err, enclaveDID) => {
+            if (err) {
+                return callback(createOpenDSUErrorWrapper(`Failed to get the DID of the enclave`, err));
+            }
+
+            callback(undefined, did === enclaveDID);
+        });
+    }
+
+    // updateFn changes the ACL in place. A missing ACL is created only if createIfMissing is true (for the grants)
+    const updateACL = async (forDID, resource, createIfMissing, updateFn, callback) => {
+        let acl;
+        try {
+            acl = await $$.promisify(getACL)(resource);
+        } catch (e) {
+            return callback(createOpenDSUErrorWrapper(`Failed to get the access control list of ${resource}`, e));
+        }
+
+        if (typeof acl === "undefined" && !createIfMissing) {
+            return callback();
+        }
+
+        if (typeof acl === "undefined") {
+            let canCreateACL;
+            try {
+                canCreateACL = await $$.promisify(isEnclaveDID)(forDID);
+            } catch (e) {
+                return callback(createOpenDSUErrorWrapper(`Failed to check the creator of the access control list of ${resource}`, e));
+            }
+
+            if (!canCreateACL) {
+                return callback(Error(`Only the enclave can create the access control list of ${resource}`));
+            }
+        }
+
+        if (typeof acl !== "undefined" && acl[ACCESS_LEVELS.ADMIN].indexOf(getDIDIdentifier(forDID)) === -1) {
+            return callback(Error(`DID ${getDIDIdentifier(forDID)} does not have ${ACCESS_LEVELS.ADMIN} access to ${resource}`));
+        }
+
+        let batchId;
+        try {
+            batchId = await target.storageDB.startOrAttachBatchAsync();
+        } catch (e) {
+            return callback(createOpenDSUErrorWrapper(`Failed to begin batch`, e));
+        }
+
+        try {
+            if (typeof acl === "undefined") {
+                acl = {};
+                ORDERED_ACCESS_LEVELS.forEach(level => acl[level] = []);
+                acl[ACCESS_LEVELS.ADMIN].push(getDIDIdentifier(forDID));
+                updateFn(acl);
+                await $$.promisify(target.storageDB.insertRecord)(ACLS_TABLE, resource, acl);
+            } else {
+                updateFn(acl);
+                await $$.promisify(target.storageDB.updateRecord)(ACLS_TABLE, resource, acl);
+            }
+        } catch (e) {
+            return callback(await enclaveContent.cancelBatchOnError(target, batchId, `Failed to update the access control list of ${resource}`, e));
+        }
+
+        target.storageDB.commitBatch(batchId, callback);
+    }
+
+    const grantAccess = (forDID, did, resource, accessLevel, callback) => {
+        did = getDIDIdentifier(did);
+        updateACL(forDID, resource, true, (acl) => {
+            if (acl[accessLevel].indexOf(did) === -1) {
+                acl[accessLevel].push(did);
+            }
+        }, callback);
+    }
+
+    // after revoking an access level the DID keeps only the lower levels that were granted explicitly
+    const revokeAccess = (forDID, did, resource, accessLevel, callback) => {
+        did = getDIDIdentifier(did);
+        updateACL(forDID, resource, false, (acl) => {
+            ORDERED_ACCESS_LEVELS.slice(ORDERED_ACCESS_LEVELS.indexOf(accessLevel)).forEach(level => {
+                acl[level] = acl[level].filter(grantedDID => grantedDID !== did);
+            });
+        }, callback);
+    }
+
+    target.grantReadAccess = (forDID, did, resource, callback) => {
+        grantAccess(forDID, did, resource, ACCESS_LEVELS.READ, callback);
+    }
+
+    target.grantWriteAccess = (forDID, did, resource, callback) => {
+        grantAccess(forDID, did, resource, ACCESS_LEVELS.WRITE, callback);
+    }
+
+    target.grantAdminAccess = (forDID, did, resource, callback) => {
+        grantAccess(forDID, did, resource, ACCESS_LEVELS.ADMIN, callback);
+    }
+
+    target.revokeReadAccess = (forDID, did, resource, callback) => {
+        revokeAccess(forDID, did, resource, ACCESS_LEVELS.READ, callback);
+    }
+
+    target.revokeWriteAccess = (forDID, did, resource, callback) => {
+        revokeAccess(forDID, did, resource, ACCESS_LEVELS.WRITE, callback);
+    }
+
+    target.revokeAdminAccess = (forDID, did, resource, callback) => {
+        revokeAccess(forDID, did, resource, ACCESS_LEVELS.ADMIN, callback);
+    }
+
+    target.hasReadAccess = (forDID, resource, callback) => {
+        hasAccess(forDID, resource, ACCESS_LEVELS.READ, callback);
+    }
+
+    target.hasWriteAccess = (forDID, resource, callback) => {
+        hasAccess(forDID, resource, ACCESS_LEVELS.WRITE, callback);
+    }
+
+    target.hasAdminAccess = (forDID, resource, callback) => {
+        hasAccess(forDID, resource, ACCESS_LEVELS.ADMIN, callback);
+    }
+
+    Object.keys(PROTECTED_FUNCTIONS).forEach(functionName => {
+        const originalFunction = target[functionName];
+        const {accessLevel, getResource} = PROTECTED_FUNCTIONS[functionName];
+        target[functionName] = (forDID, ...args) => {
+            const callback = args[args.length - 1];
+            const resource = getResource(...args);
+            if (resource === ACLS_TABLE) {
+                return callback(Error(`The access control lists can be changed only through the grant and revoke functions`));
+            }
+
+            hasAccess(forDID, resource, accessLevel, (err, hasRequiredAccess) => {
+                if (err) {
+                    return callback(createOpenDSUErrorWrapper(`Failed to check the access of ${getDIDIdentifier(forDID)} to ${resource}`, err));
+                }
+
+                if (!hasRequiredAccess) {
+                    return callback(Error(`DID ${getDIDIdentifier(forDID)} does not have ${accessLevel} access to ${resource}`));
+                }
+
+                originalFunction(forDID, ...args);
+            });
+        }
+    });
+}
+
+module.exports = AccessControl_Mixin;
@@ -0,0 +1,282 @@
+/*
+    Audit log of the security-sensitive operations of the local enclaves: signatures, decryptions, changes of the key stores
+    and of the access control lists, exports and imports of backups. Every call is recorded, including the ones denied by the access control lists, as an
+    entry of the audit log table: {index, operation, did, resource, timestamp, outcome, error, previousHash, hash}
+    The entries form a hash chain: the hash of an entry covers its content and the hash of the previous entry, so a changed,
+    removed or reordered entry is detected by verifyAuditLog. The hashes are HMACs keyed with a secret key generated by the
+    enclave. The audit log table can't be changed through the table functions and the table of its key can't be accessed
+    through them, so the chain can't be recomputed by the users of the enclave. The key is stored in the storage of the enclave,
+    next to the log: whoever can read that storage directly (e.g. its DSU or its files) can also recompute the chain, the log
+    only detects the changes made there by someone who did not read the key.
+ */
+const constants = require("../constants/constants");
+const AUDIT_LOG_TABLE = constants.TABLE_NAMES.AUDIT_LOG;
+const AUDIT_LOG_KEY_TABLE = constants.TABLE_NAMES.AUDIT_LOG_KEY;
+const AUDIT_LOG_KEY_PK = "key";
+const GENESIS_HASH = "0";
+const OUTCOMES = {
+    SUCCESS: "success",
+    FAILURE: "failure"
+};
+
+const getIdentifier = (value) => {
+    if (value && typeof value.getIdentifier === "function") {
+        return value.getIdentifier();
+    }
+
+    return value;
+}
+
+// the DID functions can be called without forDID, in which case the first argument is the DID document
+const didResource = (forDID, did, ...args) => getIdentifier(args.length > 0 ? did : forDID);
+const firstArgumentResource = (forDID, resource) => getIdentifier(resource);
+// the grants and the revokes receive the DID whose access is changed before the resource
+const aclResource = (forDID, did, resource) => getIdentifier(resource);
+const keyStoreResource = (tableName) => () => tableName;
+
+const AUDITED_FUNCTIONS = {
+    signForDID: didResource,
+    signForKeySSI: firstArgumentResource,
+    decryptMessage: didResource,
+    storeDID: didResource,
+    addPrivateKeyForDID: firstArgumentResource,
+    rotateKeyForDID: firstArgumentResource,
+    storePrivateKey: keyStoreResource(constants.TABLE_NAMES.PRIVATE_KEYS),
+    storeSecretKey: keyStoreResource(constants.TABLE_NAMES.SECRET_KEYS),
+    generateSecretKey: keyStoreResource(constants.TABLE_NAMES.SECRET_KEYS),
+    decryptAES: firstArgumentResource,
+    getPrivateKeyForSlot: keyStoreResource(constants.TABLE_NAMES.PATH_KEY_SSI_PRIVATE_KEYS),
+    grantReadAccess: aclResource,
+    grantWriteAccess: aclResource,
+    grantAdminAccess: aclResource,
+    revokeReadAccess: aclResource,
+    revokeWriteAccess: aclResource,
+    revokeAdminAccess: aclResource,
+    exportBackup: () => constants.RESOURCES.BACKUP,
+    importBackup: () => constants.RESOURCES.BACKUP
+};
+
+const TABLE_WRITE_FUNCTIONS = ["insertRecord", "updateRecord", "deleteRecord", "addIndex"];
+const TABLE_READ_FUNCTIONS = ["getRecord", "filter", "getAllRecords", "getIndexedFields"];
+
+const getEntryIndex = (entry) => {
+    return parseInt(entry.pk, 10);
+}
+
+function Audit_Mixin(target) {
+    const openDSU = require("opendsu");
+    const crypto = openDSU.loadAPI("crypto");
+    const enclaveContent = require("../utils/enclaveContent");
+    let lastEntry;
+    let auditKey;
+    let appendQueue = Promise.resolve();
+
+    // the key is generated at the first use and kept in its own table, which is not copied by the backups and the migrations
+    const loadAuditKey = async () => {
+        let keyRecord;
+        try {
+            keyRecord = await $$.promisify(target.storageDB.getRecord)(AUDIT_LOG_KEY_TABLE, AUDIT_LOG_KEY_PK);
+        } catch (e) {
+            // the key was not generated yet
+        }
+
+        if (!keyRecord) {
+            keyRecord = {key: crypto.generateRandom(32)};
+            const batchId = await target.storageDB.startOrAttachBatchAsync();
+            try {
+                await $$.promisify(target.storageDB.insertRecord)(AUDIT_LOG_KEY_TABLE, AUDIT_LOG_KEY_PK, keyRecord);
+            } catch (e) {
+                throw await enclaveContent.cancelBatchOnError(target, batchId, `Failed to store the key of the audit log`, e);
+            }
+            await target.storageDB.commitBatchAsync(batchId);
+        }
+
+        return $$.Buffer.from(keyRecord.key);
+    }
+
+    const getAuditKey = () => {
+        if (typeof auditKey === "undefined") {
+            auditKey = loadAuditKey().catch(err => {
+                auditKey = undefined;
+                throw err;
+            });
+        }
+
+        return auditKey;
+    }
+
+    const computeHash = (entry, key) => {
+        const {operation, did, resource, timestamp, outcome, error, previousHash} = entry;
+        const contentHash = crypto.sha256({index: getEntryIndex(entry), operation, did, resource, timestamp, outcome, error, previousHash});
+        return require("crypto").createHmac("sha256", key).update(contentHash).digest("hex");
+    }
+
+    const getAllEntries = (callback) => {
+        target.storageDB.getAllRecords(AUDIT_LOG_TABLE, (err, entries) => {
+            if (err) {
+                return callback(createOpenDSUErrorWrapper(`Failed to read the audit log`, err));
+            }
+
+            callback(undefined, (entries || []).sort((first, second) => getEntryIndex(first) - getEntryIndex(second)));
+        });
+    }
+
+    const getLastEntry = async () => {
+        if (typeof lastEntry === "undefined") {
+            const entries = await $$.promisify(getAllEntries)();
+            lastEntry = entries.length > 0 ? entries[entries.length - 1] : null;
+        }
+
+        return lastEntry;
+    }
+
+    const appendEntry = (operation, forDID, resource, err, callback) => {
+        // the entries are appended one after the other, each one needs the hash of the previous one
+        const append = appendQueue.then(async () => {
+            const key = await getAuditKey();
+            const previousEntry = await getLastEntry();
+            const index = previousEntry ? getEntryIndex(previousEntry) + 1 : 0;
+            const entry = {
+                pk: `${index}`.padStart(12, "0"),
+                operation,
+                did: getIdentifier(forDID) || null,
+                resource: typeof resource === "undefined" ? null : resource,
+                timestamp: Date.now(),
+                outcome: err ? OUTCOMES.FAILURE : OUTCOMES.SUCCESS,
+                error: err ? err.message : null,
+                previousHash: previousEntry ? previousEntry.hash : GENESIS_HASH
+            };
+            entry.hash = computeHash(entry, key);
+
+            const batchId = await target.storageDB.startOrAttachBatchAsync();
+            try {
+                await $$.promisify(target.storageDB.insertRecord)(AUDIT_LOG_TABLE, entry.pk, entry);
+            } catch (e) {
+                throw await enclaveContent.cancelBatchOnError(target, batchId, `Failed to append the audit log entry of ${operation}`, e);
+            }
+            await target.storageDB.commitBatchAsync(batchId);
+            lastEntry = entry;
+        });
+        appendQueue = append.catch(() => {});
+
+        append.then(() => callback(), callback);
+    }
+
+    /*
+        filter: {operation, did, resource, outcome, from, to} - from and to are timestamps, every field is optional
+        Calls back with the matching entries, in the order they were appended
+     */
+    target.getAuditLog = (forDID, filter, callback) => {
+        if (typeof filter === "function") {
+            callback = filter;
+            filter = undefined;
+        }
+        filter = filter || {};
+
+        target.hasReadAccess(forDID, AUDIT_LOG_TABLE, (err, hasAccess) => {
+            if (err) {
+                return callback(createOpenDSUErrorWrapper(`Failed to check the access of ${getIdentifier(forDID)} to the audit log`, err));
+            }
+
+            if (!hasAccess) {
+                return callback(Error(`DID ${getIdentifier(forDID)} does not have read access to the audit log`));
+            }
+
+            getAllEntries((err, entries) => {
+                if (err) {
+                    return callback(err);
+                }
+
+                callback(undefined, entries.filter(entry => {
+                    return ["operation", "did", "resource", "outcome"].every(field => typeof filter[field] === "undefined" || entry[field] === getIdentifier(filter[field]))
+                        && (typeof filter.from === "undefined" || entry.timestamp >= filter.from)
+                        && (typeof filter.to === "undefined" || entry.timestamp <= filter.to);
+                }));
+            });
+        });
+    }
+
+    /*
+        Calls back with {valid, entries} or, if the chain was tampered with, {valid: false, entries, brokenAt, reason} where
+        brokenAt is the index of the first entry which does not match the chain
+     */
+    target.verifyAuditLog = (forDID, callback) => {
+        target.getAuditLog(forDID, async (err, entries) => {
+            if (err) {
+                return callback(err);
+            }
+
+            let key;
+            try {
+                key = await getAuditKey();
+            } catch (e) {
+                return callback(createOpenDSUErrorWrapper(`Failed to get the key of the audit log`, e));
+            }
+
+            let previousHash = GENESIS_HASH;
+            for (let i = 0; i < entries.length; i++) {
+                let reason;
+                if (getEntryIndex(entries[i]) !== i) {
+                    reason = `Entry ${i} is missing`;
+                } else if (entries[i].previousHash !== previousHash) {
+                    reason = `Entry ${i} is not chained to the previous entry`;
+                } else if (computeHash(entries[i], key) !== entries[i].hash) {
+                    reason = `Entry ${i} was modified`;
+                }
+
+                if (reason) {
+                    return callback(undefined, {valid: false, entries: entries.length, brokenAt: i, reason});
+                }
+                previousHash = entries[i].hash;
+            }
+
+            // the removal of the last entries can only be detected against the last entry appended by this instance
+            if (lastEntry && entries.length <= getEntryIndex(lastEntry)) {
+                return callback(undefined, {valid: false, entries: entries.length, brokenAt: entries.length, reason: `The entries after ${entries.length - 1} were removed`});
+            }
+
+            callback(undefined, {valid: true, entries: entries.length});
+        });
+    }
+
+    TABLE_WRITE_FUNCTIONS.concat(TABLE_READ_FUNCTIONS).forEach(functionName => {
+        const originalFunction = target[functionName];
+        target[functionName] = (forDID, table, ...args) => {
+            if (table === AUDIT_LOG_TABLE && TABLE_WRITE_FUNCTIONS.indexOf(functionName) !== -1) {
+                return args[args.length - 1](Error(`The audit log is append-only`));
+            }
+
+            if (table === AUDIT_LOG_KEY_TABLE) {
+                return args[args.length - 1](Error(`The key of the audit log can't be accessed`));
+            }
+
+            originalFunction(forDID, table, ...args);
+        }
+    });
+
+    Object.keys(AUDITED_FUNCTIONS).forEach(functionName => {
+        const originalFunction = target[functionName];
+        const getResource = AUDITED_FUNCTIONS[functionName];
+        target[functionName] = (forDID, ...args) => {
+            const callback = args.pop();
+            let resource;
+            try {
+                resource = getResource(forDID, ...args);
+            } catch (e) {
+                // the resource is only informative
+            }
+
+            originalFunction(forDID, ...args, (err, ...results) => {
+                appendEntry(functionName, forDID, resource, err, (auditError) => {
+                    if (auditError) {
+                        return callback(createOpenDSUErrorWrapper(`Failed to record ${functionName} in the audit log`, auditError));
+                    }
+
+                    callback(err, ...results);
+                });
+            });
+        }
+    });
+}
+
+module.exports = Audit_Mixin;
@@ -0,0 +1,156 @@
+/*
+    Backup and restore of an enclave through a single archive, encrypted with a key derived from a password
+    The archive contains the tables of the enclave (including the key stores and the seed SSI mappings), their indexes and the
+    path keySSIs stored in the DSU of the enclave (the PathKeySSIMapping). It is a JSON string:
+        {version, createdAt, enclaveType, checksum, content}
+    where content is the encrypted backup and checksum is the sha256 of the encrypted content, checked before decrypting it.
+    A backup can be restored into any enclave type, but only the enclaves having a DSU (e.g. WalletDBEnclave) can store its path
+    keySSIs: the other ones restore the tables and report the path keySSIs as skipped. The access control lists are not part of the backups: they belong to the
+    enclave, a restored backup can't change who has access to it.
+ */
+const constants = require("../constants/constants");
+const BACKUP_VERSION = 1;
+const EXCLUDED_TABLES = [constants.TABLE_NAMES.ACLS];
+
+function Backup_Mixin(target) {
+    const openDSU = require("opendsu");
+
+    const enclaveContent = require("../utils/enclaveContent");
+
+    const readArchive = (archive, password) => {
+        const crypto = openDSU.loadAPI("crypto");
+        let backup;
+        try {
+            backup = JSON.parse($$.Buffer.isBuffer(archive) ? archive.toString() : archive);
+        } catch (e) {
+            throw createOpenDSUErrorWrapper(`The archive is not an enclave backup`, e);
+        }
+
+        if (typeof backup.version !== "number" || typeof backup.content !== "string") {
+            throw Error(`The archive is not an enclave backup`);
+        }
+
+        if (backup.version > BACKUP_VERSION) {
+            throw Error(`Backup version ${backup.version} is not supported. The latest supported version is ${BACKUP_VERSION}`);
+        }
+
+        const encryptedContent = $$.Buffer.from(backup.content, "base64");
+        if (crypto.sha256JOSE(encryptedContent, "hex") !== backup.checksum) {
+            throw Error(`The integrity check of the backup failed. The archive is corrupted`);
+        }
+
+        let content;
+        try {
+            content = JSON.parse(crypto.decrypt(encryptedContent, crypto.deriveEncryptionKey(password)).toString());
+        } catch (e) {
+            throw createOpenDSUErrorWrapper(`Failed to decrypt the backup. The password may be wrong`, e);
+        }
+
+        return {version: backup.version, createdAt: backup.createdAt, enclaveType: backup.enclaveType, content};
+    }
+
+    // what would be restored from the backup: the path keySSIs, the primary keys of each table and the indexed fields
+    const getBackupSummary = (backup) => {
+        const canStorePathKeySSIs = enclaveContent.canStorePathKeySSIs(target);
+        const tables = {};
+        Object.keys(backup.content.tables).forEach(table => {
+            tables[table] = backup.content.tables[table].map(record => record.pk);
+        });
+
+        return {
+            version: backup.version,
+            createdAt: backup.createdAt,
+            enclaveType: backup.enclaveType,
+            pathKeySSIs: canStorePathKeySSIs ? backup.content.pathKeySSIs : [],
+            skippedPathKeySSIs: canStorePathKeySSIs ? [] : backup.content.pathKeySSIs,
+            tables,
+            indexes: backup.content.indexes
+        };
+    }
+
+    target.exportBackup = (forDID, password, callback) => {
+        const crypto = openDSU.loadAPI("crypto");
+        const exportContent = async () => {
+            const content = {tables: {}, indexes: {}};
+            content.pathKeySSIs = await $$.promisify(enclaveContent.getPathKeySSIs)(target);
+            const tableNames = await $$.promisify(enclaveContent.getTableNames)(target);
+            for (let table of tableNames.filter(table => EXCLUDED_TABLES.indexOf(table) === -1)) {
+                content.tables[table] = await $$.promisify(enclaveContent.getAllRecords)(target, table);
+                const indexedFields = await $$.promisify(enclaveContent.getIndexedFields)(target, table);
+                if (indexedFields && indexedFields.length > 0) {
+                    content.indexes[table] = indexedFields;
+                }
+            }
+
+            const encryptedContent = crypto.encrypt($$.Buffer.from(JSON.stringify(content)), crypto.deriveEncryptionKey(password));
+            return JSON.stringify({
+                version: BACKUP_VERSION,
+                createdAt: Date.now(),
+                enclaveType: typeof target.getEnclaveType === "function" ? target.getEnclaveType() : undefined,
+                checksum: crypto.sha256JOSE(encryptedContent, "hex"),
+                content: encryptedContent.toString("base64")
+            });
+        }
+
+        exportContent().then(archive => callback(undefined, archive), err => callback(createOpenDSUErrorWrapper(`Failed to export the backup of the enclave`, err)));
+    }
+
+    /*
+        options: {dryRun} - in dry-run mode the archive is only checked and nothing is restored
+        Calls back with the summary of the restored (or restorable) content: {version, createdAt, enclaveType, pathKeySSIs, skippedPathKeySSIs, tables, indexes}
+        The existing records having the same primary keys as the records of the backup are overwritten. The access control
+        lists found in an archive are ignored
+     */
+    target.importBackup = (forDID, archive, password, options, callback) => {
+        if (typeof options === "function") {
+            callback = options;
+            options = undefined;
+        }
+        options = Object.assign({dryRun: false}, options);
+
+        let backup;
+        try {
+            backup = readArchive(archive, password);
+        } catch (e) {
+            return callback(e);
+        }
+
+        EXCLUDED_TABLES.forEach(table => {
+            delete backup.content.tables[table];
+            delete backup.content.indexes[table];
+        });
+        const summary = getBackupSummary(backup);
+        if (options.dryRun) {
+            return callback(undefined, summary);
+        }
+
+        const restoreContent = async () => {
+            for (let pathKeySSI of summary.pathKeySSIs) {
+                await $$.promisify(enclaveContent.storePathKeySSI)(target, pathKeySSI);
+            }
+
+            const batchId = await $$.promisify(enclaveContent.startOrAttachBatch)(target);
+            try {
+                for (let table of Object.keys(backup.content.tables)) {
+                    for (let record of backup.content.tables[table]) {
+                        await $$.promisify(enclaveContent.saveRecord)(target, table, record);
+                    }
+                }
+
+                for (let table of Object.keys(backup.content.indexes)) {
+                    for (let field of backup.content.indexes[table]) {
+                        await $$.promisify(enclaveContent.addIndex)(target, table, field);
+                    }
+                }
+            } catch (e) {
+                throw await enclaveContent.cancelBatchOnError(target, batchId, `Failed to restore the tables of the backup`, e);
+            }
+
+            await $$.promisify(enclaveContent.commitBatch)(target, batchId);
+        }
+
+        restoreContent().then(() => callback(undefined, summary), err => callback(createOpenDSUErrorWrapper(`Failed to import the backup into the enclave`, err)));
+    }
+}
+
+module.exports = Backup_Mixin;
@@ -1,5 +1,7 @@
 const constants = require("../constants/constants");
 
+const DEFAULT_KEY_VALIDITY_PERIOD = 30 * 24 * 60 * 60 * 1000;
+
 function Enclave_Mixin(target, did) {
     const openDSU = require("opendsu");
     const keySSISpace = openDSU.loadAPI("keyssi")
@@ -12,22 +14,69 @@ function Enclave_Mixin(target, did) {
 
     let pathKeyMapping;
 
-    const getPrivateInfoForDID = (did, callback) => {
+    /*
+        The private keys stored for a DID, from the oldest to the newest: [{privateKey, state, retiredAt, validUntil}]
+        The keys stored before the first rotation of the DID have no state and are active
+     */
+    const getKeysForDID = (did, callback) => {
         target.storageDB.getRecord(constants.TABLE_NAMES.DIDS_PRIVATE_KEYS, did, (err, record) => {
+            if (err || !record) {
+                return callback(undefined, []);
+            }
+
+            const keysInfo = record.keysInfo || [];
+            const keys = record.privateKeys.map((privateKey, index) => {
+                return Object.assign({state: constants.KEY_STATES.ACTIVE}, keysInfo[index], {privateKey: privateKey ? $$.Buffer.from(privateKey) : privateKey});
+            });
+            callback(undefined, keys.filter(key => key.privateKey));
+        });
+    }
+
+    /*
+        Once the DID was rotated, the newest active key stored in the enclave. Otherwise, the key of the DID document or, if the
+        document has no private key, the last key stored in the enclave
+     */
+    const getSigningKey = (didDocument, callback) => {
+        getKeysForDID(didDocument.getIdentifier(), (err, keys) => {
             if (err) {
                 return callback(err);
             }
 
-            const privateKeysAsBuff = record.privateKeys.map(privateKey => {
-                if (privateKey) {
-                    return $$.Buffer.from(privateKey)
-                }
+            const wasRotated = keys.some(key => key.state === constants.KEY_STATES.VERIFY_ONLY);
+            const privateKeys = wasRotated ? [] : didDocument.getPrivateKeys().filter(privateKey => typeof privateKey !== "undefined");
+            if (privateKeys.length > 0) {
+                return callback(undefined, privateKeys[privateKeys.length - 1]);
+            }
+
+            const activeKeys = keys.filter(key => key.state === constants.KEY_STATES.ACTIVE);
+            if (activeKeys.length === 0) {
+                return callback(Error(`No active private key found for did ${didDocument.getIdentifier()}`));
+            }
+
+            callback(undefined, activeKeys[activeKeys.length - 1].privateKey);
+        });
+    }
 
-                return privateKey;
+    // all the keys of the DID, including the retired ones, in order to decrypt the messages encrypted for the previous keys
+    const getDecryptionKeys = (didDocument, callback) => {
+        getKeysForDID(didDocument.getIdentifier(), (err, keys) => {
+            if (err) {
+                return callback(err);
+            }
+
+            const privateKeys = keys.map(key => key.privateKey).reverse();
+            didDocument.getPrivateKeys().forEach(privateKey => {
+                if (typeof privateKey !== "undefined") {
+                    privateKeys.push(privateKey);
+                }
             });
-            callback(undefined, privateKeysAsBuff);
+            if (privateKeys.length === 0) {
+                return callback(Error(`No private key found for did ${didDocument.getIdentifier()}`));
+            }
+
+            callback(undefined, privateKeys);
         });
-    };
+    }
 
     const getCapableOfSigningKeySSI = (keySSI, callback) => {
         if (typeof keySSI === "undefined") {
@@ -558,6 +607,112 @@ function Enclave_Mixin(target, did) {
         });
     }
 
+    /*
+        Generates a new private key for the DID (or uses options.privateKey) and retires the active ones: they can still verify
+        signatures for options.validityPeriod milliseconds (30 days by default) and decrypt the messages encrypted for them.
+        Only the DIDs whose method supports adding public keys (e.g. name and group DIDs) can be rotated; the keys of the other
+        methods (e.g. key DIDs) are part of the DID, which cannot be updated. The new public key is published in the DID document
+        before the new private key is stored in the enclave: a failed publication leaves the enclave unchanged and, if the
+        private key can't be stored, the new public key is revoked from the document.
+        Calls back with {publicKey (hex)}
+     */
+    target.rotateKeyForDID = (forDID, didDocument, options, callback) => {
+        if (typeof options === "function") {
+            callback = options;
+            options = undefined;
+        }
+        options = Object.assign({validityPeriod: DEFAULT_KEY_VALIDITY_PERIOD}, options);
+        const crypto = openDSU.loadAPI("crypto");
+        const did = didDocument.getIdentifier();
+        if (typeof didDocument.addPublicKey !== "function") {
+            return callback(Error(`The keys of did ${did} can't be rotated. Its method does not support adding public keys`));
+        }
+
+        const rotate = async () => {
+            const newPrivateKey = options.privateKey ? $$.Buffer.from(options.privateKey) : crypto.generateKeyPair().privateKey;
+            const newPublicKey = crypto.getPublicKeyFromPrivateKey(newPrivateKey, "raw");
+            const keys = await $$.promisify(getKeysForDID)(did);
+            const documentKeys = didDocument.getPrivateKeys().filter(privateKey => typeof privateKey !== "undefined");
+            if (keys.length === 0) {
+                // the keys generated with the document become enclave keys so that they can be retired as well
+                documentKeys.forEach(privateKey => keys.push({privateKey, state: constants.KEY_STATES.ACTIVE}));
+            }
+
+            const now = Date.now();
+            const retiredKeys = keys.filter(key => key.state === constants.KEY_STATES.ACTIVE);
+            retiredKeys.forEach(key => {
+                key.state = constants.KEY_STATES.VERIFY_ONLY;
+                key.retiredAt = now;
+                key.validUntil = now + options.validityPeriod;
+            });
+            keys.push({privateKey: newPrivateKey, state: constants.KEY_STATES.ACTIVE, createdAt: now});
+
+            const record = {
+                privateKeys: keys.map(key => key.privateKey),
+                keysInfo: keys.map(key => {
+                    const keyInfo = Object.assign({}, key);
+                    delete keyInfo.privateKey;
+                    return keyInfo;
+                })
+            };
+            try {
+                await $$.promisify(didDocument.addPublicKey)(newPublicKey);
+            } catch (e) {
+                throw createOpenDSUErrorWrapper(`Failed to publish the new public key of did ${did}`, e);
+            }
+
+            const withdrawNewKey = async () => {
+                // the published key has no private key in the enclave
+                try {
+                    await $$.promisify(didDocument.revokeKey)(newPublicKey);
+                } catch (error) {
+                    console.log(error);
+                }
+            }
+
+            const batchId = await target.storageDB.startOrAttachBatchAsync();
+            try {
+                const existingRecord = await $$.promisify(target.storageDB.getRecord)(constants.TABLE_NAMES.DIDS_PRIVATE_KEYS, did).catch(() => undefined);
+                if (existingRecord) {
+                    await $$.promisify(target.storageDB.updateRecord)(constants.TABLE_NAMES.DIDS_PRIVATE_KEYS, did, record);
+                } else {
+                    await $$.promisify(target.storageDB.insertRecord)(constants.TABLE_NAMES.DIDS_PRIVATE_KEYS, did, record);
+                }
+            } catch (e) {
+                const updateError = createOpenDSUErrorWrapper(`Failed to store the new private key for did ${did}`, e);
+                try {
+                    await target.storageDB.cancelBatchAsync(batchId);
+                } catch (error) {
+                    //not relevant...
+                    console.log(error);
+                }
+                await withdrawNewKey();
+                throw updateError;
+            }
+
+            try {
+                await target.storageDB.commitBatchAsync(batchId);
+            } catch (e) {
+                await withdrawNewKey();
+                throw createOpenDSUErrorWrapper(`Failed to commit the new private key for did ${did}`, e);
+            }
+
+            for (let key of retiredKeys) {
+                const retiredPublicKey = crypto.getPublicKeyFromPrivateKey(key.privateKey, "raw");
+                try {
+                    await $$.promisify(didDocument.revokeKey)(retiredPublicKey);
+                } catch (e) {
+                    // the key may have been stored in the enclave without being published in the document
+                    console.log(e);
+                }
+            }
+
+            return {publicKey: newPublicKey.toString("hex")};
+        }
+
+        rotate().then(result => callback(undefined, result), err => callback(createOpenDSUErrorWrapper(`Failed to rotate the key of did ${did}`, err)));
+    }
+
     target.generateDID = (forDID, didMethod, ...args) => {
         args.unshift(target, didMethod);
         w3cDID.we_createIdentity(...args);
@@ -652,22 +807,24 @@ function Enclave_Mixin(target, did) {
             didThatIsSigning = forDID;
         }
 
-        const privateKeys = didThatIsSigning.getPrivateKeys();
-        if (typeof privateKeys[privateKeys.length - 1] === "undefined") {
-            return getPrivateInfoForDID(didThatIsSigning.getIdentifier(), async (err, privateKeys) => {
-                if (err) {
-                    return callback(createOpenDSUErrorWrapper(`Failed to get private info for did ${didThatIsSigning.getIdentifier()}`, err));
-                }
-
-                const signature = CryptoSkills.applySkill(didThatIsSigning.getMethodName(), CryptoSkills.NAMES.SIGN, hash, privateKeys[privateKeys.length - 1]);
-                callback(undefined, signature);
-            });
-        }
+        getSigningKey(didThatIsSigning, (err, privateKey) => {
+            if (err) {
+                return callback(createOpenDSUErrorWrapper(`Failed to get private info for did ${didThatIsSigning.getIdentifier()}`, err));
+            }
 
-        const signature = CryptoSkills.applySkill(didThatIsSigning.getMethodName(), CryptoSkills.NAMES.SIGN, hash, privateKeys[privateKeys.length - 1]);
-        callback(undefined, signature);
+            let signature;
+            try {
+                signature = CryptoSkills.applySkill(didThatIsSigning.getMethodName(), CryptoSkills.NAMES.SIGN, hash, privateKey);
+            } catch (e) {
+                return callback(createOpenDSUErrorWrapper(`Failed to sign for did ${didThatIsSigning.getIdentifier()}`, e));
+            }
+            callback(undefined, signature);
+        });
     }
 
+    /*
+        The signatures made with the keys retired by rotateKeyForDID are accepted until the end of their validity window
+     */
     target.verifyForDID = (forDID, didThatIsVerifying, hash, signature, callback) => {
         if (typeof hash === "function") {
             callback = signature;
@@ -675,13 +832,38 @@ function Enclave_Mixin(target, did) {
             hash = didThatIsVerifying;
             didThatIsVerifying = forDID;
         }
+        const crypto = openDSU.loadAPI("crypto");
+        const verify = (publicKey) => {
+            return CryptoSkills.applySkill(didThatIsVerifying.getMethodName(), CryptoSkills.NAMES.VERIFY, hash, publicKey, signature);
+        }
+
         didThatIsVerifying.getPublicKey("pem", (err, publicKey) => {
             if (err) {
-                return callback(createOpenDSUErrorWrapper(`Failed to read public key for did ${target.getIdentifier()}`, err));
+                return callback(createOpenDSUErrorWrapper(`Failed to read public key for did ${didThatIsVerifying.getIdentifier()}`, err));
             }
 
-            const verificationResult = CryptoSkills.applySkill(didThatIsVerifying.getMethodName(), CryptoSkills.NAMES.VERIFY, hash, publicKey, signature);
-            callback(undefined, verificationResult);
+            getKeysForDID(didThatIsVerifying.getIdentifier(), (err, keys) => {
+                if (err) {
+                    return callback(err);
+                }
+
+                const now = Date.now();
+                const retiredKeys = keys.filter(key => key.state === constants.KEY_STATES.VERIFY_ONLY);
+                let verificationResult;
+                try {
+                    const expiredPublicKeys = retiredKeys.filter(key => key.validUntil <= now)
+                        .map(key => crypto.getPublicKeyFromPrivateKey(key.privateKey, "pem").toString());
+                    verificationResult = expiredPublicKeys.indexOf(publicKey.toString()) === -1 && verify(publicKey);
+                    if (!verificationResult) {
+                        verificationResult = retiredKeys.filter(key => key.validUntil > now)
+                            .some(key => verify(crypto.getPublicKeyFromPrivateKey(key.privateKey, "pem")));
+                    }
+                } catch (e) {
+                    return callback(createOpenDSUErrorWrapper(`Failed to verify signature for did ${didThatIsVerifying.getIdentifier()}`, e));
+                }
+
+                callback(undefined, verificationResult);
+            });
         });
     }
 
@@ -728,7 +910,12 @@ function Enclave_Mixin(target, did) {
             const crypto = require("pskcrypto"); // opendsu crypto does not receive aes options
             const pskEncryption = crypto.createPskEncryption('aes-256-gcm');
 
-            const encryptedMessage = pskEncryption.encrypt(message, keyRecord.secretKey, AESParams);
+            let encryptedMessage;
+            try {
+                encryptedMessage = pskEncryption.encrypt(message, keyRecord.secretKey, AESParams);
+            } catch (e) {
+                return callback(createOpenDSUErrorWrapper(`Failed to encrypt message with key ${secretKeyAlias}`, e));
+            }
             callback(undefined, encryptedMessage);
         })
 
@@ -749,7 +936,12 @@ function Enclave_Mixin(target, did) {
             const crypto = require("pskcrypto"); // opendsu crypto does not receive aes options
             const pskEncryption = crypto.createPskEncryption('aes-256-gcm');
 
-            const decryptedMessage = pskEncryption.decrypt(encryptedMessage, keyRecord.secretKey, 0, AESParams);
+            let decryptedMessage;
+            try {
+                decryptedMessage = pskEncryption.decrypt(encryptedMessage, keyRecord.secretKey, 0, AESParams);
+            } catch (e) {
+                return callback(createOpenDSUErrorWrapper(`Failed to decrypt message with key ${secretKeyAlias}`, e));
+            }
             callback(undefined, decryptedMessage);
         })
 
@@ -762,18 +954,14 @@ function Enclave_Mixin(target, did) {
             didTo = didFrom;
             didFrom = forDID;
         }
-        const privateKeys = didFrom.getPrivateKeys();
-        if (typeof privateKeys[privateKeys.length - 1] === "undefined") {
-            getPrivateInfoForDID(didFrom.getIdentifier(), (err, privateKeys) => {
-                if (err) {
-                    return callback(createOpenDSUErrorWrapper(`Failed to get private info for did ${didFrom.getIdentifier()}`, err));
-                }
 
-                CryptoSkills.applySkill(didFrom.getMethodName(), CryptoSkills.NAMES.ENCRYPT_MESSAGE, privateKeys, didFrom, didTo, message, callback);
-            });
-        } else {
-            CryptoSkills.applySkill(didFrom.getMethodName(), CryptoSkills.NAMES.ENCRYPT_MESSAGE, privateKeys, didFrom, didTo, message, callback);
-        }
+        getSigningKey(didFrom, (err, privateKey) => {
+            if (err) {
+                return callback(createOpenDSUErrorWrapper(`Failed to get private info for did ${didFrom.getIdentifier()}`, err));
+            }
+
+            CryptoSkills.applySkill(didFrom.getMethodName(), CryptoSkills.NAMES.ENCRYPT_MESSAGE, [privateKey], didFrom, didTo, message, callback);
+        });
     }
 
     target.decryptMessage = (forDID, didTo, encryptedMessage, callback) => {
@@ -783,18 +971,13 @@ function Enclave_Mixin(target, did) {
             didTo = forDID;
         }
 
-        const privateKeys = didTo.getPrivateKeys();
-        if (typeof privateKeys[privateKeys.length - 1] === "undefined") {
-            getPrivateInfoForDID(didTo.getIdentifier(), (err, privateKeys) => {
-                if (err) {
-                    return callback(createOpenDSUErrorWrapper(`Failed to get private info for did ${didTo.getIdentifier()}`, err));
-                }
+        getDecryptionKeys(didTo, (err, privateKeys) => {
+            if (err) {
+                return callback(createOpenDSUErrorWrapper(`Failed to get private info for did ${didTo.getIdentifier()}`, err));
+            }
 
-                CryptoSkills.applySkill(didTo.getMethodName(), CryptoSkills.NAMES.DECRYPT_MESSAGE, privateKeys, didTo, encryptedMessage, callback);
-            });
-        } else {
             CryptoSkills.applySkill(didTo.getMethodName(), CryptoSkills.NAMES.DECRYPT_MESSAGE, privateKeys, didTo, encryptedMessage, callback);
-        }
+        });
     };
 
 
@@ -853,7 +1036,7 @@ function Enclave_Mixin(target, did) {
                 try {
                     seedSSI = await $$.promisify(target.createSeedSSI)(target, vaultDomain);
                     const sReadSSI = await $$.promisify(seedSSI.derive)();
-                    await $$.promisify(target.storeReadForAliasSSI)(undefined, sReadSSI, keySSI);
+                    await $$.promisify(target.storeReadForAliasSSI)(forDID, sReadSSI, keySSI);
                 } catch (e) {
                     return callback(e);
                 }
@@ -872,7 +1055,7 @@ function Enclave_Mixin(target, did) {
                 resolverAPI.createDSUForExistingSSI(seedSSI, callback);
             })
         } else {
-            target.storeKeySSI(undefined, keySSI, (err) => {
+            target.storeKeySSI(forDID, keySSI, (err) => {
                 if (err) {
                     return callback(err);
                 }
@@ -897,7 +1080,7 @@ function Enclave_Mixin(target, did) {
 
         resolverAPI.loadDSU(keySSI, options, (err, dsu) => {
             if (err) {
-                target.getReadForKeySSI(undefined, keySSI.getIdentifier(), (e, sReadSSI) => {
+                target.getReadForKeySSI(forDID, keySSI.getIdentifier(), (e, sReadSSI) => {
                     if (e) {
                         return callback(err);
                     }
@@ -962,6 +1145,9 @@ function Enclave_Mixin(target, did) {
         options = Object.assign(defaultOptions, options);
         target.loadDSU(forDID, ssi, options, callback);
     }
+
+    const BackupMixin = require("./Backup_Mixin");
+    BackupMixin(target);
 }
 
 module.exports = Enclave_Mixin;
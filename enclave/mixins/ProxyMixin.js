@@ -192,6 +192,14 @@ function ProxyMixin(target) {
         target.__putCommandObject(commandNames.STORE_DID, forDID.getIdentifier(), storedDID.getIdentifier(), privateKeys, callback);
     }
 
+    target.rotateKeyForDID = (forDID, didDocument, options, callback) => {
+        if (typeof options === "function") {
+            callback = options;
+            options = undefined;
+        }
+        target.__putCommandObject(commandNames.ROTATE_KEY_FOR_DID, forDID.getIdentifier(), didDocument.getIdentifier(), options, callback);
+    }
+
     target.signForDID = (forDID, didThatIsSigning, hash, callback) => {
         target.__putCommandObject(commandNames.SIGN_FOR_DID, forDID.getIdentifier(), didThatIsSigning.getIdentifier(), hash, (err, signature) => {
             if (err) {
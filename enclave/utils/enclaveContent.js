@@ -0,0 +1,169 @@
+/*
+    Access to the whole content of an enclave, used by the backups and the migrations
+    The local enclaves are read and written directly through their storage DB (bypassing the access control lists), the remote
+    ones through their commands, on behalf of $$.SYSTEM_IDENTIFIER.
+ */
+const constants = require("../constants/constants");
+
+const isLocalEnclave = (enclave) => {
+    return typeof enclave.storageDB !== "undefined";
+}
+
+// the audit log, its key and the progress of the migrations belong to each enclave, they are not copied
+const INTERNAL_TABLES = [constants.TABLE_NAMES.AUDIT_LOG, constants.TABLE_NAMES.AUDIT_LOG_KEY, constants.TABLE_NAMES.MIGRATIONS];
+
+const getTableNames = (enclave, callback) => {
+    const listTables = isLocalEnclave(enclave) ? enclave.storageDB.getAllTableNames : enclave.getCollections;
+    listTables((err, tableNames) => {
+        if (err) {
+            return callback(err);
+        }
+
+        callback(undefined, tableNames.filter(table => INTERNAL_TABLES.indexOf(table) === -1));
+    });
+}
+
+const getAllRecords = (enclave, table, callback) => {
+    if (isLocalEnclave(enclave)) {
+        return enclave.storageDB.getAllRecords(table, callback);
+    }
+
+    enclave.getAllRecords($$.SYSTEM_IDENTIFIER, table, callback);
+}
+
+const getRecord = (enclave, table, pk, callback) => {
+    if (isLocalEnclave(enclave)) {
+        return enclave.storageDB.getRecord(table, pk, callback);
+    }
+
+    enclave.getRecord($$.SYSTEM_IDENTIFIER, table, pk, callback);
+}
+
+// the records are inserted or, if they already exist, overwritten
+const saveRecord = (enclave, table, record, callback) => {
+    const insertRecord = isLocalEnclave(enclave) ? enclave.storageDB.insertRecord : (...args) => enclave.insertRecord($$.SYSTEM_IDENTIFIER, ...args);
+    const updateRecord = isLocalEnclave(enclave) ? enclave.storageDB.updateRecord : (...args) => enclave.updateRecord($$.SYSTEM_IDENTIFIER, ...args);
+    insertRecord(table, record.pk, Object.assign({}, record), (err, res) => {
+        if (!err) {
+            return callback(undefined, res);
+        }
+
+        updateRecord(table, record.pk, Object.assign({}, record), callback);
+    });
+}
+
+// the remote enclaves manage their own indexes and the in-memory storage (MemoryEnclave) has no indexes, its tables are scanned
+const supportsIndexes = (enclave) => {
+    const openDSU = require("opendsu");
+    return isLocalEnclave(enclave) && enclave.getEnclaveType() !== openDSU.constants.ENCLAVE_TYPES.MEMORY_ENCLAVE;
+}
+
+const getIndexedFields = (enclave, table, callback) => {
+    if (!supportsIndexes(enclave)) {
+        return callback(undefined, []);
+    }
+
+    enclave.storageDB.getIndexedFields(table, callback);
+}
+
+const addIndex = (enclave, table, field, callback) => {
+    if (!supportsIndexes(enclave)) {
+        return callback();
+    }
+
+    enclave.storageDB.addIndex(table, field, callback);
+}
+
+// the path keySSIs are stored in the DSU of the enclave (WalletDBEnclave), not in its tables
+const getPathKeySSIs = (enclave, callback) => {
+    if (typeof enclave.getDSU !== "function") {
+        return callback(undefined, []);
+    }
+
+    enclave.getDSU((err, dsu) => {
+        if (err) {
+            return callback(createOpenDSUErrorWrapper(`Failed to get the DSU of the enclave`, err));
+        }
+
+        if (!dsu) {
+            return callback(undefined, []);
+        }
+
+        const EnclaveHandler = require("../KeySSIMappings/PathKeySSIMapping/WalletDBEnclaveHandler");
+        new EnclaveHandler(dsu).loadPaths((err, paths) => {
+            if (err) {
+                return callback(createOpenDSUErrorWrapper(`Failed to load the path keySSIs of the enclave`, err));
+            }
+
+            callback(undefined, Object.values(paths));
+        });
+    });
+}
+
+// the local enclaves without DSU (e.g. MemoryEnclave) can't store path keySSIs
+const canStorePathKeySSIs = (enclave) => {
+    return !isLocalEnclave(enclave) || typeof enclave.getDSU === "function";
+}
+
+const storePathKeySSI = (enclave, pathKeySSI, callback) => {
+    if (!canStorePathKeySSIs(enclave)) {
+        return callback(Error(`The enclave has no DSU to store the path keySSIs`));
+    }
+
+    enclave.storeKeySSI($$.SYSTEM_IDENTIFIER, pathKeySSI, callback);
+}
+
+const startOrAttachBatch = (enclave, callback) => {
+    if (!isLocalEnclave(enclave)) {
+        return callback();
+    }
+
+    enclave.storageDB.startOrAttachBatch(callback);
+}
+
+const commitBatch = (enclave, batchId, callback) => {
+    if (!isLocalEnclave(enclave)) {
+        return callback();
+    }
+
+    enclave.storageDB.commitBatch(batchId, callback);
+}
+
+const cancelBatch = (enclave, batchId, callback) => {
+    if (!isLocalEnclave(enclave)) {
+        return callback();
+    }
+
+    enclave.storageDB.cancelBatch(batchId, callback);
+}
+
+/*
+    Cancels the batch of a failed change and returns the error to report: the error of the change wrapped with the message,
+    together with the error of the cancellation if the batch could not be cancelled
+ */
+const cancelBatchOnError = async (enclave, batchId, message, err) => {
+    try {
+        await $$.promisify(cancelBatch)(enclave, batchId);
+    } catch (cancelError) {
+        return createOpenDSUErrorWrapper(message, err, [cancelError]);
+    }
+
+    return createOpenDSUErrorWrapper(message, err);
+}
+
+module.exports = {
+    isLocalEnclave,
+    getTableNames,
+    getAllRecords,
+    getRecord,
+    saveRecord,
+    getIndexedFields,
+    addIndex,
+    getPathKeySSIs,
+    canStorePathKeySSIs,
+    storePathKeySSI,
+    startOrAttachBatch,
+    commitBatch,
+    cancelBatch,
+    cancelBatchOnError
+}
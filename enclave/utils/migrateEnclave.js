@@ -0,0 +1,187 @@
+/*
+    Copies the content of an enclave into another enclave of any type: the path keySSIs, the tables (including the key stores:
+    seed SSIs, DIDs and their private keys, private and secret keys), their indexes and the queues listed in options.queues
+    (the queues can't be discovered and exist only in the enclaves supporting them, e.g. LightDBEnclave).
+    The progress is stored in the target enclave, in the migrations table, after each step. A migration with the same id which was
+    interrupted is resumed: the completed steps are skipped and the records already copied are not written again.
+    After the copy, every table is verified: the number of records and the hash of their content (without the metadata) should
+    be the same in both enclaves. The queues are verified by the hashes of their objects.
+    options: {migrationId, queues, forDID, verify, copyPathKeySSIs}
+    Calls back with the report of the migration: {migrationId, resumed, pathKeySSIs, tables: {table: {count, hash}}, queues: {queue: count}}
+ */
+const constants = require("../constants/constants");
+const enclaveContent = require("./enclaveContent");
+const MIGRATION_STATUS = {
+    IN_PROGRESS: "in-progress",
+    COMPLETED: "completed"
+};
+const METADATA_FIELDS = ["__version", "__timestamp"];
+
+const getContentHash = (records) => {
+    const crypto = require("opendsu").loadAPI("crypto");
+    const content = records.map(record => {
+        const recordContent = Object.assign({}, record);
+        METADATA_FIELDS.forEach(field => delete recordContent[field]);
+        return recordContent;
+    }).sort((first, second) => `${first.pk}`.localeCompare(`${second.pk}`));
+
+    return crypto.sha256(content);
+}
+
+const getQueueHashes = (enclave, forDID, queueName, callback) => {
+    if (typeof enclave.listQueue !== "function") {
+        return callback(Error(`The enclave does not support queues`));
+    }
+
+    enclave.listQueue(forDID, queueName, (err, queueItems) => {
+        if (err) {
+            return callback(createOpenDSUErrorWrapper(`Failed to list queue ${queueName}`, err));
+        }
+
+        callback(undefined, queueItems.map(queueItem => typeof queueItem === "string" ? queueItem : queueItem.pk));
+    });
+}
+
+function migrateEnclave(sourceEnclave, targetEnclave, options, callback) {
+    if (typeof options === "function") {
+        callback = options;
+        options = undefined;
+    }
+    options = Object.assign({migrationId: "default", queues: [], forDID: $$.SYSTEM_IDENTIFIER, verify: true, copyPathKeySSIs: true}, options);
+    const MIGRATIONS_TABLE = constants.TABLE_NAMES.MIGRATIONS;
+
+    const saveProgress = async (progress) => {
+        await $$.promisify(enclaveContent.saveRecord)(targetEnclave, MIGRATIONS_TABLE, Object.assign({pk: options.migrationId}, progress));
+    }
+
+    const copyTable = async (table) => {
+        const records = await $$.promisify(enclaveContent.getAllRecords)(sourceEnclave, table);
+        const batchId = await $$.promisify(enclaveContent.startOrAttachBatch)(targetEnclave);
+        try {
+            for (let record of records) {
+                let targetRecord;
+                try {
+                    targetRecord = await $$.promisify(enclaveContent.getRecord)(targetEnclave, table, record.pk);
+                } catch (e) {
+                    // the record was not copied yet
+                }
+
+                if (!targetRecord || getContentHash([targetRecord]) !== getContentHash([record])) {
+                    await $$.promisify(enclaveContent.saveRecord)(targetEnclave, table, record);
+                }
+            }
+
+            const indexedFields = await $$.promisify(enclaveContent.getIndexedFields)(sourceEnclave, table);
+            for (let field of indexedFields) {
+                await $$.promisify(enclaveContent.addIndex)(targetEnclave, table, field);
+            }
+        } catch (e) {
+            throw await enclaveContent.cancelBatchOnError(targetEnclave, batchId, `Failed to copy table ${table}`, e);
+        }
+
+        await $$.promisify(enclaveContent.commitBatch)(targetEnclave, batchId);
+    }
+
+    const copyQueue = async (queueName) => {
+        if (typeof targetEnclave.addInQueue !== "function") {
+            throw Error(`The target enclave does not support queues`);
+        }
+
+        const hashes = await $$.promisify(getQueueHashes)(sourceEnclave, options.forDID, queueName);
+        for (let hash of hashes) {
+            const queueObject = await $$.promisify(sourceEnclave.getObjectFromQueue)(options.forDID, queueName, hash);
+            // the uniqueness check makes the copy of an object idempotent
+            await $$.promisify(targetEnclave.addInQueue)(options.forDID, queueName, queueObject, true);
+        }
+    }
+
+    const verifyTable = async (table) => {
+        const sourceRecords = await $$.promisify(enclaveContent.getAllRecords)(sourceEnclave, table);
+        const targetRecords = [];
+        for (let record of sourceRecords) {
+            try {
+                targetRecords.push(await $$.promisify(enclaveContent.getRecord)(targetEnclave, table, record.pk));
+            } catch (e) {
+                throw createOpenDSUErrorWrapper(`Record ${record.pk} of table ${table} is missing from the target enclave`, e);
+            }
+        }
+
+        const hash = getContentHash(sourceRecords);
+        if (getContentHash(targetRecords) !== hash) {
+            throw Error(`The content of table ${table} differs between the source and the target enclaves`);
+        }
+
+        return {count: sourceRecords.length, hash};
+    }
+
+    const verifyQueue = async (queueName) => {
+        const sourceHashes = await $$.promisify(getQueueHashes)(sourceEnclave, options.forDID, queueName);
+        const targetHashes = await $$.promisify(getQueueHashes)(targetEnclave, options.forDID, queueName);
+        const missingHashes = sourceHashes.filter(hash => targetHashes.indexOf(hash) === -1);
+        if (missingHashes.length > 0) {
+            throw Error(`${missingHashes.length} objects of queue ${queueName} are missing from the target enclave`);
+        }
+
+        return sourceHashes.length;
+    }
+
+    const migrate = async () => {
+        let progress;
+        try {
+            progress = await $$.promisify(enclaveContent.getRecord)(targetEnclave, MIGRATIONS_TABLE, options.migrationId);
+        } catch (e) {
+            // no previous migration
+        }
+
+        const resumed = !!progress && progress.status === MIGRATION_STATUS.IN_PROGRESS;
+        if (!resumed) {
+            progress = {status: MIGRATION_STATUS.IN_PROGRESS, pathKeySSIsCopied: false, completedTables: [], completedQueues: [], startedAt: Date.now()};
+            await saveProgress(progress);
+        }
+
+        const pathKeySSIs = options.copyPathKeySSIs ? await $$.promisify(enclaveContent.getPathKeySSIs)(sourceEnclave) : [];
+        if (!progress.pathKeySSIsCopied) {
+            for (let pathKeySSI of pathKeySSIs) {
+                await $$.promisify(enclaveContent.storePathKeySSI)(targetEnclave, pathKeySSI);
+            }
+            progress.pathKeySSIsCopied = true;
+            await saveProgress(progress);
+        }
+
+        const tableNames = await $$.promisify(enclaveContent.getTableNames)(sourceEnclave);
+        for (let table of tableNames) {
+            if (progress.completedTables.indexOf(table) === -1) {
+                await copyTable(table);
+                progress.completedTables.push(table);
+                await saveProgress(progress);
+            }
+        }
+
+        for (let queueName of options.queues) {
+            if (progress.completedQueues.indexOf(queueName) === -1) {
+                await copyQueue(queueName);
+                progress.completedQueues.push(queueName);
+                await saveProgress(progress);
+            }
+        }
+
+        const report = {migrationId: options.migrationId, resumed, pathKeySSIs: pathKeySSIs.length, tables: {}, queues: {}};
+        if (options.verify) {
+            for (let table of tableNames) {
+                report.tables[table] = await verifyTable(table);
+            }
+            for (let queueName of options.queues) {
+                report.queues[queueName] = await verifyQueue(queueName);
+            }
+        }
+
+        progress.status = MIGRATION_STATUS.COMPLETED;
+        progress.completedAt = Date.now();
+        await saveProgress(progress);
+        return report;
+    }
+
+    migrate().then(report => callback(undefined, report), err => callback(createOpenDSUErrorWrapper(`Failed to migrate enclave`, err)));
+}
+
+module.exports = migrateEnclave;
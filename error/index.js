@@ -277,6 +277,9 @@ function httpToRootCauseErrorCode(httpRes) {
 }
 
 const DB_INSERT_EXISTING_RECORD_ERROR = "Trying to insert into existing record";
+const DB_SCHEMA_VALIDATION_ERROR = "Record does not match the table schema";
+const DB_UNIQUE_CONSTRAINT_ERROR = "Record violates a unique index";
+const DB_KEY_NOT_FOUND_ERROR = "Key not found";
 
 module.exports = {
     createOpenDSUErrorWrapper,
@@ -290,5 +293,8 @@ module.exports = {
     registerMandatoryCallback,
     printOpenDSUError,
     DB_INSERT_EXISTING_RECORD_ERROR,
+    DB_SCHEMA_VALIDATION_ERROR,
+    DB_UNIQUE_CONSTRAINT_ERROR,
+    DB_KEY_NOT_FOUND_ERROR,
     httpToRootCauseErrorCode
 }
@@ -44,6 +44,7 @@ module.exports = {
         VERSIONLESS_DSU_ENCLAVE: "VersionlessDSUEnclave",
         CLOUD_ENCLAVE: "CloudEnclave",
         LIGHT_DB_ENCLAVE: "LightDBEnclave",
+        FILE_ENCLAVE: "FileEnclave",
     },
     CACHE: {
         FS: "fs",
@@ -615,5 +615,6 @@ module.exports = {
     registerDSUFactory,
     invalidateDSUCache,
     loadDSUVersion,
+    getDSUVersionHashlink,
     dsuExists
 };
@@ -0,0 +1,52 @@
+require("../../../../../builds/output/testsRuntime");
+const tir = require("../../../../../psknode/tests/util/tir");
+const double_check = require("double-check");
+const assert = double_check.assert;
+
+const db = require("../../../db");
+
+assert.callback("aggregate the records of a table", (testFinishCallback) => {
+    double_check.createTestFolder('AddFilesBatch', async (err, folder) => {
+        tir.launchApiHubTestNode(100, folder, async err => {
+            if (err) {
+                throw err;
+            }
+            let keySSIApis = require("../../../keyssi");
+            let storageSSI = keySSIApis.createSeedSSI("default");
+
+            let mydb = db.getWalletDB(storageSSI, "testDb");
+            await $$.promisify(mydb.addIndex)("products", "price");
+            await $$.promisify(mydb.addIndex)("products", "category");
+
+            mydb.beginBatch();
+            await $$.promisify(mydb.insertRecord)("products", "p1", {category: "pens", price: 2, stock: 10});
+            await $$.promisify(mydb.insertRecord)("products", "p2", {category: "pens", price: 4, stock: 5});
+            await $$.promisify(mydb.insertRecord)("products", "p3", {category: "books", price: 20, stock: 1});
+            await $$.promisify(mydb.insertRecord)("products", "p4", {category: "books", price: 30, stock: 2});
+            await $$.promisify(mydb.commitBatch)();
+            await $$.promisify(mydb.deleteRecord)("products", "p4");
+
+            let result = await $$.promisify(mydb.aggregate)("products", "price > 3", {count: true, min: "price", max: "price"});
+            assert.equal(result.count, 2);
+            assert.equal(result.min.price, 4);
+            assert.equal(result.max.price, 20);
+
+            // the deleted records are removed from the indexes, the records are counted from the index entries
+            await $$.promisify(mydb.insertRecord)("products", "p6", {category: "books", price: 40, stock: 2});
+            result = await $$.promisify(mydb.aggregate)("products", "price > 3", {count: true, max: "price"});
+            assert.equal(result.count, 3);
+            assert.equal(result.max.price, 40);
+            await $$.promisify(mydb.deleteRecord)("products", "p6");
+
+            result = await $$.promisify(mydb.aggregate)("products", {groupBy: "category", count: true});
+            assert.arraysMatch(result, [{category: "books", count: 1}, {category: "pens", count: 2}]);
+
+            result = await $$.promisify(mydb.aggregate)("products", "category == pens", {sum: "stock", avg: ["price", "stock"]});
+            assert.equal(result.sum.stock, 15);
+            assert.equal(result.avg.price, 3);
+            assert.equal(result.avg.stock, 7.5);
+
+            testFinishCallback();
+        })
+    })
+}, 5000);
@@ -0,0 +1,67 @@
+require("../../../../../builds/output/testsRuntime");
+const tir = require("../../../../../psknode/tests/util/tir");
+const double_check = require("double-check");
+const assert = double_check.assert;
+
+const openDSU = require('../../../index');
+$$.__registerModule("opendsu", openDSU);
+const db = require("../../../db");
+const resolver = openDSU.loadAPI("resolver");
+
+assert.callback("query a table as of a version of the storage DSU", (testFinishCallback) => {
+    double_check.createTestFolder('AddFilesBatch', async (err, folder) => {
+        tir.launchApiHubTestNode(100, folder, async err => {
+            if (err) {
+                throw err;
+            }
+
+            const storageDSU = await $$.promisify(resolver.createSeedDSU)("default");
+            const SingleDSUStorageStrategy = require("../../../db/storageStrategies/SingleDSUStorageStrategy").SingleDSUStorageStrategy;
+            const storageStrategy = new SingleDSUStorageStrategy();
+            const mydb = db.getBasicDB(storageStrategy);
+            storageStrategy.initialise(storageDSU, "testDb");
+
+            let batchId = await mydb.startOrAttachBatchAsync();
+            await $$.promisify(mydb.insertRecord)("products", "p1", {status: "active"});
+            await $$.promisify(mydb.insertRecord)("products", "p2", {status: "active"});
+            await $$.promisify(mydb.commitBatch)(batchId);
+            const versionHashLink = await $$.promisify(storageDSU.getLatestAnchoredHashLink)();
+
+            batchId = await mydb.startOrAttachBatchAsync();
+            await $$.promisify(mydb.updateRecord)("products", "p1", {status: "recalled"});
+            await $$.promisify(mydb.deleteRecord)("products", "p2");
+            await $$.promisify(mydb.commitBatch)(batchId);
+
+            const historicDB = await $$.promisify(mydb.asOf)(versionHashLink);
+            const record = await $$.promisify(historicDB.getRecord)("products", "p1");
+            assert.equal(record.status, "active");
+
+            const records = await $$.promisify(historicDB.filter)("products", "status == active");
+            assert.arraysMatch(records.map(record => record.pk).sort(), ["p1", "p2"]);
+
+            // the version can be identified by its index in the history of the anchor as well
+            const keySSI = await $$.promisify(storageDSU.getKeySSIAsObject)();
+            const anchorId = await $$.promisify(keySSI.getAnchorId, keySSI)();
+            const anchoringX = openDSU.loadAPI("anchoring").getAnchoringX();
+            const versions = await $$.promisify(anchoringX.getAllVersions, anchoringX)(anchorId);
+            const versionNumber = versions.findIndex(version => version.getIdentifier() === versionHashLink.getIdentifier());
+            assert.true(versionNumber >= 0, "The version should be in the history of the anchor");
+            const numberedDB = await $$.promisify(mydb.asOf)(versionNumber);
+            assert.equal((await $$.promisify(numberedDB.getRecord)("products", "p1")).status, "active");
+            assert.equal((await $$.promisify(numberedDB.getRecord)("products", "p2")).status, "active");
+
+            const currentRecords = await $$.promisify(mydb.getAllRecords)("products");
+            assert.arraysMatch(currentRecords.map(record => record.pk), ["p1"]);
+
+            let error;
+            try {
+                await $$.promisify(historicDB.insertRecord)("products", "p3", {status: "active"});
+            } catch (e) {
+                error = e;
+            }
+            assert.true(typeof error !== "undefined");
+
+            testFinishCallback();
+        })
+    })
+}, 10000);
@@ -0,0 +1,67 @@
+require("../../../../../builds/output/testsRuntime");
+const tir = require("../../../../../psknode/tests/util/tir");
+const double_check = require("double-check");
+const assert = double_check.assert;
+
+const db = require("../../../db");
+
+assert.callback("purge the deleted records and truncate the history of the records", (testFinishCallback) => {
+    double_check.createTestFolder('AddFilesBatch', async (err, folder) => {
+        tir.launchApiHubTestNode(100, folder, async err => {
+            if (err) {
+                throw err;
+            }
+            let keySSIApis = require("../../../keyssi");
+            let storageSSI = keySSIApis.createSeedSSI("default");
+
+            let mydb = db.getWalletDB(storageSSI, "testDb");
+            await $$.promisify(mydb.insertRecord)("products", "p1", {name: "pen", price: 2});
+            await $$.promisify(mydb.insertRecord)("products", "p2", {name: "pencil", price: 1});
+            await $$.promisify(mydb.addIndex)("products", "price");
+            await $$.promisify(mydb.deleteRecord)("products", "p1");
+
+            // the deleted record is kept during the retention period
+            let report = await $$.promisify(mydb.compact)("products", {retentionPeriod: 60 * 60 * 1000});
+            assert.equal(report.purged, 0);
+            assert.true(typeof await $$.promisify(mydb.getHistory)("products", "p1") !== "undefined");
+
+            report = await $$.promisify(mydb.compact)("products", {retentionPeriod: 0});
+            assert.equal(report.purged, 1);
+            let error;
+            try {
+                await $$.promisify(mydb.getHistory)("products", "p1");
+            } catch (e) {
+                error = e;
+            }
+            assert.true(typeof error !== "undefined");
+
+            // the key of a purged record can be used again
+            await $$.promisify(mydb.insertRecord)("products", "p1", {name: "marker", price: 3});
+            let records = await $$.promisify(mydb.filter)("products", "price > 0");
+            assert.arraysMatch(records.map(record => record.pk), ["p2", "p1"]);
+
+            // the records of a DSU table have no history to truncate
+            await $$.promisify(mydb.updateRecord)("products", "p1", {name: "marker", price: 4});
+            error = undefined;
+            try {
+                await $$.promisify(mydb.compact)("products", {maxVersions: 1});
+            } catch (e) {
+                error = e;
+            }
+            assert.true(typeof error !== "undefined");
+            let record = await $$.promisify(mydb.getRecord)("products", "p1");
+            assert.equal(record.price, 4);
+
+            let memoryDB = db.getInMemoryDB();
+            await $$.promisify(memoryDB.insertRecord)("products", "p1", {name: "pen", price: 2});
+            await $$.promisify(memoryDB.updateRecord)("products", "p1", {name: "pen", price: 3});
+            await $$.promisify(memoryDB.updateRecord)("products", "p1", {name: "pen", price: 4});
+            report = await $$.promisify(memoryDB.compact)("products", {maxVersions: 2});
+            assert.equal(report.truncated, 1);
+            const history = await $$.promisify(memoryDB.getHistory)("products", "p1");
+            assert.arraysMatch(history.map(record => record.price), [3, 4]);
+
+            testFinishCallback();
+        });
+    });
+}, 5000);
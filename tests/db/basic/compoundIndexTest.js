@@ -0,0 +1,55 @@
+require("../../../../../builds/output/testsRuntime");
+const tir = require("../../../../../psknode/tests/util/tir");
+const double_check = require("double-check");
+const assert = double_check.assert;
+
+const db = require("../../../db");
+
+assert.callback("filter using a compound index", (testFinishCallback) => {
+    double_check.createTestFolder('AddFilesBatch', async (err, folder) => {
+        tir.launchApiHubTestNode(100, folder, async err => {
+            if (err) {
+                throw err;
+            }
+            let keySSIApis = require("../../../keyssi");
+            let storageSSI = keySSIApis.createSeedSSI("default");
+
+            let mydb = db.getWalletDB(storageSSI, "testDb");
+            await $$.promisify(mydb.addIndex)("batches", ["gtin", "batch"]);
+
+            const indexedFields = await $$.promisify(mydb.getIndexedFields)("batches");
+            assert.arraysMatch(indexedFields, ["gtin,batch"]);
+
+            mydb.beginBatch();
+            await $$.promisify(mydb.insertRecord)("batches", "b1", {gtin: "05290931025615", batch: "B1", expiry: "2025-01-01"});
+            await $$.promisify(mydb.insertRecord)("batches", "b2", {gtin: "05290931025615", batch: "B 2", expiry: "2026-01-01"});
+            await $$.promisify(mydb.insertRecord)("batches", "b3", {gtin: "04012345678901", batch: "B1", expiry: "2027-01-01"});
+            await $$.promisify(mydb.insertRecord)("batches", "b4", {gtin: "05290931025615", expiry: "2028-01-01"});
+            await $$.promisify(mydb.commitBatch)();
+
+            let records = await $$.promisify(mydb.filter)("batches", ["gtin == 05290931025615", "batch == 'B 2'"]);
+            assert.arraysMatch(records.map(record => record.pk), ["b2"]);
+
+            // b4 is not part of the compound index, which can't serve a query on gtin only
+            records = await $$.promisify(mydb.filter)("batches", "gtin == 05290931025615");
+            assert.arraysMatch(records.map(record => record.pk).sort(), ["b1", "b2", "b4"]);
+
+            await $$.promisify(mydb.updateRecord)("batches", "b1", {gtin: "05290931025615", batch: "B3", expiry: "2025-01-01"});
+            records = await $$.promisify(mydb.filter)("batches", ["gtin == 05290931025615", "batch == B1"]);
+            assert.equal(records.length, 0);
+
+            records = await $$.promisify(mydb.filter)("batches", ["gtin == 05290931025615", "batch == B3"]);
+            assert.arraysMatch(records.map(record => record.pk), ["b1"]);
+
+            let error;
+            try {
+                await $$.promisify(mydb.addIndex)("batches", "gtin,batch");
+            } catch (e) {
+                error = e;
+            }
+            assert.true(typeof error !== "undefined", "A field name containing a comma should be rejected");
+
+            testFinishCallback();
+        })
+    })
+}, 5000);
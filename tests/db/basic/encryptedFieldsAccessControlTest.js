@@ -0,0 +1,58 @@
+require("../../../../../builds/output/testsRuntime");
+const tir = require("../../../../../psknode/tests/util/tir");
+const double_check = require("double-check");
+const assert = double_check.assert;
+
+const openDSU = require('../../../index');
+$$.__registerModule("opendsu", openDSU);
+const db = require("../../../db");
+const enclaveAPI = openDSU.loadAPI("enclave");
+
+assert.callback("encrypt the fields of the records with keys protected by the access control lists of the enclave", (testFinishCallback) => {
+    double_check.createTestFolder('AddFilesBatch', async (err, folder) => {
+        tir.launchApiHubTestNode(100, folder, async err => {
+            if (err) {
+                throw err;
+            }
+            let keySSIApis = require("../../../keyssi");
+            let storageSSI = keySSIApis.createSeedSSI("default");
+
+            const enclave = enclaveAPI.initialiseMemoryEnclave();
+            await $$.promisify(enclave.storeSecretKey)("", "valid-AES-encryption-key-test123", "pricesKey");
+            const enclaveDID = await $$.promisify(enclave.getDID)();
+            await $$.promisify(enclave.grantWriteAccess)(enclaveDID, "did:alice", "secret-keys");
+
+            // the DB calls the enclave on behalf of $$.SYSTEM_IDENTIFIER, which has no access to the keys yet
+            let mydb = db.getSharedDB(storageSSI, "testDb", {encryptionEnclave: enclave});
+            await $$.promisify(mydb.defineTable)("products", {
+                properties: {
+                    name: {type: "string"},
+                    price: {type: "number", encryptionKey: "pricesKey"}
+                }
+            });
+            let error;
+            try {
+                await $$.promisify(mydb.insertRecord)("products", "p1", {name: "pen", price: 2});
+            } catch (e) {
+                error = e;
+            }
+            assert.true(typeof error !== "undefined");
+
+            await $$.promisify(enclave.grantReadAccess)(enclaveDID, $$.SYSTEM_IDENTIFIER, "secret-keys");
+            await $$.promisify(mydb.insertRecord)("products", "p1", {name: "pen", price: 2});
+            let record = await $$.promisify(mydb.getRecord)("products", "p1");
+            assert.equal(record.price, 2);
+
+            // the DBs calling the enclave on behalf of other DIDs decrypt the fields only if the DIDs have access to the keys
+            const aliceDB = db.getSharedDB(storageSSI, "testDb", {encryptionEnclave: enclave, encryptionDID: "did:alice"});
+            record = await $$.promisify(aliceDB.getRecord)("products", "p1");
+            assert.equal(record.price, 2);
+
+            const bobDB = db.getSharedDB(storageSSI, "testDb", {encryptionEnclave: enclave, encryptionDID: "did:bob"});
+            record = await $$.promisify(bobDB.getRecord)("products", "p1");
+            assert.equal(record.price.__encryptedWith, "pricesKey");
+
+            testFinishCallback();
+        });
+    });
+}, 5000);
@@ -0,0 +1,82 @@
+require("../../../../../builds/output/testsRuntime");
+const tir = require("../../../../../psknode/tests/util/tir");
+const double_check = require("double-check");
+const assert = double_check.assert;
+
+const openDSU = require('../../../index');
+$$.__registerModule("opendsu", openDSU);
+const db = require("../../../db");
+const enclaveAPI = openDSU.loadAPI("enclave");
+
+assert.callback("encrypt the fields of the records with keys stored in the enclave", (testFinishCallback) => {
+    double_check.createTestFolder('AddFilesBatch', async (err, folder) => {
+        tir.launchApiHubTestNode(100, folder, async err => {
+            if (err) {
+                throw err;
+            }
+            let keySSIApis = require("../../../keyssi");
+            let storageSSI = keySSIApis.createSeedSSI("default");
+
+            const enclave = enclaveAPI.initialiseMemoryEnclave();
+            await $$.promisify(enclave.storeSecretKey)("", "valid-AES-encryption-key-test123", "pricesKey");
+
+            let mydb = db.getSharedDB(storageSSI, "testDb", {encryptionEnclave: enclave});
+            await $$.promisify(mydb.defineTable)("products", {
+                properties: {
+                    name: {type: "string"},
+                    price: {type: "number", encryptionKey: "pricesKey"}
+                }
+            });
+            await $$.promisify(mydb.insertRecord)("products", "p1", {name: "pen", price: 2});
+
+            let record = await $$.promisify(mydb.getRecord)("products", "p1");
+            assert.equal(record.price, 2);
+
+            let error;
+            try {
+                await $$.promisify(mydb.addIndex)("products", "price");
+            } catch (e) {
+                error = e;
+            }
+            assert.true(typeof error !== "undefined");
+
+            // a client without the key gets the ciphertext and can update the other fields
+            const otherClientDB = db.getSharedDB(storageSSI, "testDb");
+            record = await $$.promisify(otherClientDB.getRecord)("products", "p1");
+            assert.equal(record.name, "pen");
+            assert.equal(record.price.__encryptedWith, "pricesKey");
+            assert.true(typeof record.price.__ciphertext === "string");
+
+            await $$.promisify(otherClientDB.updateRecord)("products", "p1", {name: "blue pen", price: record.price});
+            error = undefined;
+            try {
+                await $$.promisify(otherClientDB.updateRecord)("products", "p1", {name: "blue pen", price: 3});
+            } catch (e) {
+                error = e;
+            }
+            assert.true(typeof error !== "undefined");
+
+            await $$.promisify(mydb.refresh)();
+            record = await $$.promisify(mydb.getRecord)("products", "p1");
+            assert.equal(record.name, "blue pen");
+            assert.equal(record.price, 2);
+
+            // the fields encrypted after a client wrote in the table are encrypted for that client too
+            await $$.promisify(otherClientDB.insertRecord)("orders", "o1", {quantity: 1});
+            await $$.promisify(mydb.defineTable)("orders", {
+                properties: {
+                    quantity: {type: "number", encryptionKey: "pricesKey"}
+                }
+            });
+            error = undefined;
+            try {
+                await $$.promisify(otherClientDB.insertRecord)("orders", "o2", {quantity: 3});
+            } catch (e) {
+                error = e;
+            }
+            assert.true(typeof error !== "undefined");
+
+            testFinishCallback();
+        });
+    });
+}, 5000);
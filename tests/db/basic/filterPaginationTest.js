@@ -0,0 +1,69 @@
+require("../../../../../builds/output/testsRuntime");
+const tir = require("../../../../../psknode/tests/util/tir");
+const double_check = require("double-check");
+const assert = double_check.assert;
+
+const db = require("../../../db");
+
+assert.callback("paginate filter results using cursors and filterIterator", (testFinishCallback) => {
+    double_check.createTestFolder('AddFilesBatch', async (err, folder) => {
+        tir.launchApiHubTestNode(100, folder, async err => {
+            if (err) {
+                throw err;
+            }
+            let keySSIApis = require("../../../keyssi");
+            let storageSSI = keySSIApis.createSeedSSI("default");
+
+            let mydb = db.getWalletDB(storageSSI, "testDb");
+            await $$.promisify(mydb.addIndex)("products", "price");
+            await $$.promisify(mydb.addIndex)("orders", "amount");
+
+            mydb.beginBatch();
+            for (let i = 0; i < 7; i++) {
+                await $$.promisify(mydb.insertRecord)("products", `p${i}`, {price: i % 3});
+            }
+            for (let i = 0; i < 6; i++) {
+                await $$.promisify(mydb.insertRecord)("orders", `o${i}`, {amount: i, status: "new"});
+            }
+            await $$.promisify(mydb.commitBatch)();
+
+            const filterPage = (cursor, query = "price >= 0", tableName = "products") => {
+                return new Promise((resolve, reject) => {
+                    mydb.filterPage(tableName, query, "asc", 3, cursor, (err, records, nextCursor) => {
+                        if (err) {
+                            return reject(err);
+                        }
+                        resolve({records, nextCursor});
+                    });
+                });
+            }
+
+            let pks = [];
+            let page = await filterPage();
+            pks = pks.concat(page.records.map(record => record.pk));
+            assert.true(typeof page.nextCursor === "string");
+            while (page.nextCursor) {
+                page = await filterPage(page.nextCursor);
+                pks = pks.concat(page.records.map(record => record.pk));
+            }
+            assert.arraysMatch(pks, ["p0", "p3", "p6", "p1", "p4", "p2", "p5"]);
+
+            // no cursor is returned with a last page which is exactly full, whether the query is served by an index or not
+            for (let query of ["amount >= 0", "status == new"]) {
+                page = await filterPage(undefined, query, "orders");
+                assert.arraysMatch(page.records.map(record => record.pk), ["o0", "o1", "o2"]);
+                page = await filterPage(page.nextCursor, query, "orders");
+                assert.arraysMatch(page.records.map(record => record.pk), ["o3", "o4", "o5"]);
+                assert.true(typeof page.nextCursor === "undefined");
+            }
+
+            const iteratedPks = [];
+            for await (const record of mydb.filterIterator("products", "price > 0", "dsc", 2)) {
+                iteratedPks.push(record.pk);
+            }
+            assert.arraysMatch(iteratedPks, ["p2", "p5", "p1", "p4"]);
+
+            testFinishCallback();
+        })
+    })
+}, 5000);
@@ -0,0 +1,55 @@
+require("../../../../../builds/output/testsRuntime");
+const tir = require("../../../../../psknode/tests/util/tir");
+const double_check = require("double-check");
+const assert = double_check.assert;
+
+const db = require("../../../db");
+
+assert.callback("search the records of a table using a full-text index", (testFinishCallback) => {
+    double_check.createTestFolder('AddFilesBatch', async (err, folder) => {
+        tir.launchApiHubTestNode(100, folder, async err => {
+            if (err) {
+                throw err;
+            }
+            let keySSIApis = require("../../../keyssi");
+            let storageSSI = keySSIApis.createSeedSSI("default");
+
+            let mydb = db.getSharedDB(storageSSI, "testDb");
+            await $$.promisify(mydb.insertRecord)("leaflets", "l1", {title: "Paracetamol tablets", text: "Relieves pain and fever. Take the tablets with water."});
+            await $$.promisify(mydb.insertRecord)("leaflets", "l2", {title: "Ibuprofen", text: "Anti-inflammatory medicine for pain."});
+            await $$.promisify(mydb.addFullTextIndex)("leaflets", ["title", "text"], {language: "english"});
+
+            let pks = await $$.promisify(mydb.search)("leaflets", "Tablet");
+            assert.arraysMatch(pks, ["l1"]);
+
+            // the index is updated on insert, update and delete
+            await $$.promisify(mydb.insertRecord)("leaflets", "l3", {title: "Aspirin", text: "For fever, fever and headaches."});
+            pks = await $$.promisify(mydb.search)("leaflets", "fever");
+            assert.arraysMatch(pks, ["l3", "l1"]);
+
+            await $$.promisify(mydb.updateRecord)("leaflets", "l1", {title: "Paracetamol", text: "Relieves headaches."});
+            pks = await $$.promisify(mydb.search)("leaflets", "fever");
+            assert.arraysMatch(pks, ["l3"]);
+
+            pks = await $$.promisify(mydb.search)("leaflets", "headache fever", {matchAll: true});
+            assert.arraysMatch(pks, ["l3"]);
+
+            await $$.promisify(mydb.deleteRecord)("leaflets", "l3");
+            pks = await $$.promisify(mydb.search)("leaflets", "headache pain", {limit: 1});
+            assert.equal(pks.length, 1);
+
+            pks = await $$.promisify(mydb.search)("leaflets", "the and of");
+            assert.equal(pks.length, 0);
+
+            // the records written by a client which used the table before the index was added are indexed too
+            const otherClientDB = db.getSharedDB(storageSSI, "testDb");
+            await $$.promisify(otherClientDB.insertRecord)("notes", "n1", {text: "Store below 25 degrees."});
+            await $$.promisify(mydb.addFullTextIndex)("notes", ["text"]);
+            await $$.promisify(otherClientDB.insertRecord)("notes", "n2", {text: "Store in a dry place."});
+            pks = await $$.promisify(mydb.search)("notes", "store");
+            assert.arraysMatch(pks.sort(), ["n1", "n2"]);
+
+            testFinishCallback();
+        });
+    });
+}, 5000);
@@ -0,0 +1,58 @@
+require("../../../../../builds/output/testsRuntime");
+const tir = require("../../../../../psknode/tests/util/tir");
+const double_check = require("double-check");
+const assert = double_check.assert;
+
+const db = require("../../../db");
+
+assert.callback("export a table and import it in another db as NDJSON and CSV", (testFinishCallback) => {
+    double_check.createTestFolder('AddFilesBatch', async (err, folder) => {
+        tir.launchApiHubTestNode(100, folder, async err => {
+            if (err) {
+                throw err;
+            }
+            let keySSIApis = require("../../../keyssi");
+            let sourceDB = db.getWalletDB(keySSIApis.createSeedSSI("default"), "sourceDb");
+
+            sourceDB.beginBatch();
+            await $$.promisify(sourceDB.insertRecord)("products", "p1", {gtin: "05290931025615", name: "pen, blue", price: 2});
+            await $$.promisify(sourceDB.insertRecord)("products", "p2", {gtin: "04012345678901", name: "notebook", tags: ["paper"]});
+            await $$.promisify(sourceDB.commitBatch)();
+
+            for (let format of ["ndjson", "csv"]) {
+                let exportedData = "";
+                const stream = {
+                    write: (data) => {
+                        exportedData += data;
+                        return true;
+                    }
+                };
+                const exportedRecords = await $$.promisify(sourceDB.exportTable)("products", format, stream, {includeMetadata: true});
+                assert.equal(exportedRecords, 2);
+
+                const targetDB = db.getWalletDB(keySSIApis.createSeedSSI("default"), "targetDb");
+                await $$.promisify(targetDB.addIndex)("products", "gtin");
+                await $$.promisify(targetDB.addIndex)("products", ["gtin", "name"]);
+                const report = await $$.promisify(targetDB.importTable)("products", format, exportedData, {includeMetadata: true});
+                assert.equal(report.inserted, 2);
+
+                const sourceRecord = await $$.promisify(sourceDB.getRecord)("products", "p1");
+                const importedRecord = await $$.promisify(targetDB.getRecord)("products", "p1");
+                assert.equal(importedRecord.gtin, "05290931025615");
+                assert.equal(importedRecord.name, "pen, blue");
+                assert.equal(importedRecord.price, 2);
+                assert.equal(importedRecord.__timestamp, sourceRecord.__timestamp);
+
+                const records = await $$.promisify(targetDB.filter)("products", "gtin == 04012345678901");
+                assert.arraysMatch(records[0].tags, ["paper"]);
+
+                // the compound index is rebuilt with the imported records
+                const indexedRecords = await $$.promisify(targetDB.filter)("products", ["gtin == 05290931025615", "name == 'pen, blue'"]);
+                assert.arraysMatch(indexedRecords.map(record => record.pk), ["p1"]);
+                assert.true((await $$.promisify(targetDB.getIndexedFields)("products")).indexOf("gtin,name") !== -1);
+            }
+
+            testFinishCallback();
+        })
+    })
+}, 10000);
@@ -0,0 +1,48 @@
+require("../../../../../builds/output/testsRuntime");
+const tir = require("../../../../../psknode/tests/util/tir");
+const double_check = require("double-check");
+const assert = double_check.assert;
+
+const db = require("../../../db");
+
+assert.callback("filter with OR, NOT and grouped conditions", (testFinishCallback) => {
+    double_check.createTestFolder('AddFilesBatch', async (err, folder) => {
+        tir.launchApiHubTestNode(100, folder, async err => {
+            if (err) {
+                throw err;
+            }
+            let keySSIApis = require("../../../keyssi");
+            let storageSSI = keySSIApis.createSeedSSI("default");
+
+            let mydb = db.getWalletDB(storageSSI, "testDb");
+
+            await $$.promisify(mydb.addIndex)("orders", "status");
+            await $$.promisify(mydb.addIndex)("orders", "amount");
+
+            mydb.beginBatch();
+            await $$.promisify(mydb.insertRecord)("orders", "order1", {status: "shipped", amount: 2, country: "RO"});
+            await $$.promisify(mydb.insertRecord)("orders", "order2", {status: "delivered", amount: 5, country: "FR"});
+            await $$.promisify(mydb.insertRecord)("orders", "order3", {status: "new", amount: 7, country: "RO"});
+            await $$.promisify(mydb.insertRecord)("orders", "order4", {status: "new", amount: 1, country: "DE"});
+            await $$.promisify(mydb.commitBatch)();
+
+            let records = await $$.promisify(mydb.filter)("orders", {or: ["status == shipped", "status == delivered"]});
+            assert.arraysMatch(records.map(record => record.pk).sort(), ["order1", "order2"]);
+
+            records = await $$.promisify(mydb.filter)("orders", {or: [["status == new", "amount > 5"], "country == FR"]});
+            assert.arraysMatch(records.map(record => record.pk).sort(), ["order2", "order3"]);
+
+            records = await $$.promisify(mydb.filter)("orders", ["amount > 0", {not: "country == RO"}], "asc");
+            assert.arraysMatch(records.map(record => record.pk), ["order4", "order2"]);
+
+            const inMemoryDB = db.getInMemoryDB();
+            await $$.promisify(inMemoryDB.insertRecord)("orders", "order1", {status: "shipped", amount: 2});
+            await $$.promisify(inMemoryDB.insertRecord)("orders", "order2", {status: "new", amount: 5});
+            records = await $$.promisify(inMemoryDB.filter)("orders", {or: ["status == shipped", {and: ["status == new", "amount < 3"]}]});
+            assert.equal(records.length, 1);
+            assert.equal(records[0].pk, "order1");
+
+            testFinishCallback();
+        })
+    })
+}, 5000);
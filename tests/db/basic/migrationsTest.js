@@ -0,0 +1,83 @@
+require("../../../../../builds/output/testsRuntime");
+const tir = require("../../../../../psknode/tests/util/tir");
+const double_check = require("double-check");
+const assert = double_check.assert;
+
+const db = require("../../../db");
+
+const openDB = (storageSSI, migrations) => {
+    return new Promise((resolve) => {
+        const mydb = db.getSharedDB(storageSSI, "testDb", {migrations});
+        mydb.on("error", migrationError => resolve({mydb, migrationError}));
+        mydb.on("initialised", () => resolve({mydb}));
+    });
+}
+
+assert.callback("run the pending migrations when the DB is opened", (testFinishCallback) => {
+    double_check.createTestFolder('AddFilesBatch', async (err, folder) => {
+        tir.launchApiHubTestNode(100, folder, async err => {
+            if (err) {
+                throw err;
+            }
+            let keySSIApis = require("../../../keyssi");
+            let storageSSI = keySSIApis.createSeedSSI("default");
+
+            let initialDB = db.getSharedDB(storageSSI, "testDb");
+            await $$.promisify(initialDB.insertRecord)("products", "p1", {name: "pen", price: "2"});
+            await $$.promisify(initialDB.insertRecord)("products", "p2", {name: "pencil", price: "1"});
+            assert.equal(await $$.promisify(initialDB.getSchemaVersion)(), 0);
+
+            const migrations = db.createMigrationsRegistry();
+            migrations.register(2, async (migratedDB) => {
+                await $$.promisify(migratedDB.addIndex)("products", "price");
+            });
+            migrations.register(1, async (migratedDB) => {
+                const records = await $$.promisify(migratedDB.getAllRecords)("products");
+                for (let i = 0; i < records.length; i++) {
+                    await $$.promisify(migratedDB.updateRecord)("products", records[i].pk, {name: records[i].name, price: parseInt(records[i].price)});
+                }
+            });
+
+            let {mydb, migrationError} = await openDB(storageSSI, migrations);
+            assert.true(typeof migrationError === "undefined");
+            assert.equal(await $$.promisify(mydb.getSchemaVersion)(), 2);
+            let records = await $$.promisify(mydb.filter)("products", "price > 1");
+            assert.equal(records.length, 1);
+            assert.equal(records[0].price, 2);
+
+            // the applied migrations are not run again
+            ({mydb, migrationError} = await openDB(storageSSI, migrations));
+            assert.true(typeof migrationError === "undefined");
+            assert.equal((await $$.promisify(mydb.getRecord)("products", "p1")).__version, 1);
+
+            migrations.register(3, (migratedDB, callback) => {
+                migratedDB.updateRecord("products", "p1", {name: "pen", price: 3}, err => {
+                    if (err) {
+                        return callback(err);
+                    }
+                    callback(Error("Migration failed"));
+                });
+            });
+
+            ({mydb, migrationError} = await openDB(storageSSI, migrations));
+            assert.true(typeof migrationError !== "undefined");
+            // the DB is not usable after a failed migration
+            let error;
+            try {
+                await $$.promisify(mydb.getRecord)("products", "p1");
+            } catch (e) {
+                error = e;
+            }
+            assert.true(typeof error !== "undefined");
+
+            // the DB stays at the previous version
+            ({mydb} = await openDB(storageSSI));
+            assert.equal(await $$.promisify(mydb.getSchemaVersion)(), 2);
+            const record = await $$.promisify(mydb.getRecord)("products", "p1");
+            assert.equal(record.price, 2);
+            assert.equal(record.__version, 1);
+
+            testFinishCallback();
+        });
+    });
+}, 5000);
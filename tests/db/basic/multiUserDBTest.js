@@ -0,0 +1,52 @@
+require("../../../../../builds/output/testsRuntime");
+const tir = require("../../../../../psknode/tests/util/tir");
+
+const dc = require("double-check");
+const assert = dc.assert;
+const openDSU = require('../../../index');
+$$.__registerModule("opendsu", openDSU);
+const dbAPI = openDSU.loadAPI("db");
+const keySSIApis = openDSU.loadAPI("keyssi");
+
+assert.callback('Multi user db test', (testFinished) => {
+    dc.createTestFolder('createDSU', async (err, folder) => {
+        const vaultDomainConfig = {
+            "anchoring": {
+                "type": "FS",
+                "option": {}
+            }
+        }
+
+        try {
+            await tir.launchConfigurableApiHubTestNodeAsync({domains: [{name: "vault", config: vaultDomainConfig}], rootFolder: folder});
+            const membershipSSI = keySSIApis.createSeedSSI("vault");
+            const aliceDB = dbAPI.getMultiUserDB(membershipSSI, "teamDB", "did:ssi:name:vault:alice");
+            await $$.promisify(aliceDB.insertRecord)("tasks", "t1", {title: "write docs", status: "open"});
+
+            const bobDB = dbAPI.getMultiUserDB(membershipSSI, "teamDB", "did:ssi:name:vault:bob");
+            await $$.promisify(bobDB.insertRecord)("tasks", "t2", {title: "review", status: "open"});
+
+            const writers = await $$.promisify(aliceDB.getWriters)();
+            assert.arraysMatch(writers.sort(), ["did:ssi:name:vault:alice", "did:ssi:name:vault:bob"]);
+
+            await $$.promisify(aliceDB.refresh)();
+            let records = await $$.promisify(aliceDB.filter)("tasks", "status == open");
+            assert.arraysMatch(records.map(record => record.pk).sort(), ["t1", "t2"]);
+
+            await $$.promisify(aliceDB.updateRecord)("tasks", "t2", {title: "review", status: "done"});
+            await $$.promisify(bobDB.refresh)();
+            const task = await $$.promisify(bobDB.getRecord)("tasks", "t2");
+            assert.equal(task.status, "done");
+
+            await $$.promisify(aliceDB.removeWriter)("did:ssi:name:vault:bob");
+            await $$.promisify(aliceDB.refresh)();
+            records = await $$.promisify(aliceDB.filter)("tasks", "__timestamp > 0");
+            assert.arraysMatch(records.map(record => record.pk).sort(), ["t1", "t2"]);
+            assert.arraysMatch(await $$.promisify(aliceDB.getWriters)(), ["did:ssi:name:vault:alice"]);
+
+            testFinished();
+        } catch (e) {
+            throw e;
+        }
+    });
+}, 10000);
@@ -0,0 +1,48 @@
+require("../../../../../builds/output/testsRuntime");
+const tir = require("../../../../../psknode/tests/util/tir");
+const double_check = require("double-check");
+const assert = double_check.assert;
+
+const db = require("../../../db");
+
+assert.callback("filter using in, between, startsWith, exists and contains operators", (testFinishCallback) => {
+    double_check.createTestFolder('AddFilesBatch', async (err, folder) => {
+        tir.launchApiHubTestNode(100, folder, async err => {
+            if (err) {
+                throw err;
+            }
+            let keySSIApis = require("../../../keyssi");
+            let storageSSI = keySSIApis.createSeedSSI("default");
+
+            let mydb = db.getWalletDB(storageSSI, "testDb");
+            await $$.promisify(mydb.addIndex)("products", "gtin");
+            await $$.promisify(mydb.addIndex)("products", "price");
+
+            mydb.beginBatch();
+            await $$.promisify(mydb.insertRecord)("products", "p1", {gtin: "05290931025615", price: 5, tags: ["otc", "pain"]});
+            await $$.promisify(mydb.insertRecord)("products", "p2", {gtin: "05290931025622", price: 50, tags: ["rx"], leaflet: "en"});
+            await $$.promisify(mydb.insertRecord)("products", "p3", {gtin: "04012345678901", price: 500, leaflet: "de"});
+            await $$.promisify(mydb.commitBatch)();
+
+            let records = await $$.promisify(mydb.filter)("products", "price in [5, 500]");
+            assert.arraysMatch(records.map(record => record.pk), ["p1", "p3"]);
+
+            records = await $$.promisify(mydb.filter)("products", "leaflet in [fr, de]");
+            assert.arraysMatch(records.map(record => record.pk), ["p3"]);
+
+            records = await $$.promisify(mydb.filter)("products", "price between 10 and 500", "asc");
+            assert.arraysMatch(records.map(record => record.pk), ["p2", "p3"]);
+
+            records = await $$.promisify(mydb.filter)("products", "gtin startsWith 0529", "asc");
+            assert.arraysMatch(records.map(record => record.pk), ["p1", "p2"]);
+
+            records = await $$.promisify(mydb.filter)("products", ["price > 0", "leaflet exists"]);
+            assert.arraysMatch(records.map(record => record.pk), ["p2", "p3"]);
+
+            records = await $$.promisify(mydb.filter)("products", "tags contains pain");
+            assert.arraysMatch(records.map(record => record.pk), ["p1"]);
+
+            testFinishCallback();
+        })
+    })
+}, 5000);
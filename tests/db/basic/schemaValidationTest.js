@@ -0,0 +1,72 @@
+require("../../../../../builds/output/testsRuntime");
+const tir = require("../../../../../psknode/tests/util/tir");
+const double_check = require("double-check");
+const assert = double_check.assert;
+
+const db = require("../../../db");
+const errorAPI = require("../../../error");
+
+assert.callback("validate records against the table schema", (testFinishCallback) => {
+    double_check.createTestFolder('AddFilesBatch', async (err, folder) => {
+        tir.launchApiHubTestNode(100, folder, async err => {
+            if (err) {
+                throw err;
+            }
+            let keySSIApis = require("../../../keyssi");
+            let storageSSI = keySSIApis.createSeedSSI("default");
+
+            let mydb = db.getWalletDB(storageSSI, "testDb");
+            await $$.promisify(mydb.defineTable)("products", {
+                properties: {
+                    name: {type: "string", maxLength: 20},
+                    status: {type: "string", enum: ["active", "recalled"]},
+                    price: {type: "number", minimum: 0}
+                },
+                required: ["name"]
+            });
+
+            await $$.promisify(mydb.insertRecord)("products", "p1", {name: "pen", status: "active", price: 2});
+
+            let error;
+            try {
+                await $$.promisify(mydb.insertRecord)("products", "p2", {nmae: "pencil"});
+            } catch (e) {
+                error = e;
+            }
+            assert.equal(error.originalMessage, errorAPI.DB_SCHEMA_VALIDATION_ERROR);
+
+            error = undefined;
+            try {
+                await $$.promisify(mydb.updateRecord)("products", "p1", {name: "pen", status: "expired", price: 2});
+            } catch (e) {
+                error = e;
+            }
+            assert.equal(error.originalMessage, errorAPI.DB_SCHEMA_VALIDATION_ERROR);
+
+            // the fields not declared in the schema are accepted unless additionalProperties is false
+            await $$.promisify(mydb.insertRecord)("products", "p3", {name: "marker", color: "red"});
+            await $$.promisify(mydb.defineTable)("leaflets", {properties: {language: {type: "string"}}, additionalProperties: false});
+            error = undefined;
+            try {
+                await $$.promisify(mydb.insertRecord)("leaflets", "l1", {language: "en", color: "red"});
+            } catch (e) {
+                error = e;
+            }
+            assert.equal(error.originalMessage, errorAPI.DB_SCHEMA_VALIDATION_ERROR);
+
+            const otherClientDB = db.getWalletDB(storageSSI, "testDb");
+            const schema = await $$.promisify(otherClientDB.getTableSchema)("products");
+            assert.arraysMatch(schema.required, ["name"]);
+
+            error = undefined;
+            try {
+                await $$.promisify(mydb.defineTable)("orders", {properties: {quantity: {type: "int"}}});
+            } catch (e) {
+                error = e;
+            }
+            assert.true(typeof error !== "undefined");
+
+            testFinishCallback();
+        })
+    })
+}, 5000);
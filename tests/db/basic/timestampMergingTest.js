@@ -0,0 +1,70 @@
+require("../../../../../builds/output/testsRuntime");
+const tir = require("../../../../../psknode/tests/util/tir");
+const double_check = require("double-check");
+const assert = double_check.assert;
+
+const db = require("../../../db");
+const {SingleDSUStorageStrategy} = require("../../../db/storageStrategies/SingleDSUStorageStrategy");
+const {TimestampMergingStrategy} = require("../../../db/conflictSolvingStrategies/timestampMergingStrategy");
+
+// every writer has its own instance of the storage DSU, as if they were in different wallets
+const getWriterDB = (storageDSU) => {
+    const storageStrategy = new SingleDSUStorageStrategy();
+    const writerDB = db.getBasicDB(storageStrategy, new TimestampMergingStrategy());
+    storageStrategy.initialise(storageDSU, "testDb");
+    return writerDB;
+}
+
+assert.callback("merge concurrent changes made by two writers of a shared DB", (testFinishCallback) => {
+    double_check.createTestFolder('AddFilesBatch', async (err, folder) => {
+        tir.launchApiHubTestNode(100, folder, async err => {
+            if (err) {
+                throw err;
+            }
+            const keySSIApis = require("../../../keyssi");
+            const resolver = require("../../../resolver");
+
+            const firstDSU = await $$.promisify(resolver.createDSU)(keySSIApis.createTemplateSeedSSI("default"));
+            const firstDB = getWriterDB(firstDSU);
+            await $$.promisify(firstDB.insertRecord)("products", "p1", {name: "pen", price: 1, stock: 10});
+
+            const seedSSI = await $$.promisify(firstDSU.getKeySSIAsObject)();
+            const secondDSU = await $$.promisify(resolver.loadDSU)(seedSSI, {skipCache: true});
+            assert.true(secondDSU !== firstDSU, "The writers should use different instances of the storage DSU");
+            const secondDB = getWriterDB(secondDSU);
+
+            let batchId = await firstDB.startOrAttachBatchAsync();
+            await $$.promisify(firstDB.updateRecord)("products", "p1", {name: "blue pen", price: 1, stock: 5});
+            await $$.promisify(firstDB.commitBatch)(batchId);
+
+            // the second writer did not load the changes of the first one, its commit is rejected by the anchoring
+            const mergeEvents = [];
+            secondDB.on("merge", report => mergeEvents.push(report));
+            batchId = await secondDB.startOrAttachBatchAsync();
+            await $$.promisify(secondDB.updateRecord)("products", "p1", {name: "pen", price: 2, stock: 7});
+            await $$.promisify(secondDB.commitBatch)(batchId);
+
+            assert.equal(mergeEvents.length, 1);
+            assert.arraysMatch(mergeEvents[0].map(merge => merge.pk), ["p1"]);
+            assert.arraysMatch(mergeEvents[0][0].conflictingFields, ["stock"]);
+
+            await $$.promisify(firstDB.refresh)();
+            const record = await $$.promisify(firstDB.getRecord)("products", "p1");
+            assert.equal(record.name, "blue pen");
+            assert.equal(record.price, 2);
+            assert.equal(record.stock, 7);
+
+            // the writes made outside of a batch are merged as well
+            await $$.promisify(firstDB.updateRecord)("products", "p1", {name: "blue pen", price: 3, stock: 7});
+            await $$.promisify(secondDB.updateRecord)("products", "p1", {name: "red pen", price: 2, stock: 7});
+            assert.equal(mergeEvents.length, 2);
+
+            await $$.promisify(firstDB.refresh)();
+            const mergedRecord = await $$.promisify(firstDB.getRecord)("products", "p1");
+            assert.equal(mergedRecord.name, "red pen");
+            assert.equal(mergedRecord.price, 3);
+
+            testFinishCallback();
+        })
+    })
+}, 10000);
@@ -0,0 +1,77 @@
+require("../../../../../builds/output/testsRuntime");
+const tir = require("../../../../../psknode/tests/util/tir");
+const double_check = require("double-check");
+const assert = double_check.assert;
+
+const db = require("../../../db");
+
+assert.callback("commit transactions spanning several DBs and recover the interrupted ones", (testFinishCallback) => {
+    double_check.createTestFolder('AddFilesBatch', async (err, folder) => {
+        tir.launchApiHubTestNode(100, folder, async err => {
+            if (err) {
+                throw err;
+            }
+            let keySSIApis = require("../../../keyssi");
+            const productsDB = db.getWalletDB(keySSIApis.createSeedSSI("default"), "products");
+            const batchesDB = db.getWalletDB(keySSIApis.createSeedSSI("default"), "batches");
+            const leafletsDB = db.getWalletDB(keySSIApis.createSeedSSI("default"), "leaflets");
+            const journalDB = db.getWalletDB(keySSIApis.createSeedSSI("default"), "journal");
+            const coordinator = db.getTransactionCoordinator(journalDB);
+
+            let transaction = await $$.promisify(coordinator.beginTransaction)({products: productsDB, batches: batchesDB});
+            await $$.promisify(transaction.getParticipant("products").insertRecord)("products", "gtin1", {name: "pen"});
+            await $$.promisify(transaction.getParticipant("batches").insertRecord)("batches", "batch1", {gtin: "gtin1"});
+            await $$.promisify(transaction.commit)();
+            assert.equal((await $$.promisify(batchesDB.getRecord)("batches", "batch1")).gtin, "gtin1");
+            // the operations of a committed transaction are removed from its intent
+            let intent = await $$.promisify(journalDB.getRecord)("__transactions", transaction.getId());
+            assert.equal(intent.state, "committed");
+            assert.equal(intent.operations.length, 0);
+
+            // the commit of the second DB fails after the first DB was committed, the batches of the second and third DBs are canceled
+            const participants = {products: productsDB, batches: batchesDB, leaflets: leafletsDB};
+            transaction = await $$.promisify(coordinator.beginTransaction)(participants);
+            await $$.promisify(transaction.getParticipant("products").updateRecord)("products", "gtin1", {name: "blue pen"});
+            await $$.promisify(transaction.getParticipant("batches").insertRecord)("batches", "batch2", {gtin: "gtin1"});
+            await $$.promisify(transaction.getParticipant("leaflets").insertRecord)("leaflets", "leaflet1", {gtin: "gtin1"});
+            const commitBatchAsync = batchesDB.commitBatchAsync;
+            batchesDB.commitBatchAsync = async () => {
+                throw Error("Simulated crash");
+            }
+
+            let error;
+            try {
+                await $$.promisify(transaction.commit)();
+            } catch (e) {
+                error = e;
+            }
+            assert.true(typeof error !== "undefined");
+            batchesDB.commitBatchAsync = commitBatchAsync;
+            assert.equal((await $$.promisify(productsDB.getRecord)("products", "gtin1")).name, "blue pen");
+            assert.true(!batchesDB.batchInProgress() && !leafletsDB.batchInProgress());
+
+            // the intent of a transaction whose process crashed before commit
+            await $$.promisify(journalDB.insertRecord)("__transactions", "interrupted", {
+                state: "pending",
+                participants: ["products"],
+                committedParticipants: [],
+                operations: []
+            });
+
+            const recoveredTransactions = await $$.promisify(coordinator.recover)(participants);
+            assert.equal(recoveredTransactions.length, 2);
+            const rolledForward = recoveredTransactions.find(recovered => recovered.id === transaction.getId());
+            assert.equal(rolledForward.state, "committed");
+            assert.arraysMatch(rolledForward.participants, ["batches", "leaflets"]);
+            const canceled = recoveredTransactions.find(recovered => recovered.id === "interrupted");
+            assert.equal(canceled.state, "canceled");
+            assert.equal((await $$.promisify(batchesDB.getRecord)("batches", "batch2")).gtin, "gtin1");
+            assert.equal((await $$.promisify(leafletsDB.getRecord)("leaflets", "leaflet1")).gtin, "gtin1");
+            intent = await $$.promisify(journalDB.getRecord)("__transactions", transaction.getId());
+            assert.equal(intent.operations.length, 0);
+
+            assert.equal((await $$.promisify(coordinator.recover)(participants)).length, 0);
+            testFinishCallback();
+        });
+    });
+}, 10000);
@@ -0,0 +1,63 @@
+require("../../../../../builds/output/testsRuntime");
+const tir = require("../../../../../psknode/tests/util/tir");
+const double_check = require("double-check");
+const assert = double_check.assert;
+
+const db = require("../../../db");
+
+assert.callback("filter using typed literals", (testFinishCallback) => {
+    double_check.createTestFolder('AddFilesBatch', async (err, folder) => {
+        tir.launchApiHubTestNode(100, folder, async err => {
+            if (err) {
+                throw err;
+            }
+            let keySSIApis = require("../../../keyssi");
+            let storageSSI = keySSIApis.createSeedSSI("default");
+
+            let mydb = db.getWalletDB(storageSSI, "testDb");
+            await $$.promisify(mydb.addIndex)("products", "price");
+            await $$.promisify(mydb.addIndex)("products", "gtin");
+
+            mydb.beginBatch();
+            await $$.promisify(mydb.insertRecord)("products", "p1", {price: 9, name: "Blue pen", expiry: "2023-06-01T00:00:00.000Z", active: true});
+            await $$.promisify(mydb.insertRecord)("products", "p2", {price: 100, name: "Red pen", expiry: "2024-06-01T00:00:00.000Z", active: false});
+            await $$.promisify(mydb.insertRecord)("products", "p3", {price: 1000, name: "Notebook", active: true});
+            await $$.promisify(mydb.insertRecord)("products", "p4", {price: 5, name: "Pencil", gtin: "0012"});
+            await $$.promisify(mydb.insertRecord)("products", "p5", {price: 6, name: "Eraser", gtin: "12"});
+            await $$.promisify(mydb.commitBatch)();
+
+            let records = await $$.promisify(mydb.filter)("products", "price > 10", "asc");
+            assert.arraysMatch(records.map(record => record.pk), ["p2", "p3"]);
+
+            records = await $$.promisify(mydb.filter)("products", "price >= 0", "dsc");
+            assert.arraysMatch(records.map(record => record.pk), ["p3", "p2", "p1", "p5", "p4"]);
+
+            // the numeric strings stored in the records are not converted to numbers, they are compared with the text of the literal
+            records = await $$.promisify(mydb.filter)("products", "gtin == 0012");
+            assert.arraysMatch(records.map(record => record.pk), ["p4"]);
+
+            records = await $$.promisify(mydb.filter)("products", "gtin in [12, 13]");
+            assert.arraysMatch(records.map(record => record.pk), ["p5"]);
+
+            records = await $$.promisify(mydb.filter)("products", "gtin == '0012'");
+            assert.arraysMatch(records.map(record => record.pk), ["p4"]);
+
+            records = await $$.promisify(mydb.filter)("products", "gtin > 1");
+            assert.arraysMatch(records.map(record => record.pk), []);
+
+            records = await $$.promisify(mydb.filter)("products", "price == '100'");
+            assert.arraysMatch(records.map(record => record.pk), ["p2"]);
+
+            records = await $$.promisify(mydb.filter)("products", "expiry < 2024-01-01");
+            assert.arraysMatch(records.map(record => record.pk), ["p1"]);
+
+            records = await $$.promisify(mydb.filter)("products", "name == 'Red pen'");
+            assert.arraysMatch(records.map(record => record.pk), ["p2"]);
+
+            records = await $$.promisify(mydb.filter)("products", ["active == true", "expiry != undefined"]);
+            assert.arraysMatch(records.map(record => record.pk), ["p1"]);
+
+            testFinishCallback();
+        })
+    })
+}, 5000);
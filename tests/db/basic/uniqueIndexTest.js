@@ -0,0 +1,67 @@
+require("../../../../../builds/output/testsRuntime");
+const tir = require("../../../../../psknode/tests/util/tir");
+const double_check = require("double-check");
+const assert = double_check.assert;
+
+const db = require("../../../db");
+const errorAPI = require("../../../error");
+
+const getError = async (fn) => {
+    try {
+        await fn();
+    } catch (e) {
+        return e;
+    }
+}
+
+assert.callback("reject the records violating a unique index", (testFinishCallback) => {
+    double_check.createTestFolder('AddFilesBatch', async (err, folder) => {
+        tir.launchApiHubTestNode(100, folder, async err => {
+            if (err) {
+                throw err;
+            }
+            let keySSIApis = require("../../../keyssi");
+            let storageSSI = keySSIApis.createSeedSSI("default");
+
+            let mydb = db.getWalletDB(storageSSI, "testDb");
+            await $$.promisify(mydb.insertRecord)("products", "p1", {gtin: "05290931025615", name: "pen"});
+            await $$.promisify(mydb.insertRecord)("products", "p2", {gtin: "05290931025615", name: "pencil"});
+
+            let error = await getError(() => $$.promisify(mydb.addIndex)("products", "gtin", {unique: true}));
+            assert.equal(error.originalMessage, errorAPI.DB_UNIQUE_CONSTRAINT_ERROR);
+
+            await $$.promisify(mydb.updateRecord)("products", "p2", {gtin: "05290931025622", name: "pencil"});
+            await $$.promisify(mydb.addIndex)("products", "gtin", {unique: true});
+
+            error = await getError(() => $$.promisify(mydb.insertRecord)("products", "p3", {gtin: "05290931025615", name: "marker"}));
+            assert.equal(error.originalMessage, errorAPI.DB_UNIQUE_CONSTRAINT_ERROR);
+
+            error = await getError(() => $$.promisify(mydb.updateRecord)("products", "p2", {gtin: "05290931025615", name: "pencil"}));
+            assert.equal(error.originalMessage, errorAPI.DB_UNIQUE_CONSTRAINT_ERROR);
+
+            // a record can keep its own value and the records without the indexed field are not checked
+            await $$.promisify(mydb.updateRecord)("products", "p1", {gtin: "05290931025615", name: "blue pen"});
+            await $$.promisify(mydb.insertRecord)("products", "p4", {name: "eraser"});
+            await $$.promisify(mydb.insertRecord)("products", "p5", {name: "ruler"});
+
+            // the value of a deleted record can be reused
+            await $$.promisify(mydb.deleteRecord)("products", "p1");
+            await $$.promisify(mydb.insertRecord)("products", "p6", {gtin: "05290931025615", name: "red pen"});
+
+            const records = await $$.promisify(mydb.filter)("products", "gtin == 05290931025615");
+            assert.equal(records.length, 1);
+            assert.equal(records[0].pk, "p6");
+
+            // the records written concurrently with the same value are not both stored
+            const results = await Promise.allSettled([
+                $$.promisify(mydb.insertRecord)("products", "p7", {gtin: "05290931025639", name: "stapler"}),
+                $$.promisify(mydb.insertRecord)("products", "p8", {gtin: "05290931025639", name: "glue"})
+            ]);
+            const storedRecords = await $$.promisify(mydb.filter)("products", "gtin == 05290931025639");
+            assert.true(storedRecords.length <= 1);
+            assert.equal(results.filter(result => result.status === "fulfilled").length, storedRecords.length);
+
+            testFinishCallback();
+        });
+    });
+}, 5000);
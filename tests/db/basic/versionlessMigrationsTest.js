@@ -0,0 +1,58 @@
+require("../../../../../builds/output/testsRuntime");
+const tir = require("../../../../../psknode/tests/util/tir");
+const double_check = require("double-check");
+const assert = double_check.assert;
+
+const openDSU = require('../../../index');
+$$.__registerModule("opendsu", openDSU);
+const db = require("../../../db");
+
+const openDB = (migrations) => {
+    return new Promise((resolve) => {
+        const mydb = db.getVersionlessDB("testDb", {migrations});
+        mydb.on("error", migrationError => resolve({mydb, migrationError}));
+        mydb.on("initialised", () => resolve({mydb}));
+    });
+}
+
+assert.callback("run the migrations of a versionless DB", (testFinishCallback) => {
+    double_check.createTestFolder('AddFilesBatch', async (err, folder) => {
+        tir.launchApiHubTestNode(100, folder, async err => {
+            if (err) {
+                throw err;
+            }
+
+            let {mydb} = await openDB();
+            await $$.promisify(mydb.insertRecord)("products", "p1", {name: "pen", price: "2"});
+
+            const migrations = db.createMigrationsRegistry();
+            migrations.register(1, async (migratedDB) => {
+                await $$.promisify(migratedDB.updateRecord)("products", "p1", {name: "pen", price: 2});
+            });
+
+            let migrationError;
+            ({mydb, migrationError} = await openDB(migrations));
+            assert.true(typeof migrationError === "undefined");
+            assert.equal(await $$.promisify(mydb.getSchemaVersion)(), 1);
+            assert.equal((await $$.promisify(mydb.getRecord)("products", "p1")).price, 2);
+
+            migrations.register(2, async () => {
+                throw Error("Migration failed");
+            });
+            ({mydb, migrationError} = await openDB(migrations));
+            assert.true(typeof migrationError !== "undefined");
+            let error;
+            try {
+                await $$.promisify(mydb.getRecord)("products", "p1");
+            } catch (e) {
+                error = e;
+            }
+            assert.true(typeof error !== "undefined");
+
+            ({mydb} = await openDB());
+            assert.equal(await $$.promisify(mydb.getSchemaVersion)(), 1);
+
+            testFinishCallback();
+        });
+    });
+}, 10000);
@@ -0,0 +1,63 @@
+require("../../../../../builds/output/testsRuntime");
+const tir = require("../../../../../psknode/tests/util/tir");
+const double_check = require("double-check");
+const assert = double_check.assert;
+
+const db = require("../../../db");
+
+assert.callback("watch the local and remote changes of a table", (testFinishCallback) => {
+    double_check.createTestFolder('AddFilesBatch', async (err, folder) => {
+        tir.launchApiHubTestNode(100, folder, async err => {
+            if (err) {
+                throw err;
+            }
+            let keySSIApis = require("../../../keyssi");
+            let storageSSI = keySSIApis.createSeedSSI("default");
+
+            let mydb = db.getSharedDB(storageSSI, "testDb");
+            await $$.promisify(mydb.insertRecord)("products", "p0", {status: "active"});
+
+            const events = [];
+            const stopWatching = mydb.watch("products", "status == active", event => events.push(event));
+            await $$.promisify(mydb.insertRecord)("products", "p1", {status: "active"});
+            await $$.promisify(mydb.insertRecord)("products", "p2", {status: "draft"});
+            await $$.promisify(mydb.updateRecord)("products", "p1", {status: "recalled"});
+            await $$.promisify(mydb.deleteRecord)("products", "p0");
+
+            assert.arraysMatch(events.map(event => `${event.type}:${event.pk}`), ["insert:p1", "update:p1", "delete:p0"]);
+            assert.equal(events[1].oldRecord.status, "active");
+            assert.equal(events[1].newRecord.status, "recalled");
+
+            // the changes of a cancelled batch are not delivered
+            const batchId = await mydb.startOrAttachBatchAsync();
+            await $$.promisify(mydb.updateRecord)("products", "p1", {status: "active"});
+            await mydb.cancelBatchAsync(batchId);
+            assert.equal(events.length, 3);
+
+            let otherClientDB = db.getSharedDB(storageSSI, "testDb");
+            await $$.promisify(otherClientDB.refresh)();
+            await $$.promisify(otherClientDB.insertRecord)("products", "p3", {status: "active", batch: "b1"});
+
+            await $$.promisify(mydb.refresh)();
+            assert.equal(events.length, 4);
+            assert.equal(events[3].type, "insert");
+            assert.equal(events[3].pk, "p3");
+
+            // the remote updates and deletes carry the last known version of the record
+            await $$.promisify(otherClientDB.updateRecord)("products", "p3", {status: "active", batch: "b2"});
+            await $$.promisify(mydb.refresh)();
+            await $$.promisify(otherClientDB.deleteRecord)("products", "p3");
+            await $$.promisify(mydb.refresh)();
+            assert.arraysMatch(events.slice(4).map(event => `${event.type}:${event.pk}`), ["update:p3", "delete:p3"]);
+            assert.equal(events[4].oldRecord.batch, "b1");
+            assert.equal(events[4].newRecord.batch, "b2");
+            assert.equal(events[5].oldRecord.batch, "b2");
+
+            stopWatching();
+            await $$.promisify(mydb.insertRecord)("products", "p4", {status: "active"});
+            assert.equal(events.length, 6);
+
+            testFinishCallback();
+        })
+    })
+}, 10000);
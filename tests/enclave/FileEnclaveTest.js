@@ -0,0 +1,62 @@
+require("../../../../builds/output/testsRuntime");
+const tir = require("../../../../psknode/tests/util/tir");
+
+const dc = require("double-check");
+const assert = dc.assert;
+const path = require("path");
+const fs = require("fs");
+const openDSU = require('../../index');
+$$.__registerModule("opendsu", openDSU);
+const enclaveAPI = openDSU.loadAPI("enclave");
+
+const waitInitialisation = (enclave) => {
+    return new Promise((resolve, reject) => {
+        enclave.on("initialised", () => resolve(enclave));
+        enclave.on("error", reject);
+    });
+}
+
+assert.callback('File enclave persisted in a local folder', (testFinished) => {
+    dc.createTestFolder('fileEnclave', async (err, folder) => {
+        tir.launchApiHubTestNode(100, folder, async err => {
+            if (err) {
+                throw err;
+            }
+            try {
+                const enclaveFolder = path.join(folder, "enclave");
+                const TABLE = "products";
+                let enclave = await waitInitialisation(enclaveAPI.initialiseFileEnclave(enclaveFolder, "some passphrase"));
+                await $$.promisify(enclave.insertRecord)(undefined, TABLE, "pk1", {name: "pen"});
+                await $$.promisify(enclave.addIndex)(undefined, TABLE, "name");
+                await $$.promisify(enclave.storeSecretKey)(undefined, "valid-AES-encryption-key-test123", "someKey");
+                const encrypted = await $$.promisify(enclave.encryptAES)(undefined, "someKey", "secret");
+
+                // the content is encrypted at rest
+                fs.readdirSync(enclaveFolder).forEach(fileName => {
+                    assert.false(fs.readFileSync(path.join(enclaveFolder, fileName)).includes("pen"));
+                });
+
+                // the content is still available after a restart
+                process.env.FILE_ENCLAVE_PATH = enclaveFolder;
+                process.env.FILE_ENCLAVE_SECRET = "some passphrase";
+                enclave = await waitInitialisation(enclaveAPI.createEnclave(openDSU.constants.ENCLAVE_TYPES.FILE_ENCLAVE));
+                assert.equal(enclave.getEnclaveType(), openDSU.constants.ENCLAVE_TYPES.FILE_ENCLAVE);
+                const records = await $$.promisify(enclave.filter)(undefined, TABLE, "name == pen");
+                assert.equal(records.length, 1);
+                const decrypted = await $$.promisify(enclave.decryptAES)(undefined, "someKey", encrypted);
+                assert.equal($$.Buffer.from(decrypted).toString(), "secret");
+
+                let error;
+                try {
+                    await waitInitialisation(enclaveAPI.initialiseFileEnclave(enclaveFolder, "wrong passphrase"));
+                } catch (e) {
+                    error = e;
+                }
+                assert.true(typeof error !== "undefined");
+                testFinished();
+            } catch (e) {
+                throw e;
+            }
+        });
+    });
+}, 10000);
@@ -0,0 +1,101 @@
+require("../../../../builds/output/testsRuntime");
+const tir = require("../../../../psknode/tests/util/tir");
+
+const dc = require("double-check");
+const assert = dc.assert;
+const openDSU = require('../../index');
+$$.__registerModule("opendsu", openDSU);
+const enclaveAPI = openDSU.loadAPI("enclave");
+const scAPI = openDSU.loadAPI("sc");
+const w3cDID = openDSU.loadAPI("w3cdid");
+
+const DOMAIN_CONFIG = {
+    anchoring: {
+        type: "FS",
+        option: {}
+    },
+    enable: ["mq"]
+};
+
+// answers the commands received on the DID of the enclave using a memory enclave
+const serveMemoryEnclave = (enclaveDIDDocument) => {
+    const memoryEnclave = enclaveAPI.initialiseMemoryEnclave();
+    const enclaveInfo = {
+        enclaveType: openDSU.constants.ENCLAVE_TYPES.MEMORY_ENCLAVE,
+        commands: ["insertRecord", "getRecord", "countRecords"]
+    };
+    const commands = {
+        getEnclaveInfo: (callback) => callback(undefined, enclaveInfo),
+        insertRecord: (forDID, table, pk, record, callback) => memoryEnclave.insertRecord(forDID, table, pk, record, record, callback),
+        getRecord: (forDID, table, pk, callback) => memoryEnclave.getRecord(forDID, table, pk, callback),
+        countRecords: (forDID, table, callback) => memoryEnclave.getAllRecords(forDID, table, (err, records) => callback(err, records ? records.length : undefined))
+    };
+
+    enclaveDIDDocument.subscribe((err, message) => {
+        if (err) {
+            return console.log(err);
+        }
+
+        const command = JSON.parse(message);
+        const clientDID = command.params.pop();
+        commands[command.commandName](...command.params, (err, commandResult) => {
+            const response = {commandID: command.commandID, commandResult, error: !!err};
+            if (err) {
+                response.commandResult = {debug_message: err.message};
+            }
+            enclaveDIDDocument.sendMessage(JSON.stringify(response), clientDID, (err) => {
+                if (err) {
+                    console.log(err);
+                }
+            });
+        });
+    });
+}
+
+assert.callback('Connect to an enclave knowing only its DID', (testFinished) => {
+    dc.createTestFolder('connectEnclave', async (err, folder) => {
+        const domain = "default";
+        await tir.launchConfigurableApiHubTestNodeAsync({
+            domains: [{name: "vault", config: {anchoring: {type: "FS", option: {}}}}, {name: domain, config: DOMAIN_CONFIG}],
+            rootFolder: folder
+        });
+
+        const sc = scAPI.getSecurityContext();
+        sc.on("initialised", async () => {
+            try {
+                const enclaveDIDDocument = await $$.promisify(w3cDID.createIdentity)("ssi:name", domain, "memoryEnclave");
+                const clientDIDDocument = await $$.promisify(w3cDID.createIdentity)("ssi:name", domain, "client");
+                serveMemoryEnclave(enclaveDIDDocument);
+
+                const enclave = await $$.promisify(enclaveAPI.connectEnclave)(clientDIDDocument.getIdentifier(), enclaveDIDDocument.getIdentifier());
+                assert.equal(enclave.getEnclaveType(), openDSU.constants.ENCLAVE_TYPES.MEMORY_ENCLAVE);
+                assert.arraysMatch(enclave.getAvailableCommands(), ["insertRecord", "getRecord", "countRecords"]);
+
+                await $$.promisify(enclave.insertRecord)("some_did", "products", "pk1", {name: "pen"});
+                const record = await $$.promisify(enclave.getRecord)("some_did", "products", "pk1");
+                assert.equal(record.name, "pen");
+
+                // the commands without a dedicated function in the proxy are discovered
+                const count = await $$.promisify(enclave.countRecords)("some_did", "products");
+                assert.equal(count, 1);
+
+                let error;
+                try {
+                    await $$.promisify(enclaveAPI.connectEnclave)(clientDIDDocument.getIdentifier(), "did:ssi:name:default:missingEnclave", 1000);
+                } catch (e) {
+                    error = e;
+                }
+                assert.true(typeof error !== "undefined");
+
+                // an enclave which does not answer to the discovery is used as a cloud enclave
+                const silentEnclaveDIDDocument = await $$.promisify(w3cDID.createIdentity)("ssi:name", domain, "silentEnclave");
+                const silentEnclave = await $$.promisify(enclaveAPI.connectEnclave)(clientDIDDocument.getIdentifier(), silentEnclaveDIDDocument.getIdentifier(), 1000);
+                assert.equal(silentEnclave.getEnclaveType(), openDSU.constants.ENCLAVE_TYPES.CLOUD_ENCLAVE);
+                assert.true(silentEnclave.getAvailableCommands().indexOf("insertRecord") !== -1);
+                testFinished();
+            } catch (e) {
+                throw e;
+            }
+        });
+    });
+}, 60000);
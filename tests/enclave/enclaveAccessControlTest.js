@@ -0,0 +1,83 @@
+require("../../../../builds/output/testsRuntime");
+const tir = require("../../../../psknode/tests/util/tir");
+
+const dc = require("double-check");
+const assert = dc.assert;
+const openDSU = require('../../index');
+$$.__registerModule("opendsu", openDSU);
+const enclaveAPI = openDSU.loadAPI("enclave");
+
+const expectError = async (fn, ...args) => {
+    let error;
+    try {
+        await $$.promisify(fn)(...args);
+    } catch (e) {
+        error = e;
+    }
+    assert.true(typeof error !== "undefined", "Expected the access to be denied");
+}
+
+assert.callback('Access control lists enforced by the local enclaves', (testFinished) => {
+    dc.createTestFolder('enclaveACL', async (err, folder) => {
+        tir.launchApiHubTestNode(100, folder, async err => {
+            if (err) {
+                throw err;
+            }
+            const TABLE = "products";
+            const enclave = enclaveAPI.initialiseMemoryEnclave();
+            enclave.on("initialised", async () => {
+                try {
+                    // a table without ACL is accessible to every DID
+                    await $$.promisify(enclave.insertRecord)("did:alice", TABLE, "pk1", {name: "pen"});
+                    assert.equal((await $$.promisify(enclave.getRecord)("did:bob", TABLE, "pk1")).name, "pen");
+
+                    // only the enclave can create the ACL of a resource, it becomes its admin
+                    const enclaveDID = await $$.promisify(enclave.getDID)();
+                    await expectError(enclave.grantAdminAccess, "did:admin", "did:admin", TABLE);
+                    assert.true(await $$.promisify(enclave.hasWriteAccess)("did:carol", TABLE));
+                    await $$.promisify(enclave.grantAdminAccess)(enclaveDID, "did:admin", TABLE);
+                    await $$.promisify(enclave.grantWriteAccess)("did:admin", "did:alice", TABLE);
+                    await $$.promisify(enclave.grantReadAccess)("did:admin", "did:bob", TABLE);
+                    assert.true(await $$.promisify(enclave.hasAdminAccess)("did:admin", TABLE));
+                    assert.true(await $$.promisify(enclave.hasReadAccess)("did:alice", TABLE));
+                    assert.false(await $$.promisify(enclave.hasWriteAccess)("did:bob", TABLE));
+
+                    await $$.promisify(enclave.insertRecord)("did:alice", TABLE, "pk2", {name: "pencil"});
+                    assert.equal((await $$.promisify(enclave.getAllRecords)("did:bob", TABLE)).length, 2);
+                    await expectError(enclave.updateRecord, "did:bob", TABLE, "pk1", {name: "blue pen"});
+                    await expectError(enclave.filter, "did:carol", TABLE);
+                    await expectError(enclave.insertRecord, "did:alice", "acls", TABLE, {read: ["did:carol"], write: [], admin: []});
+
+                    // only the admins of a table can change its ACL
+                    await expectError(enclave.grantWriteAccess, "did:bob", "did:bob", TABLE);
+                    await expectError(enclave.grantAdminAccess, "did:alice", "did:alice", TABLE);
+                    await expectError(enclave.revokeReadAccess, "did:bob", "did:alice", TABLE);
+                    assert.false(await $$.promisify(enclave.hasWriteAccess)("did:bob", TABLE));
+                    assert.false(await $$.promisify(enclave.hasAdminAccess)("did:alice", TABLE));
+
+                    await $$.promisify(enclave.revokeWriteAccess)("did:admin", "did:alice", TABLE);
+                    await expectError(enclave.deleteRecord, "did:alice", TABLE, "pk1");
+
+                    // the key stores are protected as well
+                    await $$.promisify(enclave.storeSecretKey)("did:alice", "valid-AES-encryption-key-test123", "aliceKey");
+                    await expectError(enclave.grantWriteAccess, "did:alice", "did:alice", "secret-keys");
+                    await $$.promisify(enclave.grantWriteAccess)(enclaveDID, "did:alice", "secret-keys");
+                    const encrypted = await $$.promisify(enclave.encryptAES)("did:alice", "aliceKey", "secret");
+                    await expectError(enclave.decryptAES, "did:bob", "aliceKey", encrypted);
+                    await expectError(enclave.storeSecretKey, "did:bob", "valid-AES-encryption-key-test123", "bobKey");
+                    await $$.promisify(enclave.grantWriteAccess)(enclaveDID, "did:alice", "dids_private");
+                    await expectError(enclave.generateDID, "did:bob", "ssi:name", "bob");
+
+                    // and the list of the tables
+                    await $$.promisify(enclave.grantReadAccess)(enclaveDID, "did:alice", "tables");
+                    assert.true((await $$.promisify(enclave.getAllTableNames)("did:alice")).indexOf(TABLE) !== -1);
+                    await expectError(enclave.getAllTableNames, "did:bob");
+
+                    testFinished();
+                } catch (e) {
+                    throw e;
+                }
+            });
+        });
+    });
+}, 10000);
@@ -0,0 +1,84 @@
+require("../../../../builds/output/testsRuntime");
+const tir = require("../../../../psknode/tests/util/tir");
+
+const dc = require("double-check");
+const assert = dc.assert;
+const openDSU = require('../../index');
+$$.__registerModule("opendsu", openDSU);
+const enclaveAPI = openDSU.loadAPI("enclave");
+const crypto = openDSU.loadAPI("crypto");
+
+assert.callback('Audit log of the security-sensitive operations of the local enclaves', (testFinished) => {
+    dc.createTestFolder('enclaveAuditLog', async (err, folder) => {
+        tir.launchApiHubTestNode(100, folder, async err => {
+            if (err) {
+                throw err;
+            }
+            const enclave = enclaveAPI.initialiseMemoryEnclave();
+            enclave.on("initialised", async () => {
+                try {
+                    await $$.promisify(enclave.storeSecretKey)("did:alice", "valid-AES-encryption-key-test123", "aliceKey");
+                    const enclaveDID = await $$.promisify(enclave.getDID)();
+                    await $$.promisify(enclave.grantWriteAccess)(enclaveDID, "did:alice", "secret-keys");
+                    try {
+                        await $$.promisify(enclave.storeSecretKey)("did:bob", "valid-AES-encryption-key-test123", "bobKey");
+                    } catch (e) {
+                        // denied, but recorded
+                    }
+
+                    const auditLog = await $$.promisify(enclave.getAuditLog)("did:alice");
+                    assert.equal(auditLog.length, 3);
+                    assert.arraysMatch(auditLog.map(entry => entry.operation), ["storeSecretKey", "grantWriteAccess", "storeSecretKey"]);
+                    const deniedOperations = await $$.promisify(enclave.getAuditLog)("did:alice", {did: "did:bob"});
+                    assert.equal(deniedOperations.length, 1);
+                    assert.equal(deniedOperations[0].outcome, "failure");
+                    assert.equal(deniedOperations[0].resource, "secret-keys");
+
+                    let verification = await $$.promisify(enclave.verifyAuditLog)("did:alice");
+                    assert.true(verification.valid);
+
+                    // the audit log can't be changed through the enclave and the changes made in the storage are detected
+                    let error;
+                    try {
+                        await $$.promisify(enclave.deleteRecord)("did:alice", "audit_log", auditLog[2].pk);
+                    } catch (e) {
+                        error = e;
+                    }
+                    assert.true(typeof error !== "undefined");
+
+                    error = undefined;
+                    try {
+                        await $$.promisify(enclave.getRecord)("did:alice", "audit_log_key", "key");
+                    } catch (e) {
+                        error = e;
+                    }
+                    assert.true(typeof error !== "undefined", "The key of the audit log should not be readable");
+
+                    await $$.promisify(enclave.storageDB.updateRecord)("audit_log", auditLog[1].pk, Object.assign({}, auditLog[1], {did: "did:eve"}));
+                    verification = await $$.promisify(enclave.verifyAuditLog)("did:alice");
+                    assert.false(verification.valid);
+                    assert.equal(verification.brokenAt, 1);
+
+                    // the chain recomputed after the change is detected as well, its hashes are not keyed with the key of the enclave
+                    let previousHash = auditLog[0].hash;
+                    for (let i = 1; i < auditLog.length; i++) {
+                        const entry = Object.assign({}, auditLog[i], {previousHash});
+                        if (i === 1) {
+                            entry.did = "did:eve";
+                        }
+                        const {operation, did, resource, timestamp, outcome, error} = entry;
+                        entry.hash = crypto.sha256({index: i, operation, did, resource, timestamp, outcome, error, previousHash});
+                        previousHash = entry.hash;
+                        await $$.promisify(enclave.storageDB.updateRecord)("audit_log", entry.pk, entry);
+                    }
+                    verification = await $$.promisify(enclave.verifyAuditLog)("did:alice");
+                    assert.false(verification.valid);
+                    assert.equal(verification.brokenAt, 1);
+                    testFinished();
+                } catch (e) {
+                    throw e;
+                }
+            });
+        });
+    });
+}, 10000);
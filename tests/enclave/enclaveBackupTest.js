@@ -0,0 +1,87 @@
+require("../../../../builds/output/testsRuntime");
+const tir = require("../../../../psknode/tests/util/tir");
+
+const dc = require("double-check");
+const assert = dc.assert;
+const path = require("path");
+const openDSU = require('../../index');
+$$.__registerModule("opendsu", openDSU);
+const enclaveAPI = openDSU.loadAPI("enclave");
+
+const waitInitialisation = (enclave) => {
+    return new Promise((resolve, reject) => {
+        enclave.on("initialised", () => resolve(enclave));
+        enclave.on("error", reject);
+    });
+}
+
+const expectError = async (fn, ...args) => {
+    let error;
+    try {
+        await $$.promisify(fn)(...args);
+    } catch (e) {
+        error = e;
+    }
+    assert.true(typeof error !== "undefined");
+}
+
+assert.callback('Export the backup of an enclave and restore it into another enclave type', (testFinished) => {
+    dc.createTestFolder('enclaveBackup', async (err, folder) => {
+        tir.launchApiHubTestNode(100, folder, async err => {
+            if (err) {
+                throw err;
+            }
+            try {
+                const TABLE = "products";
+                const enclave = await waitInitialisation(enclaveAPI.initialiseMemoryEnclave());
+                await $$.promisify(enclave.insertRecord)("some_did", TABLE, "pk1", {name: "pen"});
+                await $$.promisify(enclave.storeSecretKey)("some_did", "valid-AES-encryption-key-test123", "someKey");
+                const enclaveDID = await $$.promisify(enclave.getDID)();
+                await $$.promisify(enclave.grantWriteAccess)(enclaveDID, "some_did", TABLE);
+                await $$.promisify(enclave.grantAdminAccess)(enclaveDID, "some_did", "backup");
+                await expectError(enclave.exportBackup, "other_did", "some password");
+                const archive = await $$.promisify(enclave.exportBackup)("some_did", "some password");
+                assert.false(archive.includes("pen"));
+
+                const fileEnclave = await waitInitialisation(enclaveAPI.initialiseFileEnclave(path.join(folder, "enclave"), "some passphrase"));
+                const summary = await $$.promisify(fileEnclave.importBackup)("some_did", archive, "some password", {dryRun: true});
+                assert.arraysMatch(summary.tables[TABLE], ["pk1"]);
+                assert.true(typeof summary.tables["acls"] === "undefined", "The access control lists should not be part of the backup");
+                assert.equal((await $$.promisify(fileEnclave.getAllRecords)("some_did", TABLE)).length, 0);
+
+                await $$.promisify(fileEnclave.importBackup)("some_did", archive, "some password");
+                const record = await $$.promisify(fileEnclave.getRecord)("some_did", TABLE, "pk1");
+                assert.equal(record.name, "pen");
+                assert.true(await $$.promisify(fileEnclave.hasWriteAccess)("other_did", TABLE));
+                const encrypted = await $$.promisify(enclave.encryptAES)("some_did", "someKey", "secret");
+                const decrypted = await $$.promisify(fileEnclave.decryptAES)("some_did", "someKey", encrypted);
+                assert.equal($$.Buffer.from(decrypted).toString(), "secret");
+
+                // only the admins can import backups once the backups have an ACL
+                await $$.promisify(fileEnclave.grantAdminAccess)(await $$.promisify(fileEnclave.getDID)(), "some_did", "backup");
+                await expectError(fileEnclave.importBackup, "other_did", archive, "some password");
+                const exports = await $$.promisify(enclave.getAuditLog)("some_did", {operation: "exportBackup"});
+                assert.arraysMatch(exports.map(entry => entry.outcome), ["failure", "success"]);
+
+                await expectError(fileEnclave.importBackup, "some_did", archive, "wrong password");
+                const corruptedArchive = JSON.parse(archive);
+                corruptedArchive.content = corruptedArchive.content.split("").reverse().join("");
+                await expectError(fileEnclave.importBackup, "some_did", JSON.stringify(corruptedArchive), "some password");
+
+                // the enclaves without DSU restore the tables of a backup and skip its path keySSIs
+                const crypto = openDSU.loadAPI("crypto");
+                const pathKeySSI = openDSU.loadAPI("keyssi").createPathKeySSI("vault", "0/backup").getIdentifier();
+                const content = crypto.encrypt($$.Buffer.from(JSON.stringify({tables: {[TABLE]: [{pk: "pk2", name: "pencil"}]}, indexes: {}, pathKeySSIs: [pathKeySSI]})), crypto.deriveEncryptionKey("some password"));
+                const pathKeySSIsArchive = JSON.stringify({version: 1, createdAt: Date.now(), checksum: crypto.sha256JOSE(content, "hex"), content: content.toString("base64")});
+                const memoryEnclave = await waitInitialisation(enclaveAPI.initialiseMemoryEnclave());
+                const pathKeySSIsSummary = await $$.promisify(memoryEnclave.importBackup)("some_did", pathKeySSIsArchive, "some password");
+                assert.arraysMatch(pathKeySSIsSummary.skippedPathKeySSIs, [pathKeySSI]);
+                assert.equal(pathKeySSIsSummary.pathKeySSIs.length, 0);
+                assert.equal((await $$.promisify(memoryEnclave.getRecord)("some_did", TABLE, "pk2")).name, "pencil");
+                testFinished();
+            } catch (e) {
+                throw e;
+            }
+        });
+    });
+}, 10000);
@@ -0,0 +1,81 @@
+require("../../../../builds/output/testsRuntime");
+const tir = require("../../../../psknode/tests/util/tir");
+
+const dc = require("double-check");
+const assert = dc.assert;
+const path = require("path");
+const openDSU = require('../../index');
+$$.__registerModule("opendsu", openDSU);
+const enclaveAPI = openDSU.loadAPI("enclave");
+
+const waitInitialisation = (enclave) => {
+    return new Promise((resolve, reject) => {
+        enclave.on("initialised", () => resolve(enclave));
+        enclave.on("error", reject);
+    });
+}
+
+assert.callback('Migrate the content of a memory enclave into a file enclave', (testFinished) => {
+    dc.createTestFolder('migrateEnclave', async (err, folder) => {
+        tir.launchApiHubTestNode(100, folder, async err => {
+            if (err) {
+                throw err;
+            }
+            try {
+                const TABLE = "products";
+                const sourceEnclave = await waitInitialisation(enclaveAPI.initialiseMemoryEnclave());
+                await $$.promisify(sourceEnclave.insertRecord)("some_did", TABLE, "pk1", {name: "pen"});
+                await $$.promisify(sourceEnclave.insertRecord)("some_did", TABLE, "pk2", {name: "pencil"});
+                await $$.promisify(sourceEnclave.storeSecretKey)("some_did", "valid-AES-encryption-key-test123", "someKey");
+
+                const targetEnclave = await waitInitialisation(enclaveAPI.initialiseFileEnclave(path.join(folder, "enclave"), "some passphrase"));
+                const report = await $$.promisify(enclaveAPI.migrateEnclave)(sourceEnclave, targetEnclave, {migrationId: "toFileEnclave"});
+                assert.false(report.resumed);
+                assert.equal(report.tables[TABLE].count, 2);
+                assert.equal(report.tables["secret-keys"].count, 1);
+
+                const records = await $$.promisify(targetEnclave.getAllRecords)("some_did", TABLE);
+                assert.equal(records.length, 2);
+                const encrypted = await $$.promisify(sourceEnclave.encryptAES)("some_did", "someKey", "secret");
+                const decrypted = await $$.promisify(targetEnclave.decryptAES)("some_did", "someKey", encrypted);
+                assert.equal($$.Buffer.from(decrypted).toString(), "secret");
+
+                // the records already copied are not written again
+                const record = await $$.promisify(targetEnclave.getRecord)("some_did", TABLE, "pk1");
+                const secondReport = await $$.promisify(enclaveAPI.migrateEnclave)(sourceEnclave, targetEnclave, {migrationId: "toFileEnclave"});
+                assert.equal(secondReport.tables[TABLE].hash, report.tables[TABLE].hash);
+                assert.equal((await $$.promisify(targetEnclave.getRecord)("some_did", TABLE, "pk1")).__version, record.__version);
+
+                // a migration interrupted in the middle of a table copy is resumed by the next run
+                const interruptedEnclave = await waitInitialisation(enclaveAPI.initialiseFileEnclave(path.join(folder, "interruptedEnclave"), "some passphrase"));
+                const {insertRecord, updateRecord} = interruptedEnclave.storageDB;
+                const failOnSecondRecord = (originalFunction) => (tableName, pk, ...args) => {
+                    if (tableName === TABLE && pk === "pk2") {
+                        return args[args.length - 1](Error("Simulated failure"));
+                    }
+                    originalFunction(tableName, pk, ...args);
+                }
+                interruptedEnclave.storageDB.insertRecord = failOnSecondRecord(insertRecord);
+                interruptedEnclave.storageDB.updateRecord = failOnSecondRecord(updateRecord);
+                let error;
+                try {
+                    await $$.promisify(enclaveAPI.migrateEnclave)(sourceEnclave, interruptedEnclave, {migrationId: "interrupted"});
+                } catch (e) {
+                    error = e;
+                }
+                assert.true(typeof error !== "undefined", "Expected the first migration to fail");
+
+                interruptedEnclave.storageDB.insertRecord = insertRecord;
+                interruptedEnclave.storageDB.updateRecord = updateRecord;
+                const resumedReport = await $$.promisify(enclaveAPI.migrateEnclave)(sourceEnclave, interruptedEnclave, {migrationId: "interrupted"});
+                assert.true(resumedReport.resumed);
+                assert.equal(resumedReport.tables[TABLE].count, 2);
+                assert.equal(resumedReport.tables[TABLE].hash, report.tables[TABLE].hash);
+                assert.equal((await $$.promisify(interruptedEnclave.getAllRecords)("some_did", TABLE)).length, 2);
+                testFinished();
+            } catch (e) {
+                throw e;
+            }
+        });
+    });
+}, 10000);
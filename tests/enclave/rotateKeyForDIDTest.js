@@ -0,0 +1,89 @@
+require("../../../../builds/output/testsRuntime");
+const tir = require("../../../../psknode/tests/util/tir");
+
+const dc = require("double-check");
+const assert = dc.assert;
+const openDSU = require('../../index');
+$$.__registerModule("opendsu", openDSU);
+const enclaveAPI = openDSU.loadAPI("enclave");
+const scAPI = openDSU.loadAPI("sc");
+const w3cDID = openDSU.loadAPI("w3cdid");
+const crypto = openDSU.loadAPI("crypto");
+const keySSISpace = openDSU.loadAPI("keyssi");
+
+const waitInitialisation = (enclave) => {
+    return new Promise((resolve, reject) => {
+        enclave.on("initialised", () => resolve(enclave));
+        enclave.on("error", reject);
+    });
+}
+
+assert.callback('Rotate the key of a DID stored in the enclave', (testFinished) => {
+    dc.createTestFolder('rotateKeyForDID', async (err, folder) => {
+        const domain = "default";
+        await tir.launchConfigurableApiHubTestNodeAsync({
+            domains: [{name: "vault", config: {anchoring: {type: "FS", option: {}}}}, {name: domain, config: {anchoring: {type: "FS", option: {}}}}],
+            rootFolder: folder
+        });
+
+        const sc = scAPI.getSecurityContext();
+        sc.on("initialised", async () => {
+            try {
+                const enclave = await waitInitialisation(enclaveAPI.initialiseMemoryEnclave());
+                const aliceDIDDocument = await $$.promisify(w3cDID.createIdentity)("ssi:name", domain, "alice");
+                const bobDIDDocument = await $$.promisify(w3cDID.createIdentity)("ssi:name", domain, "bob");
+                const hash = crypto.sha256("some data");
+
+                const oldSignature = await $$.promisify(enclave.signForDID)(aliceDIDDocument, aliceDIDDocument, hash);
+                const oldMessage = await $$.promisify(enclave.encryptMessage)(bobDIDDocument, bobDIDDocument, aliceDIDDocument, "before rotation");
+
+                const result = await $$.promisify(enclave.rotateKeyForDID)(aliceDIDDocument, aliceDIDDocument, {validityPeriod: 1000});
+                const publicKey = await $$.promisify(aliceDIDDocument.getPublicKey)("raw");
+                assert.equal(publicKey.toString("hex"), result.publicKey);
+
+                // the new key is used for signing, the old signatures are valid during the validity window
+                const newSignature = await $$.promisify(enclave.signForDID)(aliceDIDDocument, aliceDIDDocument, hash);
+                assert.true(await $$.promisify(enclave.verifyForDID)(aliceDIDDocument, aliceDIDDocument, hash, newSignature));
+                assert.true(await $$.promisify(enclave.verifyForDID)(aliceDIDDocument, aliceDIDDocument, hash, oldSignature));
+
+                // the messages encrypted for the old key can still be decrypted
+                const decryptedMessage = await $$.promisify(enclave.decryptMessage)(aliceDIDDocument, aliceDIDDocument, oldMessage);
+                assert.equal(decryptedMessage, "before rotation");
+
+                // the keys of a key DID are part of the DID, they can't be rotated
+                const keyDIDDocument = await $$.promisify(w3cDID.createIdentity)("ssi:key", keySSISpace.createSeedSSI(domain, "some secret"));
+                let error;
+                try {
+                    await $$.promisify(enclave.rotateKeyForDID)(keyDIDDocument, keyDIDDocument);
+                } catch (e) {
+                    error = e;
+                }
+                assert.true(typeof error !== "undefined", "Expected the rotation of a key DID to be refused");
+
+                // when the new public key can't be published, the enclave keeps signing with the current key
+                const carolDIDDocument = await $$.promisify(w3cDID.createIdentity)("ssi:name", domain, "carol");
+                carolDIDDocument.addPublicKey = (publicKey, callback) => callback(Error("The anchoring service is not available"));
+                error = undefined;
+                try {
+                    await $$.promisify(enclave.rotateKeyForDID)(carolDIDDocument, carolDIDDocument);
+                } catch (e) {
+                    error = e;
+                }
+                assert.true(typeof error !== "undefined", "Expected the rotation to fail");
+                const carolSignature = await $$.promisify(enclave.signForDID)(carolDIDDocument, carolDIDDocument, hash);
+                assert.true(await $$.promisify(enclave.verifyForDID)(carolDIDDocument, carolDIDDocument, hash, carolSignature));
+
+                setTimeout(async () => {
+                    try {
+                        assert.false(await $$.promisify(enclave.verifyForDID)(aliceDIDDocument, aliceDIDDocument, hash, oldSignature));
+                        testFinished();
+                    } catch (e) {
+                        throw e;
+                    }
+                }, 1500);
+            } catch (e) {
+                throw e;
+            }
+        });
+    });
+}, 20000);
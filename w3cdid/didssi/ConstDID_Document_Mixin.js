@@ -19,6 +19,7 @@ function ConstDID_Document_Mixin(target, enclave, domain, name, isInitialisation
 
     const WRITABLE_DSU_PATH = "writableDSU";
     const PUB_KEYS_PATH = "publicKeys";
+    const RETIRED_PUB_KEYS_PATH = "retiredPublicKeys";
 
     const generatePublicKey = async () => {
         let seedSSI;
@@ -177,6 +178,31 @@ function ConstDID_Document_Mixin(target, enclave, domain, name, isInitialisation
             });
         });
     }
+
+    // the revoked keys are kept in a separate folder, they are no longer returned by getPublicKey
+    target.revokeKey = (publicKey, callback) => {
+        const publicKeyName = publicKey.toString("hex");
+        target.dsu.startOrAttachBatch((err, batchId) => {
+            if (err) {
+                return callback(createOpenDSUErrorWrapper(`Failed to begin batch`, err));
+            }
+
+            target.dsu.rename(`${PUB_KEYS_PATH}/${publicKeyName}`, `${RETIRED_PUB_KEYS_PATH}/${publicKeyName}`, async (err) => {
+                if (err) {
+                    const revokeError = createOpenDSUErrorWrapper(`Failed to revoke public key for did ${target.getIdentifier()}`, err);
+                    try {
+                        await target.dsu.cancelBatchAsync(batchId);
+                    } catch (e) {
+                        //not that relevant
+                        console.log(e);
+                    }
+                    return callback(revokeError);
+                }
+
+                target.dsu.commitBatch(batchId, callback);
+            });
+        });
+    }
 }
 
 module.exports = ConstDID_Document_Mixin;